@@ -0,0 +1,35 @@
+// api/routes/indexer.js
+import express from 'express';
+import { readCheckpoint } from '../../core/checkpoint.js';
+import { listGaps } from '../../core/failed-heights.js';
+
+const router = express.Router();
+
+/** GET /indexer/gaps?all=1&limit=100&page=1  — failed / missing heights */
+router.get('/gaps', async (req, res) => {
+  try {
+    const includeResolved = ['1','true','yes'].includes(String(req.query.all || '').toLowerCase());
+    const limit = Math.max(1, Math.min(1000, parseInt(req.query.limit || '100', 10) || 100));
+    const page  = Math.max(1, parseInt(req.query.page || '1', 10) || 1);
+    const { rows, total } = await listGaps({ includeResolved, limit, offset: (page - 1) * limit });
+    const checkpoint = await readCheckpoint('block');
+    res.json({
+      success: true,
+      data: rows.map(r => ({
+        height: Number(r.height),
+        source: r.source,
+        error: r.error,
+        attempts: r.attempts,
+        firstFailedAt: r.first_failed_at,
+        lastFailedAt: r.last_failed_at,
+        nextRetryAt: r.next_retry_at,
+        resolvedAt: r.resolved_at
+      })),
+      meta: { checkpoint: checkpoint != null ? Number(checkpoint) : null, limit, page, pages: Math.ceil(total / limit), total }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,114 @@
+// api/routes/mev.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getZigUsd, resolveTokenId } from '../util/resolve-token.js';
+
+const router = express.Router();
+
+const n = (x) => (x == null ? null : Number(x));
+
+/**
+ * GET /mev/sandwiches?pair=|poolId=&token=&wallet=&role=attacker|victim&days=7&limit=&offset=
+ * Same-block sandwiches (core/sandwich.js), newest first. `wallet` matches
+ * either side unless `role` narrows it. meta.totals sums the whole filter.
+ */
+router.get('/sandwiches', async (req, res) => {
+  try {
+    const limit  = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10), 200));
+    const offset = Math.max(0, parseInt(req.query.offset || '0', 10));
+    const days   = Math.max(1, Math.min(parseInt(req.query.days || '7', 10), 90));
+    const role   = ['attacker', 'victim'].includes(req.query.role) ? req.query.role : null;
+    const wallet = req.query.wallet ? String(req.query.wallet).trim() : null;
+
+    const params = [String(days)];
+    const where = [`s.created_at >= now() - ($1 || ' days')::interval`];
+    if (req.query.pair) {
+      params.push(String(req.query.pair));
+      where.push(`p.pair_contract = $${params.length}`);
+    } else if (req.query.poolId) {
+      params.push(String(req.query.poolId));
+      where.push(`s.pool_id = $${params.length}`);
+    }
+    if (req.query.token) {
+      const tok = await resolveTokenId(req.query.token);
+      if (!tok) return res.status(404).json({ success:false, error:'token not found' });
+      params.push(tok.token_id);
+      where.push(`p.base_token_id = $${params.length}`);
+    }
+    if (wallet) {
+      params.push(wallet);
+      const i = params.length;
+      where.push(role === 'attacker' ? `s.attacker = $${i}`
+        : role === 'victim' ? `s.victim = $${i}`
+        : `(s.attacker = $${i} OR s.victim = $${i})`);
+    }
+    const whereSql = where.join(' AND ');
+
+    const [list, totals, zigUsd] = await Promise.all([
+      DB.query(`
+        SELECT s.*, p.pair_contract,
+               b.token_id AS base_id, b.symbol AS base_symbol, b.denom AS base_denom,
+               q.symbol AS quote_symbol, q.denom AS quote_denom
+        FROM mev_sandwiches s
+        JOIN pools p  ON p.pool_id = s.pool_id
+        JOIN tokens b ON b.token_id = p.base_token_id
+        JOIN tokens q ON q.token_id = p.quote_token_id
+        WHERE ${whereSql}
+        ORDER BY s.created_at DESC, s.id DESC
+        LIMIT ${limit} OFFSET ${offset}
+      `, params),
+      DB.query(`
+        SELECT COUNT(*)::int AS incidents,
+               COUNT(DISTINCT s.attacker)::int AS attackers,
+               COUNT(DISTINCT s.victim)::int AS victims,
+               COALESCE(SUM(s.extracted_zig), 0) AS extracted_zig,
+               COALESCE(SUM(s.attacker_profit_zig), 0) AS attacker_profit_zig
+        FROM mev_sandwiches s
+        JOIN pools p ON p.pool_id = s.pool_id
+        WHERE ${whereSql}
+      `, params),
+      getZigUsd(),
+    ]);
+
+    const data = list.rows.map(r => ({
+      time: r.created_at,
+      height: Number(r.height),
+      pairContract: r.pair_contract,
+      token: { tokenId: String(r.base_id), symbol: r.base_symbol, denom: r.base_denom },
+      quote: { symbol: r.quote_symbol, denom: r.quote_denom },
+      attacker: r.attacker,
+      victim: r.victim,
+      direction: r.direction,
+      front:  { txHash: r.front_tx_hash,  msgIndex: r.front_msg_index },
+      victimTx: { txHash: r.victim_tx_hash, msgIndex: r.victim_msg_index },
+      back:   { txHash: r.back_tx_hash,   msgIndex: r.back_msg_index },
+      victimValueZig: n(r.victim_value_zig),
+      extractedZig: n(r.extracted_zig),
+      extractedUsd: r.extracted_zig != null ? Number(r.extracted_zig) * zigUsd : null,
+      attackerProfitZig: n(r.attacker_profit_zig),
+      attackerProfitUsd: r.attacker_profit_zig != null ? Number(r.attacker_profit_zig) * zigUsd : null,
+    }));
+
+    const t = totals.rows[0];
+    res.json({
+      success: true,
+      data,
+      meta: {
+        days, limit, offset, role, wallet,
+        totals: {
+          incidents: t.incidents,
+          attackers: t.attackers,
+          victims: t.victims,
+          extractedZig: Number(t.extracted_zig),
+          extractedUsd: Number(t.extracted_zig) * zigUsd,
+          attackerProfitZig: Number(t.attacker_profit_zig),
+        },
+        zigUsd
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
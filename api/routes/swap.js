@@ -1,10 +1,19 @@
 // api/routes/swap.js
 import express from 'express';
-import { DB } from '../../lib/db.js';
+import {
+  simulateUzigPool, splitXYK, loadUzigPoolsForToken, pickBySimulation, pickByReverse, bestBuyPool, bestSellPool,
+} from '../../core/amm/index.js';
+import { pairKind } from '../../core/pair-config.js';
 import { resolveTokenId, getZigUsd } from '../util/resolve-token.js';
+import { clampHops, loadPoolGraph, quoteRoutes, quoteRoutesExactOut } from '../util/swap-router.js';
+import { buildSwapMsg } from '../util/swap-msg.js';
+import { decoders } from '../../core/decoders/index.js';
+import { DB } from '../../lib/db.js';
 
 const router = express.Router();
 
+const SWAP_SLIPPAGE_BPS = parseInt(process.env.SWAP_SLIPPAGE_BPS || '100', 10);
+
 /* ───────────────────────── helpers ───────────────────────── */
 
 const UZIG_ALIASES = new Set(['uzig','zig','uZIG','UZIG']);
@@ -17,114 +26,6 @@ async function resolveRef(ref) {
   return { type: 'token', token: tok };
 }
 
-/** Oroswap pair type → taker fee fraction */
-function pairFee(pairType) {
-  if (!pairType) return 0.003;
-  const t = String(pairType).toLowerCase();
-  if (t === 'xyk') return 0.0001;
-  if (t === 'concentrated') return 0.01;
-  const m = t.match(/xyk[_-](\d+)/);
-  if (m) {
-    const bps = Number(m[1]);
-    if (Number.isFinite(bps)) return bps / 10_000;
-  }
-  return 0.003;
-}
-
-/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. */
-function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
-  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
-    return { out: 0, price: 0, impact: 0 };
-  }
-  const mid = Rz / Rt; // zig per token
-  const xin = amountIn * (1 - fee);
-
-  if (fromIsZig) {
-    // ZIG -> Token
-    const outToken = (xin * Rt) / (Rz + xin);
-    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
-    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
-    return { out: outToken, price: effZigPerToken, impact };
-  } else {
-    // Token -> ZIG
-    const outZig = (xin * Rz) / (Rt + xin);
-    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
-    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
-    return { out: outZig, price: effZigPerToken, impact };
-  }
-}
-
-/** Load all UZIG-quoted pools for a token, including mid price & reserves (display units). */
-async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
-  const { rows } = await DB.query(
-    `
-    SELECT
-      p.pool_id,
-      p.pair_contract,
-      p.pair_type,
-      pr.price_in_zig,           -- mid zig per token
-      ps.reserve_base_base   AS res_base_base,
-      ps.reserve_quote_base  AS res_quote_base,
-      tb.exponent            AS base_exp,
-      tq.exponent            AS quote_exp,
-      COALESCE(pm.tvl_zig,0) AS tvl_zig,
-      tb.denom               AS base_denom,
-      tq.denom               AS quote_denom
-    FROM pools p
-    JOIN prices pr           ON pr.pool_id = p.pool_id AND pr.token_id = $1
-    LEFT JOIN pool_state ps  ON ps.pool_id = p.pool_id
-    JOIN tokens tb           ON tb.token_id = p.base_token_id
-    JOIN tokens tq           ON tq.token_id = p.quote_token_id
-    LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
-    WHERE p.is_uzig_quote = TRUE
-    `,
-    [tokenId]
-  );
-
-  return rows
-    .map(r => {
-      const Rt = Number(r.res_base_base  || 0) / Math.pow(10, Number(r.base_exp  || 0)); // token reserve
-      const Rz = Number(r.res_quote_base || 0) / Math.pow(10, Number(r.quote_exp || 0)); // zig reserve
-      return {
-        poolId:       String(r.pool_id),
-        pairContract: r.pair_contract,
-        pairType:     r.pair_type,
-        priceInZig:   Number(r.price_in_zig || 0), // **mid** zig per token
-        tokenReserve: Rt,
-        zigReserve:   Rz,
-        tvlZig:       Number(r.tvl_zig || 0),
-      };
-    })
-    .filter(p => p.tvlZig >= minTvlZig);
-}
-
-/** Pick best pool by sim (maximize out). */
-function pickBySimulation(pools, side, { fromIsZig, amountIn }) {
-  let best = null;
-  for (const p of pools) {
-    const fee = pairFee(p.pairType);
-    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
-    const sim = hasRes
-      ? simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee })
-      : null;
-    const score = sim ? sim.out : 0;
-    const cand = { ...p, fee, sim, score };
-    if (!best || cand.score > best.score) best = cand;
-  }
-  return best;
-}
-
-/** Default notional (~$100) when amt not provided. */
-function defaultAmount(side, { zigUsd, pools }) {
-  const targetUsd = 100;
-  const zigAmt = targetUsd / Math.max(zigUsd, 1e-9);
-  if (side === 'buy') return zigAmt; // from ZIG
-  const avgMid = pools.length
-    ? pools.reduce((s, p) => s + (p.priceInZig || 0), 0) / pools.length
-    : 1;
-  return zigAmt / Math.max(avgMid, 1e-12); // from token
-}
-
 /** Render diagnostics block for one leg. Includes both EXEC (sim) and MID (DB) prices. */
 function makePairBlock({ side, pool, sim, fee, zigUsd, amountIn }) {
   const price_native_exec = sim ? sim.price : null; // executable zig per 1 token (for that amount)
@@ -138,6 +39,8 @@ function makePairBlock({ side, pool, sim, fee, zigUsd, amountIn }) {
     pairContract: pool.pairContract,
     pairType: pool.pairType,
     side,
+    offer_denom: side === 'buy' ? 'uzig' : pool.tokenDenom,
+    ask_denom:   side === 'buy' ? pool.tokenDenom : 'uzig',
     // EXEC (diagnostic)
     price_native_exec,
     price_usd_exec,
@@ -152,175 +55,419 @@ function makePairBlock({ side, pool, sim, fee, zigUsd, amountIn }) {
   };
 }
 
-/* ─────────────────────── per-side selectors ─────────────────────── */
+/* ─────────────────────────── split routing ─────────────────────────── */
+
+/**
+ * Spread one leg over every UZIG pool of the token (see splitXYK) and
+ * compare with the best single pool for the same amount.
+ */
+function splitLeg(pools, { fromIsZig, amountIn }) {
+  // water-filling is closed-form for constant-product curves only
+  const legPools = pools
+    .filter(p => pairKind(p.pairType) === 'xyk')
+    .map(p => ({
+      ...p,
+      rIn:  fromIsZig ? p.zigReserve : p.tokenReserve,
+      rOut: fromIsZig ? p.tokenReserve : p.zigReserve,
+    }));
+  let allocs = splitXYK(legPools, amountIn).map(p => {
+    const sim = simulateUzigPool(p, { fromIsZig, amountIn: p.allocIn });
+    return {
+      poolId: p.poolId,
+      pairContract: p.pairContract,
+      pairType: p.pairType,
+      fee: p.fee,
+      share: p.allocIn / amountIn,
+      amount_in: p.allocIn,
+      amount_out: sim.out,
+      price_impact: sim.impact
+    };
+  });
+  let amountOut = allocs.reduce((s, a) => s + a.amount_out, 0);
+  const single = pickBySimulation(pools, { fromIsZig, amountIn });
+  const singleOut = single?.sim ? single.sim.out : 0;
+
+  // a curve pool alone can beat the xyk split; never quote worse than it
+  if (single?.sim && singleOut > amountOut) {
+    allocs = [{
+      poolId: single.poolId,
+      pairContract: single.pairContract,
+      pairType: single.pairType,
+      fee: single.fee,
+      share: 1,
+      amount_in: amountIn,
+      amount_out: singleOut,
+      price_impact: single.sim.impact
+    }];
+    amountOut = singleOut;
+  }
+  return {
+    side: fromIsZig ? 'buy' : 'sell',
+    amount_in: amountIn,
+    amount_out: amountOut,
+    allocations: allocs,
+    best_single: single ? { poolId: single.poolId, amount_out: singleOut } : null,
+    gain: {
+      amount: amountOut - singleOut,
+      pct: singleOut > 0 ? ((amountOut / singleOut) - 1) * 100 : null
+    }
+  };
+}
+
+/** `?split=1`: split each UZIG leg of the bridge quote across parallel pools */
+async function splitQuote(data, { from, to, amt, minTvlZig }) {
+  const amountIn = Number.isFinite(amt) ? amt : data.pairs?.[0]?.amount_in;
+  if (!(amountIn > 0)) return null;
 
-async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
-  const pick = pickBySimulation(pools, 'buy', { fromIsZig: true, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
+  if (from.type === 'uzig' && to.type === 'token') {
+    const pools = await loadUzigPoolsForToken(to.token.token_id, { minTvlZig });
+    const leg = splitLeg(pools, { fromIsZig: true, amountIn });
+    return { legs: [leg], amount_in: amountIn, amount_out: leg.amount_out, gain: leg.gain };
+  }
+  if (from.type === 'token' && to.type === 'uzig') {
+    const pools = await loadUzigPoolsForToken(from.token.token_id, { minTvlZig });
+    const leg = splitLeg(pools, { fromIsZig: false, amountIn });
+    return { legs: [leg], amount_in: amountIn, amount_out: leg.amount_out, gain: leg.gain };
+  }
+  if (from.type === 'token' && to.type === 'token') {
+    const sell = splitLeg(await loadUzigPoolsForToken(from.token.token_id, { minTvlZig }), { fromIsZig: false, amountIn });
+    if (!(sell.amount_out > 0)) return { legs: [sell], amount_in: amountIn, amount_out: 0, gain: null };
+    const bPools = await loadUzigPoolsForToken(to.token.token_id, { minTvlZig });
+    const buy = splitLeg(bPools, { fromIsZig: true, amountIn: sell.amount_out });
+
+    // gain vs. best single pool on each leg, chained
+    const singleZig = sell.best_single?.amount_out || 0;
+    const singleB = singleZig > 0 ? pickBySimulation(bPools, { fromIsZig: true, amountIn: singleZig }) : null;
+    const singleOut = singleB?.sim ? singleB.sim.out : 0;
+    return {
+      legs: [sell, buy],
+      amount_in: amountIn,
+      amount_out: buy.amount_out,
+      gain: {
+        amount: buy.amount_out - singleOut,
+        pct: singleOut > 0 ? ((buy.amount_out / singleOut) - 1) * 100 : null
+      }
+    };
+  }
+  return null;
 }
 
-async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
-  const pick = pickBySimulation(pools, 'sell', { fromIsZig: false, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
+/* ─────────────────────────── multi-hop ─────────────────────────── */
+
+function routeLegBlock(l) {
+  return {
+    poolId: l.poolId,
+    pairContract: l.pairContract,
+    pairType: l.pairType,
+    side: l.from === 'uzig' ? 'buy' : (l.to === 'uzig' ? 'sell' : 'swap'),
+    from: l.from,
+    to: l.to,
+    offer_denom: l.from,
+    ask_denom: l.to,
+    price_native_exec: l.priceExec,   // `to` per 1 `from`
+    price_native_mid: l.priceMid,
+    amount_in: l.amountIn,
+    amount_out: l.amountOut,
+    price_impact: l.priceImpact,
+    fee: l.fee
+  };
 }
 
-/* ─────────────────────────── route API ─────────────────────────── */
+/**
+ * Attach `routes: { best, alternatives }` to a single-bridge quote and, when
+ * the router's best path returns more, promote it to the primary answer.
+ * Amount defaults to whatever the bridge quote used (≈ $100 otherwise).
+ */
+async function withRouting(data, { from, to, amt, minTvlZig, zigUsd, hops }) {
+  const legacyIn  = data.pairs?.[0]?.amount_in ?? null;
+  const legacyOut = data.pairs?.length ? data.pairs.at(-1).amount_out : null;
+
+  // ids in the pools graph (uzig is a token row there)
+  const graph = await loadPoolGraph({ minTvlZig });
+  const fromId = from.type === 'uzig' ? graph.uzigId : String(from.token.token_id);
+  const toId   = to.type   === 'uzig' ? graph.uzigId : String(to.token.token_id);
+  if (!fromId || !toId) return data;
+
+  const fromPx = graph.tokens.get(fromId)?.priceInZig ?? null;
+  const toPx   = graph.tokens.get(toId)?.priceInZig ?? null;
+  let amountIn = Number.isFinite(amt) ? amt : legacyIn;
+  if (!(amountIn > 0) && fromPx > 0) amountIn = (100 / Math.max(zigUsd, 1e-9)) / fromPx;
+  if (!(amountIn > 0)) return data;
+
+  const q = quoteRoutes(graph, fromId, toId, amountIn, { maxHops: hops, zigUsd });
+  const out = { ...data, routes: { best: q.best, alternatives: q.alternatives, params: { hops, amt: amountIn } } };
+  if (!q.best) return out;
+  if (legacyOut != null && !(q.best.amountOut > legacyOut * (1 + 1e-9))) return out;
+
+  const best = q.best;
+  const fromIsZig = from.type === 'uzig';
+  const toIsZig   = to.type === 'uzig';
+  const price_native = fromIsZig
+    ? best.amountIn / Math.max(best.amountOut, 1e-18)   // zig per 1 token (as for direct buys)
+    : best.amountOut / best.amountIn;                  // `to` per 1 `from`
+  return {
+    ...out,
+    route: best.path,
+    pairs: best.legs.map(routeLegBlock),
+    price_native,
+    price_usd: (fromIsZig || toIsZig) ? price_native * zigUsd : null,
+    cross: {
+      zig_per_from: fromIsZig ? 1 : fromPx,
+      usd_per_from: fromIsZig ? zigUsd : (fromPx != null ? fromPx * zigUsd : null)
+    },
+    usd_baseline: {
+      from_usd: fromPx != null ? fromPx * zigUsd : null,
+      to_usd:   toPx   != null ? toPx   * zigUsd : null
+    },
+    source: 'router',
+    diagnostics: {
+      ...(data.diagnostics || {}),
+      bridge: { source: data.source, route: data.route, amount_out: legacyOut },
+      params: { amt: amt ?? null, minTvlZig, hops }
+    }
+  };
+}
 
-router.get('/', async (req, res) => {
-  try {
-    const fromRef = req.query.from;
-    const toRef   = req.query.to;
-    if (!fromRef || !toRef) return res.status(400).json({ success:false, error:'missing from/to' });
-
-    const zigUsd    = await getZigUsd();           // from exchange_rates
-    const amt       = req.query.amt ? Number(req.query.amt) : undefined;
-    const minTvlZig = req.query.minTvl ? Number(req.query.minTvl) : 0;
-
-    const from = await resolveRef(fromRef);
-    const to   = await resolveRef(toRef);
-    if (!from) return res.status(404).json({ success:false, error:'from token not found' });
-    if (!to)   return res.status(404).json({ success:false, error:'to token not found' });
-
-    /* ── ZIG → TOKEN (BUY) ─────────────────────────────────────── */
-    if (from.type === 'uzig' && to.type === 'token') {
-      const buy = await bestBuyPool(to.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
-      if (!buy) {
-        return res.json({ success:true, data:{
-          route:['uzig', to.token.denom || to.token.symbol], pairs:[],
-          price_native:null, price_usd:null, cross:{ zig_per_from:1, usd_per_from:zigUsd },
-          usd_baseline:{ from_usd: zigUsd, to_usd: null }, source:'direct_uzig'
-        }});
-      }
+/* ─────────────────────────── exact output ─────────────────────────── */
 
-      const pairBlock = makePairBlock({
-        side:'buy', pool: buy, sim: buy.sim, fee: buy.fee, zigUsd, amountIn: buy.amtUsed
-      });
+function clampSlippageBps(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return SWAP_SLIPPAGE_BPS;
+  return Math.min(Math.floor(n), 5000);
+}
 
-      // top snapshot (executable per-unit for that amount)
-      const price_native = pairBlock.price_native_exec;
-      const price_usd    = pairBlock.price_usd_exec;
+/**
+ * `?amtOut=`: the input needed to receive exactly `amtOut` of `to`. Each
+ * leg's pool curve is inverted (core/amm simulateSwapReverse), last leg
+ * first; the ZIG bridge (best pool per leg) and the multi-hop router are
+ * both tried and whichever needs less input wins.
+ */
+async function exactOutQuote({ from, to, amtOut, minTvlZig, zigUsd, hops, slippageBps }) {
+  const label = (r) => (r.type === 'uzig' ? 'uzig' : (r.token.denom || r.token.symbol || String(r.token.token_id)));
+
+  // ZIG bridge, walked backwards: buy leg (→ to) first, then sell leg (from →)
+  let bridge = null;
+  if (from.type === 'uzig' && to.type === 'token') {
+    const buy = pickByReverse(await loadUzigPoolsForToken(to.token.token_id, { minTvlZig }), { fromIsZig: true, amountOut: amtOut });
+    if (buy) bridge = { source: 'direct_uzig', legs: [{ side: 'buy', pool: buy }], amountIn: buy.sim.in };
+  } else if (from.type === 'token' && to.type === 'uzig') {
+    const sell = pickByReverse(await loadUzigPoolsForToken(from.token.token_id, { minTvlZig }), { fromIsZig: false, amountOut: amtOut });
+    if (sell) bridge = { source: 'direct_uzig', legs: [{ side: 'sell', pool: sell }], amountIn: sell.sim.in };
+  } else if (from.type === 'token' && to.type === 'token') {
+    const buyB = pickByReverse(await loadUzigPoolsForToken(to.token.token_id, { minTvlZig }), { fromIsZig: true, amountOut: amtOut });
+    const sellA = buyB
+      ? pickByReverse(await loadUzigPoolsForToken(from.token.token_id, { minTvlZig }), { fromIsZig: false, amountOut: buyB.sim.in })
+      : null;
+    if (sellA) bridge = { source: 'via_uzig', legs: [{ side: 'sell', pool: sellA }, { side: 'buy', pool: buyB }], amountIn: sellA.sim.in };
+  }
 
-      // baselines for $ labels in UI
-      const from_usd = zigUsd;
-      const to_usd   = pairBlock.price_native_mid * zigUsd; // mid( token )
+  const graph = await loadPoolGraph({ minTvlZig });
+  const fromId = from.type === 'uzig' ? graph.uzigId : String(from.token.token_id);
+  const toId   = to.type   === 'uzig' ? graph.uzigId : String(to.token.token_id);
+  const q = (fromId && toId)
+    ? quoteRoutesExactOut(graph, fromId, toId, amtOut, { maxHops: hops, zigUsd })
+    : { best: null, alternatives: [] };
+  const fromPx = fromId ? graph.tokens.get(fromId)?.priceInZig ?? null : null;
+  const toPx   = toId   ? graph.tokens.get(toId)?.priceInZig   ?? null : null;
+
+  const useRouter = q.best && (!bridge || q.best.amountIn < bridge.amountIn * (1 - 1e-9));
+  let route, pairs, amountIn, priceImpact, source;
+  if (useRouter) {
+    ({ path: route, amountIn, priceImpact } = q.best);
+    pairs = q.best.legs.map(routeLegBlock);
+    source = 'router';
+  } else if (bridge) {
+    route = [label(from), ...(bridge.source === 'via_uzig' ? ['uzig'] : []), label(to)];
+    pairs = bridge.legs.map(({ side, pool }) => makePairBlock({
+      side, pool, sim: pool.sim, fee: pool.fee, zigUsd, amountIn: pool.sim.in
+    }));
+    amountIn = bridge.amountIn;
+    priceImpact = bridge.legs.reduce((acc, { pool }) => acc * (1 + (pool.sim.impact || 0)), 1) - 1;
+    source = bridge.source;
+  } else {
+    return {
+      route: [label(from), label(to)], pairs: [], price_native: null, price_usd: null,
+      cross: { zig_per_from: null, usd_per_from: null },
+      usd_baseline: { from_usd: null, to_usd: null },
+      exact_out: null, source: 'none',
+      diagnostics: { reason: 'no pool can pay amtOut', params: { amtOut, minTvlZig, hops, slippageBps } }
+    };
+  }
 
-      return res.json({
-        success: true,
-        data: {
-          route: ['uzig', to.token.denom || to.token.symbol || String(to.token.token_id)],
-          pairs: [ pairBlock ],
-          price_native,                      // exec zig per 1 token (diagnostic)
-          price_usd,                         // exec USD per 1 token (diagnostic)
-          cross: { zig_per_from: 1, usd_per_from: zigUsd },
-          usd_baseline: { from_usd, to_usd },// **UI should use these for $**
-          source: 'direct_uzig',
-          diagnostics: {
-            side: 'buy',
-            poolId: buy.poolId,
-            pairType: buy.pairType,
-            tvl_zig: buy.tvlZig,
-            reserves: { zig: buy.zigReserve, token: buy.tokenReserve },
-            sim: buy.sim || null,
-            params: { amt: amt ?? null, minTvlZig }
-          }
-        }
-      });
+  const fromIsZig = from.type === 'uzig';
+  const toIsZig   = to.type === 'uzig';
+  const price_native = fromIsZig
+    ? amountIn / Math.max(amtOut, 1e-18)   // zig per 1 token (as for direct buys)
+    : amtOut / amountIn;                   // `to` per 1 `from`
+  return {
+    route,
+    pairs,
+    price_native,
+    price_usd: (fromIsZig || toIsZig) ? price_native * zigUsd : null,
+    cross: {
+      zig_per_from: fromIsZig ? 1 : fromPx,
+      usd_per_from: fromIsZig ? zigUsd : (fromPx != null ? fromPx * zigUsd : null)
+    },
+    usd_baseline: {
+      from_usd: fromIsZig ? zigUsd : (fromPx != null ? fromPx * zigUsd : null),
+      to_usd:   toIsZig   ? zigUsd : (toPx   != null ? toPx   * zigUsd : null)
+    },
+    exact_out: {
+      amount_out: amtOut,
+      amount_in: amountIn,
+      amount_in_max: amountIn * (1 + slippageBps / 10_000),   // slippage bound for the tx
+      slippage_bps: slippageBps,
+      price_impact: priceImpact
+    },
+    routes: { best: q.best, alternatives: q.alternatives, params: { hops, amtOut } },
+    source,
+    diagnostics: {
+      bridge: bridge ? { source: bridge.source, amount_in: bridge.amountIn } : null,
+      params: { amtOut, minTvlZig, hops, slippageBps }
     }
+  };
+}
 
-    /* ── TOKEN → ZIG (SELL) ────────────────────────────────────── */
-    if (from.type === 'token' && to.type === 'uzig') {
-      const sell = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
-      if (!sell) {
-        return res.json({ success:true, data:{
-          route:[from.token.denom || from.token.symbol, 'uzig'], pairs:[],
-          price_native:null, price_usd:null,
-          cross:{ zig_per_from:null, usd_per_from:null },
-          usd_baseline:{ from_usd: null, to_usd: zigUsd }, source:'direct_uzig'
-        }});
-      }
-
-      const pairBlock = makePairBlock({
-        side:'sell', pool: sell, sim: sell.sim, fee: sell.fee, zigUsd, amountIn: sell.amtUsed
-      });
+/* ─────────────────────────── route API ─────────────────────────── */
 
-      const price_native = pairBlock.price_native_exec; // exec zig per 1 token
-      const price_usd    = price_native != null ? price_native * zigUsd : null;
+const reply = (status, body) => ({ status, body });
+
+/**
+ * The /swap quote for a query string → { status, body }. Shared by GET /
+ * and GET /build so a built message always matches the quote.
+ */
+async function swapQuote(query) {
+  const fromRef = query.from;
+  const toRef   = query.to;
+  if (!fromRef || !toRef) return reply(400, { success:false, error:'missing from/to' });
+
+  const zigUsd    = await getZigUsd();           // from exchange_rates
+  const amt       = query.amt ? Number(query.amt) : undefined;
+  const minTvlZig = query.minTvl ? Number(query.minTvl) : 0;
+
+  const from = await resolveRef(fromRef);
+  const to   = await resolveRef(toRef);
+  if (!from) return reply(404, { success:false, error:'from token not found' });
+  if (!to)   return reply(404, { success:false, error:'to token not found' });
+
+  // multi-hop router over all pools; its best path replaces the single
+  // ZIG-bridge answer below whenever it pays out more
+  const hops = clampHops(query.hops);
+
+  // exact output: invert the curves instead of quoting an input amount
+  if (query.amtOut != null && query.amt == null) {
+    const amtOut = Number(query.amtOut);
+    if (!(amtOut > 0)) return reply(400, { success:false, error:'amtOut must be > 0' });
+    const slippageBps = clampSlippageBps(query.slippageBps);
+    return reply(200, { success: true, data: await exactOutQuote({ from, to, amtOut, minTvlZig, zigUsd, hops, slippageBps }) });
+  }
 
-      const from_usd = sell.priceInZig * zigUsd; // mid( token )
-      const to_usd   = zigUsd;
+  const split = query.split === '1';
+  const send = async (payload) => {
+    if (split) payload.data.split = await splitQuote(payload.data, { from, to, amt, minTvlZig });
+    payload.data = await withRouting(payload.data, { from, to, amt, minTvlZig, zigUsd, hops });
+    return reply(200, payload);
+  };
 
-      return res.json({
-        success: true,
-        data: {
-          route: [from.token.denom || from.token.symbol || String(from.token.token_id), 'uzig'],
-          pairs: [ pairBlock ],
-          price_native,
-          price_usd,
-          cross: { zig_per_from: price_native, usd_per_from: from_usd },
-          usd_baseline: { from_usd, to_usd },  // **UI should use these for $**
-          source: 'direct_uzig',
-          diagnostics: {
-            side: 'sell',
-            poolId: sell.poolId,
-            pairType: sell.pairType,
-            tvl_zig: sell.tvlZig,
-            reserves: { zig: sell.zigReserve, token: sell.tokenReserve },
-            sim: sell.sim || null,
-            params: { amt: amt ?? null, minTvlZig }
-          }
-        }
-      });
+  /* ── ZIG → TOKEN (BUY) ─────────────────────────────────────── */
+  if (from.type === 'uzig' && to.type === 'token') {
+    const buy = await bestBuyPool(to.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
+    if (!buy) {
+      return send({ success:true, data:{
+        route:['uzig', to.token.denom || to.token.symbol], pairs:[],
+        price_native:null, price_usd:null, cross:{ zig_per_from:1, usd_per_from:zigUsd },
+        usd_baseline:{ from_usd: zigUsd, to_usd: null }, source:'direct_uzig'
+      }});
     }
 
-    /* ── TOKEN A → TOKEN B (via UZIG) ──────────────────────────── */
-    if (from.type === 'token' && to.type === 'token') {
-      const sellA = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
-      const zigOut = sellA?.sim ? sellA.sim.out : undefined;
-      const buyB  = await bestBuyPool(to.token.token_id,   { amountIn: zigOut, minTvlZig, zigUsd });
-
-      if (!sellA || !buyB) {
-        return res.json({
-          success: true,
-          data: {
-            route: [
-              from.token.denom || from.token.symbol || String(from.token.token_id),
-              'uzig',
-              to.token.denom || to.token.symbol || String(to.token.token_id)
-            ],
-            pairs: [],
-            price_native: null,
-            price_usd: null,
-            cross: { zig_per_from: null, usd_per_from: null },
-            usd_baseline: { from_usd: null, to_usd: null },
-            source: 'via_uzig',
-            diagnostics: { sellA: !!sellA, buyB: !!buyB }
-          }
-        });
+    const pairBlock = makePairBlock({
+      side:'buy', pool: buy, sim: buy.sim, fee: buy.fee, zigUsd, amountIn: buy.amtUsed
+    });
+
+    // top snapshot (executable per-unit for that amount)
+    const price_native = pairBlock.price_native_exec;
+    const price_usd    = pairBlock.price_usd_exec;
+
+    // baselines for $ labels in UI
+    const from_usd = zigUsd;
+    const to_usd   = pairBlock.price_native_mid * zigUsd; // mid( token )
+
+    return send({
+      success: true,
+      data: {
+        route: ['uzig', to.token.denom || to.token.symbol || String(to.token.token_id)],
+        pairs: [ pairBlock ],
+        price_native,                      // exec zig per 1 token (diagnostic)
+        price_usd,                         // exec USD per 1 token (diagnostic)
+        cross: { zig_per_from: 1, usd_per_from: zigUsd },
+        usd_baseline: { from_usd, to_usd },// **UI should use these for $**
+        source: 'direct_uzig',
+        diagnostics: {
+          side: 'buy',
+          poolId: buy.poolId,
+          pairType: buy.pairType,
+          tvl_zig: buy.tvlZig,
+          reserves: { zig: buy.zigReserve, token: buy.tokenReserve },
+          sim: buy.sim || null,
+          params: { amt: amt ?? null, minTvlZig }
+        }
       }
+    });
+  }
 
-      const sellBlock = makePairBlock({
-        side:'sell', pool: sellA, sim: sellA.sim, fee: sellA.fee, zigUsd, amountIn: sellA.amtUsed
-      });
-      const buyBlock  = makePairBlock({
-        side:'buy',  pool: buyB,  sim: buyB.sim,  fee: buyB.fee,  zigUsd, amountIn: buyB.amtUsed
-      });
+  /* ── TOKEN → ZIG (SELL) ────────────────────────────────────── */
+  if (from.type === 'token' && to.type === 'uzig') {
+    const sell = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
+    if (!sell) {
+      return send({ success:true, data:{
+        route:[from.token.denom || from.token.symbol, 'uzig'], pairs:[],
+        price_native:null, price_usd:null,
+        cross:{ zig_per_from:null, usd_per_from:null },
+        usd_baseline:{ from_usd: null, to_usd: zigUsd }, source:'direct_uzig'
+      }});
+    }
 
-      // Executable cross-rate (B per 1 A): (zig/A) / (zig/B)
-      const bPerA = sellA.priceInZig / Math.max(buyB.priceInZig, 1e-18);
+    const pairBlock = makePairBlock({
+      side:'sell', pool: sell, sim: sell.sim, fee: sell.fee, zigUsd, amountIn: sell.amtUsed
+    });
+
+    const price_native = pairBlock.price_native_exec; // exec zig per 1 token
+    const price_usd    = price_native != null ? price_native * zigUsd : null;
+
+    const from_usd = sell.priceInZig * zigUsd; // mid( token )
+    const to_usd   = zigUsd;
+
+    return send({
+      success: true,
+      data: {
+        route: [from.token.denom || from.token.symbol || String(from.token.token_id), 'uzig'],
+        pairs: [ pairBlock ],
+        price_native,
+        price_usd,
+        cross: { zig_per_from: price_native, usd_per_from: from_usd },
+        usd_baseline: { from_usd, to_usd },  // **UI should use these for $**
+        source: 'direct_uzig',
+        diagnostics: {
+          side: 'sell',
+          poolId: sell.poolId,
+          pairType: sell.pairType,
+          tvl_zig: sell.tvlZig,
+          reserves: { zig: sell.zigReserve, token: sell.tokenReserve },
+          sim: sell.sim || null,
+          params: { amt: amt ?? null, minTvlZig }
+        }
+      }
+    });
+  }
 
-      // Baselines for $ labels
-      const from_usd = sellA.priceInZig * zigUsd; // mid(A)
-      const to_usd   = buyB.priceInZig  * zigUsd; // mid(B)
+  /* ── TOKEN A → TOKEN B (via UZIG) ──────────────────────────── */
+  if (from.type === 'token' && to.type === 'token') {
+    const sellA = await bestSellPool(from.token.token_id, { amountIn: amt, minTvlZig, zigUsd });
+    const zigOut = sellA?.sim ? sellA.sim.out : undefined;
+    const buyB  = await bestBuyPool(to.token.token_id,   { amountIn: zigOut, minTvlZig, zigUsd });
 
-      return res.json({
+    if (!sellA || !buyB) {
+      return send({
         success: true,
         data: {
           route: [
@@ -328,39 +475,136 @@ router.get('/', async (req, res) => {
             'uzig',
             to.token.denom || to.token.symbol || String(to.token.token_id)
           ],
-          pairs: [ sellBlock, buyBlock ],          // exec + mid per leg (diagnostic)
-          price_native: bPerA,                     // B per A (exec snapshot)
+          pairs: [],
+          price_native: null,
           price_usd: null,
-          cross: { zig_per_from: sellA.priceInZig, usd_per_from: from_usd }, // exec sell-side rate
-          usd_baseline: { from_usd, to_usd },      // **UI should use these for $**
+          cross: { zig_per_from: null, usd_per_from: null },
+          usd_baseline: { from_usd: null, to_usd: null },
           source: 'via_uzig',
-          diagnostics: {
-            sell_leg: {
-              side: 'sell',
-              poolId: sellA.poolId,
-              pairType: sellA.pairType,
-              tvl_zig: sellA.tvlZig,
-              reserves: { zig: sellA.zigReserve, token: sellA.tokenReserve },
-              sim: sellA.sim || null
-            },
-            buy_leg: {
-              side: 'buy',
-              poolId: buyB.poolId,
-              pairType: buyB.pairType,
-              tvl_zig: buyB.tvlZig,
-              reserves: { zig: buyB.zigReserve, token: buyB.tokenReserve },
-              sim: buyB.sim || null
-            }
-          }
+          diagnostics: { sellA: !!sellA, buyB: !!buyB }
         }
       });
     }
 
-    return res.status(400).json({ success:false, error:'unsupported route (check from/to)' });
+    const sellBlock = makePairBlock({
+      side:'sell', pool: sellA, sim: sellA.sim, fee: sellA.fee, zigUsd, amountIn: sellA.amtUsed
+    });
+    const buyBlock  = makePairBlock({
+      side:'buy',  pool: buyB,  sim: buyB.sim,  fee: buyB.fee,  zigUsd, amountIn: buyB.amtUsed
+    });
+
+    // Executable cross-rate (B per 1 A): (zig/A) / (zig/B)
+    const bPerA = sellA.priceInZig / Math.max(buyB.priceInZig, 1e-18);
+
+    // Baselines for $ labels
+    const from_usd = sellA.priceInZig * zigUsd; // mid(A)
+    const to_usd   = buyB.priceInZig  * zigUsd; // mid(B)
+
+    return send({
+      success: true,
+      data: {
+        route: [
+          from.token.denom || from.token.symbol || String(from.token.token_id),
+          'uzig',
+          to.token.denom || to.token.symbol || String(to.token.token_id)
+        ],
+        pairs: [ sellBlock, buyBlock ],          // exec + mid per leg (diagnostic)
+        price_native: bPerA,                     // B per A (exec snapshot)
+        price_usd: null,
+        cross: { zig_per_from: sellA.priceInZig, usd_per_from: from_usd }, // exec sell-side rate
+        usd_baseline: { from_usd, to_usd },      // **UI should use these for $**
+        source: 'via_uzig',
+        diagnostics: {
+          sell_leg: {
+            side: 'sell',
+            poolId: sellA.poolId,
+            pairType: sellA.pairType,
+            tvl_zig: sellA.tvlZig,
+            reserves: { zig: sellA.zigReserve, token: sellA.tokenReserve },
+            sim: sellA.sim || null
+          },
+          buy_leg: {
+            side: 'buy',
+            poolId: buyB.poolId,
+            pairType: buyB.pairType,
+            tvl_zig: buyB.tvlZig,
+            reserves: { zig: buyB.zigReserve, token: buyB.tokenReserve },
+            sim: buyB.sim || null
+          }
+        }
+      }
+    });
+  }
+
+  return reply(400, { success:false, error:'unsupported route (check from/to)' });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const { status, body } = await swapQuote(req.query);
+    res.status(status).json(body);
   } catch (e) {
     console.error('[swap] error:', e);
     res.status(500).json({ success:false, error: e.message });
   }
 });
 
+/**
+ * Router contract for a multi-hop route: the pools' own router_contract,
+ * else the first router of the decoder (dex / factory) that created them.
+ * → { router } or { error } when the pools don't share one router
+ */
+async function routerForLegs(legs) {
+  const { rows } = await DB.query(
+    `SELECT pool_id, dex, factory_contract, router_contract FROM pools WHERE pool_id = ANY($1::bigint[])`,
+    [legs.map(l => l.poolId)]
+  );
+  const routers = new Set(rows.map(p => {
+    if (p.router_contract) return p.router_contract;
+    const d = decoders().find(x => x.name === p.dex || (p.factory_contract && x.factories.includes(p.factory_contract)))
+      || decoders()[0];
+    return d?.routers[0] || null;
+  }));
+  if (routers.size > 1) return { error: 'route spans pools of different routers' };
+  return { router: [...routers][0] || null };
+}
+
+/**
+ * GET /swap/build — same query as /swap (+ slippageBps, sender, recipient);
+ * returns the unsigned execute message for the quoted route.
+ * split=1 is rejected: one message can't carry a split allocation.
+ */
+router.get('/build', async (req, res) => {
+  try {
+    if (req.query.split === '1') {
+      return res.status(400).json({ success:false, error:'split routes cannot be built; quote without split=1' });
+    }
+    const { status, body } = await swapQuote(req.query);
+    if (!body.success) return res.status(status).json(body);
+
+    const [from, to] = await Promise.all([resolveRef(req.query.from), resolveRef(req.query.to)]);
+    const expOf = (r) => (r.type === 'uzig' ? 6 : Number(r.token.exponent ?? 6));
+    const legs = body.data.pairs || [];
+    const rt = legs.length > 1 ? await routerForLegs(legs) : { router: null };
+    if (rt.error) return res.status(400).json({ success:false, error: rt.error });
+    const msg = buildSwapMsg(body.data, {
+      offerExp: expOf(from),
+      askExp: expOf(to),
+      slippageBps: clampSlippageBps(req.query.slippageBps),
+      sender: req.query.sender || null,
+      to: req.query.recipient || null,
+      routerContract: rt.router,
+    });
+    if (msg.error) return res.status(400).json({ success:false, error: msg.error });
+
+    res.json({
+      success: true,
+      data: { msg, quote: { route: body.data.route, source: body.data.source, pairs: body.data.pairs, exact_out: body.data.exact_out ?? null } }
+    });
+  } catch (e) {
+    console.error('[swap/build] error:', e);
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
 export default router;
@@ -1,10 +1,12 @@
 // api/routes/tokens.js
 import express from 'express';
 import { DB } from '../../lib/db.js';
+import { bestSellPool } from '../../core/amm/index.js';
 import { resolveTokenId, getZigUsd } from '../util/resolve-token.js';
 // keep legacy utilities for optional paths
 import { resolvePoolSelection, changePctForMinutes } from '../util/pool-select.js';
 import { getCandles, ensureTf } from '../util/ohlcv-agg.js';
+import { parseDex, dexWhere, dexWhereOpt } from '../util/dex.js';
 import e from 'express';
 import log from '../../lib/log.js';
 
@@ -12,141 +14,6 @@ const router = express.Router();
 const toNum = x => (x == null ? null : Number(x));
 const disp = (base, exp) => (base == null ? null : Number(base) / (10 ** (exp || 0)));
 
-/* ───────────────────────── helpers FROM /swap ───────────────────────── */
-
-// Oroswap pair type → taker fee fraction (same as /swap)
-function pairFee(pairType) {
-  if (!pairType) return 0.003;
-  const t = String(pairType).toLowerCase();
-  if (t === 'xyk') return 0.0001;
-  if (t === 'concentrated') return 0.01;
-  const m = t.match(/xyk[_-](\d+)/);
-  if (m) {
-    const bps = Number(m[1]);
-    if (Number.isFinite(bps)) return bps / 10_000;
-  }
-  return 0.003;
-}
-
-/** XYK simulation (fee-on-input). Rz = zig reserve, Rt = token reserve. (same as /swap) */
-function simulateXYK({ fromIsZig, amountIn, Rz, Rt, fee }) {
-  if (!(Rz > 0 && Rt > 0) || !(amountIn > 0)) {
-    return { out: 0, price: 0, impact: 0 };
-  }
-  const mid = Rz / Rt; // zig per token
-  const xin = amountIn * (1 - fee);
-
-  if (fromIsZig) {
-    // ZIG -> Token
-    const outToken = (xin * Rt) / (Rz + xin);
-    const effZigPerToken = amountIn / Math.max(outToken, 1e-18);
-    const impact = mid > 0 ? (effZigPerToken / mid) - 1 : 0;
-    return { out: outToken, price: effZigPerToken, impact };
-  } else {
-    // Token -> ZIG
-    const outZig = (xin * Rz) / (Rt + xin);
-    const effZigPerToken = outZig / amountIn; // executable zig per 1 token
-    const impact = mid > 0 ? (mid / Math.max(effZigPerToken, 1e-18)) - 1 : 0;
-    return { out: outZig, price: effZigPerToken, impact };
-  }
-}
-
-/** Load all UZIG-quoted pools for a token, including mid price & reserves (display units). (same as /swap) */
-async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0 } = {}) {
-  const { rows } = await DB.query(
-    `
-    SELECT
-      p.pool_id,
-      p.pair_contract,
-      p.pair_type,
-      pr.price_in_zig,           -- mid zig per token
-      ps.reserve_base_base   AS res_base_base,
-      ps.reserve_quote_base  AS res_quote_base,
-      tb.exponent            AS base_exp,
-      tq.exponent            AS quote_exp,
-      COALESCE(pm.tvl_zig,0) AS tvl_zig
-    FROM pools p
-    JOIN tokens tb           ON tb.token_id = p.base_token_id
-    JOIN tokens tq           ON tq.token_id = p.quote_token_id
-    LEFT JOIN pool_state ps  ON ps.pool_id = p.pool_id
-    LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
-    LEFT JOIN LATERAL (
-      SELECT price_in_zig
-        FROM prices
-       WHERE pool_id = p.pool_id
-         AND token_id = p.base_token_id
-       ORDER BY updated_at DESC
-       LIMIT 1
-    ) pr ON TRUE
-    WHERE p.is_uzig_quote = TRUE
-      AND p.base_token_id = $1
-    `,
-    [tokenId]
-  );
-
-  return rows
-    .map(r => {
-      const Rt = Number(r.res_base_base  || 0) / Math.pow(10, Number(r.base_exp  || 0)); // token reserve
-      const Rz = Number(r.res_quote_base || 0) / Math.pow(10, Number(r.quote_exp || 0)); // zig reserve
-      return {
-        poolId:       String(r.pool_id),
-        pairContract: r.pair_contract,
-        pairType:     r.pair_type,
-        priceInZig:   Number(r.price_in_zig || 0), // **mid** zig per token
-        tokenReserve: Rt,
-        zigReserve:   Rz,
-        tvlZig:       Number(r.tvl_zig || 0),
-      };
-    })
-    .filter(p => p.tvlZig >= minTvlZig);
-}
-
-/** Pick best pool by sim (maximize out). (same as /swap) */
-function pickBySimulation(pools, { fromIsZig, amountIn }) {
-  let best = null;
-  for (const p of pools) {
-    const fee = pairFee(p.pairType);
-    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
-    const sim = hasRes
-      ? simulateXYK({ fromIsZig, amountIn, Rz: p.zigReserve, Rt: p.tokenReserve, fee })
-      : null;
-    const score = sim ? sim.out : 0;
-    const cand = { ...p, fee, sim, score };
-    if (!best || cand.score > best.score) best = cand;
-  }
-  return best;
-}
-
-/** Default notional (~$100) when amt not provided. (same as /swap) */
-function defaultAmount(side, { zigUsd, pools }) {
-  const targetUsd = 100;
-  const zigAmt = targetUsd / Math.max(zigUsd, 1e-9);
-  if (side === 'buy') return zigAmt; // from ZIG
-  const avgMid = pools.length
-    ? pools.reduce((s, p) => s + (p.priceInZig || 0), 0) / pools.length
-    : 1;
-  return zigAmt / Math.max(avgMid, 1e-12); // from token
-}
-
-/** best pool for ZIG→TOKEN (buy) and TOKEN→ZIG (sell) — identical to /swap **/
-async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
-  const pick = pickBySimulation(pools, { fromIsZig: true, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
-}
-
-async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd }) {
-  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig });
-  if (!pools.length) return null;
-  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
-  const pick = pickBySimulation(pools, { fromIsZig: false, amountIn: amt });
-  if (!pick) return null;
-  return { ...pick, amtUsed: amt };
-}
-
 /* ================================ LIST: GET /tokens ================================ */
 /* Now uses bestSellPool() for change% pool selection. Optional includeBest=1 returns the chosen pool. */
 router.get('/', async (req, res) => {
@@ -158,6 +25,10 @@ router.get('/', async (req, res) => {
     const includeBest   = req.query.includeBest === '1';
     const minTvlZigBest = Number(req.query.minBestTvl || '0');
     const amtParam      = req.query.amt ? Number(req.query.amt) : undefined; // optional sizing to mirror /swap
+    const dex           = parseDex(req.query.dex);
+    // sell-ability filters (token_security); unscored tokens only pass when no minimum is set
+    const minSellability   = req.query.minSellability != null ? Number(req.query.minSellability) : null;
+    const excludeHoneypots = req.query.excludeHoneypots === '1';
     const limit  = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10), 200));
     const offset = Math.max(0, parseInt(req.query.offset || '0', 10));
     const zigUsd = await getZigUsd();
@@ -170,15 +41,21 @@ router.get('/', async (req, res) => {
         FROM pool_matrix pm
         JOIN pools p ON p.pool_id=pm.pool_id
         WHERE pm.bucket=$1
+          AND ${dexWhereOpt('p', 4)}
         GROUP BY p.base_token_id
       ),
       base AS (
         SELECT t.token_id, t.denom, t.symbol, t.name, t.image_uri, t.created_at,
                tm.price_in_zig, tm.mcap_zig, tm.fdv_zig, tm.holders,
-               a.vol_zig, a.tx
+               a.vol_zig, a.tx, ts.sellability_score
         FROM tokens t
         LEFT JOIN token_matrix tm ON tm.token_id=t.token_id AND tm.bucket=$1
         LEFT JOIN agg a ON a.token_id=t.token_id
+        LEFT JOIN token_security ts ON ts.token_id=t.token_id
+        WHERE ($4::text[] IS NULL
+           OR EXISTS (SELECT 1 FROM pools px WHERE px.base_token_id=t.token_id AND ${dexWhere('px', 4)}))
+          AND ($5::numeric IS NULL OR ts.sellability_score >= $5)
+          AND (NOT $6::boolean OR COALESCE((ts.risk_flags->>'honeypot_suspect')::boolean, FALSE) = FALSE)
       ),
       ranked AS (
         SELECT b.*, COUNT(*) OVER() AS total
@@ -193,13 +70,13 @@ router.get('/', async (req, res) => {
           sort === 'traders' ? `COALESCE(holders,0) ${dir}` :
                                `COALESCE(mcap_zig,0) ${dir}`}
       LIMIT $2 OFFSET $3
-    `, [bucket, limit, offset]);
+    `, [bucket, limit, offset, dex, Number.isFinite(minSellability) ? minSellability : null, excludeHoneypots]);
 
     // compute best pool per row (used for change%, and optionally returned)
     const bestMap = new Map();
     if ((includeChange || includeBest) && rows.rows.length) {
       const picks = await Promise.all(rows.rows.map(async r => {
-        const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd });
+        const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd, dex });
         return { id: r.token_id, pick };
       }));
       for (const x of picks) bestMap.set(String(x.id), x.pick);
@@ -239,6 +116,7 @@ router.get('/', async (req, res) => {
         volNative: volN,
         volUsd: volN * zigUsd,
         tx: toNum(r.tx) || 0,
+        sellabilityScore: toNum(r.sellability_score),
         ...(includeChange ? { change24hPct: changeMap.get(String(r.token_id)) ?? null } : {})
       };
 
@@ -260,7 +138,14 @@ router.get('/', async (req, res) => {
     });
 
     const total = rows.rows[0]?.total ?? 0;
-    res.json({ success: true, data, meta: { bucket, sort, dir, limit, offset, total, includeBest: includeBest ? 1 : 0 } });
+    res.json({
+      success: true, data,
+      meta: {
+        bucket, sort, dir, limit, offset, total, includeBest: includeBest ? 1 : 0,
+        minSellability: Number.isFinite(minSellability) ? minSellability : null,
+        excludeHoneypots: excludeHoneypots ? 1 : 0
+      }
+    });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
   }
@@ -275,6 +160,7 @@ router.get('/gainers', async (req, res) => {
     const outOffset = Math.max(0, parseInt(req.query.offset || '0', 10));
     const minTvlZigBest = Number(req.query.minBestTvl || '0');
     const amtParam      = req.query.amt ? Number(req.query.amt) : undefined;
+    const dex           = parseDex(req.query.dex);
     const zigUsd = await getZigUsd();
 
     const FETCH_LIMIT = 1000;
@@ -287,6 +173,7 @@ router.get('/gainers', async (req, res) => {
         FROM pool_matrix pm
         JOIN pools p ON p.pool_id=pm.pool_id
         WHERE pm.bucket=$1
+          AND ${dexWhereOpt('p', 3)}
         GROUP BY p.base_token_id
       ),
       base AS (
@@ -296,14 +183,16 @@ router.get('/gainers', async (req, res) => {
         FROM tokens t
         LEFT JOIN token_matrix tm ON tm.token_id=t.token_id AND tm.bucket=$1
         LEFT JOIN agg a ON a.token_id=t.token_id
+        WHERE $3::text[] IS NULL
+           OR EXISTS (SELECT 1 FROM pools px WHERE px.base_token_id=t.token_id AND ${dexWhere('px', 3)})
       )
       SELECT * FROM base
       LIMIT $2 OFFSET 0
-    `, [bucket, FETCH_LIMIT]);
+    `, [bucket, FETCH_LIMIT, dex]);
 
     const changeMap = new Map();
     await Promise.all(rows.rows.map(async r => {
-      const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd });
+      const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd, dex });
       if (!pick?.poolId) { changeMap.set(String(r.token_id), null); return; }
       const pct = await changePctForMinutes(pick.poolId, 1440);
       changeMap.set(String(r.token_id), pct);
@@ -356,6 +245,7 @@ router.get('/losers', async (req, res) => {
     const outOffset = Math.max(0, parseInt(req.query.offset || '0', 10));
     const minTvlZigBest = Number(req.query.minBestTvl || '0');
     const amtParam      = req.query.amt ? Number(req.query.amt) : undefined;
+    const dex           = parseDex(req.query.dex);
     const zigUsd = await getZigUsd();
 
     const FETCH_LIMIT = 1000;
@@ -368,6 +258,7 @@ router.get('/losers', async (req, res) => {
         FROM pool_matrix pm
         JOIN pools p ON p.pool_id=pm.pool_id
         WHERE pm.bucket=$1
+          AND ${dexWhereOpt('p', 3)}
         GROUP BY p.base_token_id
       ),
       base AS (
@@ -377,14 +268,16 @@ router.get('/losers', async (req, res) => {
         FROM tokens t
         LEFT JOIN token_matrix tm ON tm.token_id=t.token_id AND tm.bucket=$1
         LEFT JOIN agg a ON a.token_id=t.token_id
+        WHERE $3::text[] IS NULL
+           OR EXISTS (SELECT 1 FROM pools px WHERE px.base_token_id=t.token_id AND ${dexWhere('px', 3)})
       )
       SELECT * FROM base
       LIMIT $2 OFFSET 0
-    `, [bucket, FETCH_LIMIT]);
+    `, [bucket, FETCH_LIMIT, dex]);
 
     const changeMap = new Map();
     await Promise.all(rows.rows.map(async r => {
-      const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd });
+      const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd, dex });
       if (!pick?.poolId) { changeMap.set(String(r.token_id), null); return; }
       const pct = await changePctForMinutes(pick.poolId, 1440);
       changeMap.set(String(r.token_id), pct);
@@ -440,6 +333,7 @@ router.get('/swap-list', async (req, res) => {
     const includeBest   = req.query.includeBest === '1';
     const minTvlZigBest = Number(req.query.minBestTvl || '0');
     const amtParam      = req.query.amt ? Number(req.query.amt) : undefined;
+    const dex           = parseDex(req.query.dex);
     const zigUsd = await getZigUsd();
 
     const rows = await DB.query(`
@@ -451,6 +345,7 @@ router.get('/swap-list', async (req, res) => {
         FROM pool_matrix pm
         JOIN pools p ON p.pool_id=pm.pool_id
         WHERE pm.bucket=$1
+          AND ${dexWhereOpt('p', 4)}
         GROUP BY p.base_token_id
       )
       SELECT t.token_id, t.symbol, t.name, t.denom, t.image_uri, t.exponent,
@@ -459,15 +354,17 @@ router.get('/swap-list', async (req, res) => {
       FROM tokens t
       LEFT JOIN token_matrix tm ON tm.token_id=t.token_id AND tm.bucket=$1
       LEFT JOIN agg a ON a.token_id=t.token_id
+      WHERE $4::text[] IS NULL
+         OR EXISTS (SELECT 1 FROM pools px WHERE px.base_token_id=t.token_id AND ${dexWhere('px', 4)})
       ORDER BY COALESCE(a.vol_zig,0) DESC NULLS LAST
       LIMIT $2 OFFSET $3
-    `, [bucket, limit, offset]);
+    `, [bucket, limit, offset, dex]);
 
     // best pool (sell leg) per token if requested
     const bestMap = new Map();
     if (includeBest && rows.rows.length) {
       const picks = await Promise.all(rows.rows.map(async r => {
-        const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd });
+        const pick = await bestSellPool(r.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd, dex });
         return { id: r.token_id, pick };
       }));
       for (const x of picks) bestMap.set(String(x.id), x.pick);
@@ -535,21 +432,54 @@ router.get('/:id', async (req, res) => {
     const includeBest   = req.query.includeBest === '1';
     const minTvlZigBest = Number(req.query.minBestTvl || '0');
     const amtParam      = req.query.amt ? Number(req.query.amt) : undefined;
+    const dex           = parseDex(req.query.dex);
 
     // pick the same pool /swap would use for SELL (token -> uzig)
-    const best = await bestSellPool(tok.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd });
+    const best = await bestSellPool(tok.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd, dex });
 
     // if no pool, return minimal object
     if (!best?.poolId) {
       const srow = await DB.query(`SELECT exponent, image_uri, website, twitter, telegram, description FROM tokens WHERE token_id=$1`, [tok.token_id]);
       const s = srow.rows[0] || {};
+
+      // no UZIG pool: fall back to the deepest multi-hop route (jobs/price-graph.js)
+      const routed = (await DB.query(`
+        SELECT pr.pool_id, pr.price_in_zig, pr.path_pool_ids, pr.path_token_ids, pr.depth_zig,
+               (p.base_token_id = pr.token_id) AS is_base
+          FROM prices pr
+          JOIN pools p ON p.pool_id = pr.pool_id
+         WHERE pr.token_id = $1 AND pr.path_pool_ids IS NOT NULL
+           AND ${dexWhereOpt('p', 2)}
+         ORDER BY pr.depth_zig DESC NULLS LAST, pr.updated_at DESC
+         LIMIT 1
+      `, [tok.token_id, dex])).rows[0];
+
+      const price = routed ? {
+        source: 'route',
+        poolId: String(routed.pool_id),
+        native: Number(routed.price_in_zig),
+        usd: Number(routed.price_in_zig) * zigUsd,
+        route: {
+          pools: (routed.path_pool_ids || []).map(String),
+          tokens: (routed.path_token_ids || []).map(String),
+          depthNative: routed.depth_zig != null ? Number(routed.depth_zig) : null,
+        },
+        // ohlcv_1m closes are base-in-ZIG, so only meaningful when the token is the pool base
+        changePct: routed.is_base ? {
+          '30m': await changePctForMinutes(routed.pool_id, 30),
+          '1h' : await changePctForMinutes(routed.pool_id, 60),
+          '4h' : await changePctForMinutes(routed.pool_id, 240),
+          '24h': await changePctForMinutes(routed.pool_id, 1440),
+        } : { '30m':0, '1h':0, '4h':0, '24h': null },
+      } : { source: 'best', poolId: null, native: null, usd: null, changePct: { '30m':0, '1h':0, '4h':0, '24h': null } };
+
       return res.json({ success: true, data: {
         tokenId: String(tok.token_id),
         denom: tok.denom, symbol: tok.symbol, name: tok.name,
         exponent: s.exponent != null ? Number(s.exponent) : 6,
         imageUri: s.image_uri, website: s.website, twitter: s.twitter, telegram: s.telegram,
         description: s.description,
-        price: { source: 'best', poolId: null, native: null, usd: null, changePct: { '30m':0, '1h':0, '4h':0, '24h': null } },
+        price,
         liquidity: 0, liquidityNative: 0,
         ...(includeBest ? { bestPool: null } : {})
       }});
@@ -593,7 +523,8 @@ router.get('/:id', async (req, res) => {
       JOIN tokens tb            ON tb.token_id  = p.base_token_id
       JOIN tokens tq            ON tq.token_id  = p.quote_token_id
       WHERE p.base_token_id = $1 AND p.is_uzig_quote = TRUE
-    `, [tok.token_id]);
+        AND ${dexWhereOpt('p', 2)}
+    `, [tok.token_id, dex]);
 
     let tvlZigSum = 0;
     for (const r of live.rows) {
@@ -620,8 +551,9 @@ router.get('/:id', async (req, res) => {
         JOIN pool_matrix pm ON pm.pool_id=p.pool_id
        WHERE p.base_token_id=$1
          AND pm.bucket = ANY($2)
+         AND ${dexWhereOpt('p', 3)}
        GROUP BY pm.bucket
-    `, [tok.token_id, buckets]);
+    `, [tok.token_id, buckets, dex]);
 
     const map = new Map(agg.rows.map(r => [r.bucket, {
       vbuy: Number(r.vbuy || 0),
@@ -653,7 +585,7 @@ router.get('/:id', async (req, res) => {
     const fdvNative = (priceNative != null && max  != null) ? max  * priceNative : null;
 
     const poolsCount = (await DB.query(
-      `SELECT COUNT(*)::int AS c FROM pools WHERE base_token_id=$1`, [tok.token_id]
+      `SELECT COUNT(*)::int AS c FROM pools p WHERE p.base_token_id=$1 AND ${dexWhereOpt('p', 2)}`, [tok.token_id, dex]
     )).rows[0]?.c || 0;
 
     const holders = (await DB.query(
@@ -661,7 +593,7 @@ router.get('/:id', async (req, res) => {
     )).rows[0]?.holders_count || 0;
 
     const creation = (await DB.query(
-      `SELECT MIN(created_at) AS first_ts FROM pools WHERE base_token_id=$1`, [tok.token_id]
+      `SELECT MIN(p.created_at) AS first_ts FROM pools p WHERE p.base_token_id=$1 AND ${dexWhereOpt('p', 2)}`, [tok.token_id, dex]
     )).rows[0]?.first_ts || null;
 
     const tw = await DB.query(`
@@ -772,6 +704,7 @@ router.get('/:id/pools', async (req, res) => {
     if (!tok) return res.status(404).json({ success:false, error:'token not found' });
     const bucket = (req.query.bucket || '24h').toLowerCase();
     const includeCaps = req.query.includeCaps === '1';
+    const dex = parseDex(req.query.dex);
     const zigUsd = await getZigUsd();
 
     const header = await DB.query(`SELECT token_id, symbol, denom, image_uri, total_supply_base, max_supply_base, exponent FROM tokens WHERE token_id=$1`, [tok.token_id]);
@@ -783,24 +716,29 @@ router.get('/:id/pools', async (req, res) => {
     const rows = await DB.query(`
       SELECT
         p.pool_id, p.pair_contract, p.base_token_id, p.quote_token_id, p.is_uzig_quote, p.created_at,
+        p.pair_type, p.dex, p.factory_contract,
         b.symbol AS base_symbol, b.denom AS base_denom, b.exponent AS base_exp,
         q.symbol AS quote_symbol, q.denom AS quote_denom, q.exponent AS quote_exp,
         COALESCE(pm.tvl_zig,0) AS tvl_zig,
         COALESCE(pm.vol_buy_zig,0) + COALESCE(pm.vol_sell_zig,0) AS vol_zig,
         COALESCE(pm.tx_buy,0) + COALESCE(pm.tx_sell,0) AS tx,
         COALESCE(pm.unique_traders,0) AS unique_traders,
-        pr.price_in_zig
+        pr.price_in_zig,
+        p.lp_token_denom, ls.holders_count AS lp_holders, ls.top10_pct AS lp_top10_pct,
+        ls.burned_pct AS lp_burned_pct, ls.locked_pct AS lp_locked_pct, ls.updated_at AS lp_updated_at
       FROM pools p
       JOIN tokens b ON b.token_id=p.base_token_id
       JOIN tokens q ON q.token_id=p.quote_token_id
       LEFT JOIN pool_matrix pm ON pm.pool_id=p.pool_id AND pm.bucket=$2
+      LEFT JOIN pool_lp_stats ls ON ls.pool_id=p.pool_id
       LEFT JOIN LATERAL (
         SELECT price_in_zig FROM prices WHERE pool_id=p.pool_id AND token_id=p.base_token_id
         ORDER BY updated_at DESC LIMIT 1
       ) pr ON TRUE
       WHERE p.base_token_id=$1
+        AND ${dexWhereOpt('p', 3)}
       ORDER BY p.created_at ASC
-    `, [tok.token_id, bucket]);
+    `, [tok.token_id, bucket, dex]);
 
     const data = rows.rows.map(r => {
       const priceN = r.is_uzig_quote ? toNum(r.price_in_zig) : null;
@@ -810,6 +748,9 @@ router.get('/:id/pools', async (req, res) => {
       const fdvN   = includeCaps && priceN != null && max  != null ? priceN * max  : null;
       return {
         pairContract: r.pair_contract,
+        pairType: r.pair_type,
+        dex: r.dex || null,
+        factoryContract: r.factory_contract || null,
         base: { tokenId: r.base_token_id, symbol: r.base_symbol, denom: r.base_denom, exponent: toNum(r.base_exp) },
         quote:{ tokenId: r.quote_token_id, symbol: r.quote_symbol, denom: r.quote_denom, exponent: toNum(r.quote_exp) },
         isUzigQuote: r.is_uzig_quote === true,
@@ -820,6 +761,14 @@ router.get('/:id/pools', async (req, res) => {
         volumeNative: volN, volumeUsd: volN * zigUsd,
         tx: toNum(r.tx) || 0,
         uniqueTraders: toNum(r.unique_traders) || 0,
+        lp: {
+          denom: r.lp_token_denom || null,
+          holders: r.lp_holders != null ? toNum(r.lp_holders) : null,
+          top10Pct: toNum(r.lp_top10_pct),
+          burnedPct: toNum(r.lp_burned_pct),
+          lockedPct: toNum(r.lp_locked_pct),
+          updatedAt: r.lp_updated_at || null
+        },
         ...(includeCaps ? {
           mcapNative: mcapN, mcapUsd: mcapN != null ? mcapN * zigUsd : null,
           fdvNative: fdvN,   fdvUsd:  fdvN  != null ? fdvN  * zigUsd : null
@@ -831,7 +780,7 @@ router.get('/:id/pools', async (req, res) => {
       success: true,
       token: { tokenId: h.token_id, symbol: h.symbol, denom: h.denom, imageUri: h.image_uri },
       data,
-      meta: { bucket, includeCaps: includeCaps ? 1 : 0 }
+      meta: { bucket, includeCaps: includeCaps ? 1 : 0, dex: req.query.dex || null }
     });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -845,6 +794,13 @@ router.get('/:id/holders', async (req, res) => {
     if (!tok) return res.status(404).json({ success:false, error:'token not found' });
     const limit  = Math.max(1, Math.min(parseInt(req.query.limit || '200', 10), 500));
     const offset = Math.max(0, parseInt(req.query.offset || '0', 10));
+    const dex    = parseDex(req.query.dex);
+
+    // holders are per token; ?dex= only narrows which tokens are listed, like the list route
+    if (dex) {
+      const on = await DB.query(`SELECT 1 FROM pools p WHERE p.base_token_id=$1 AND ${dexWhere('p', 2)} LIMIT 1`, [tok.token_id, dex]);
+      if (!on.rows.length) return res.status(404).json({ success:false, error:'token has no pools on this dex' });
+    }
 
     const sup = await DB.query(`SELECT max_supply_base, total_supply_base, exponent FROM tokens WHERE token_id=$1`, [tok.token_id]);
     const exp = sup.exponent != null ? Number(sup.exponent) : 6;
@@ -872,7 +828,174 @@ router.get('/:id/holders', async (req, res) => {
       return { address: r.address, balance: balDisp, pctOfMax: pctMax, pctOfTotal: pctTot };
     });
 
-    res.json({ success: true, data: holders, meta: { limit, offset, totalHolders: total, top10PctOfMax: pctTop10Max } });
+    res.json({ success: true, data: holders, meta: { limit, offset, totalHolders: total, top10PctOfMax: pctTop10Max, dex: req.query.dex || null } });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =========================== LP HOLDERS: GET /tokens/:id/lp-holders =========================== */
+router.get('/:id/lp-holders', async (req, res) => {
+  try {
+    const tok = await resolveTokenId(req.params.id);
+    if (!tok) return res.status(404).json({ success:false, error:'token not found' });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '20', 10), 200));
+    const pair  = req.query.pair ? String(req.query.pair) : null;
+    const dex   = parseDex(req.query.dex);
+
+    const { rows: pools } = await DB.query(`
+      SELECT p.pool_id, p.pair_contract, p.pair_type, p.lp_token_denom,
+             q.symbol AS quote_symbol, q.denom AS quote_denom,
+             ls.holders_count, ls.total_share_base, ls.top10_pct,
+             ls.burned_base, ls.locked_base, ls.burned_pct, ls.locked_pct, ls.complete, ls.updated_at
+      FROM pools p
+      JOIN tokens q ON q.token_id=p.quote_token_id
+      LEFT JOIN pool_lp_stats ls ON ls.pool_id=p.pool_id
+      WHERE p.base_token_id=$1
+        AND ($2::text IS NULL OR p.pair_contract=$2)
+        AND ${dexWhereOpt('p', 3)}
+      ORDER BY p.created_at ASC
+    `, [tok.token_id, pair, dex]);
+    if (pair && !pools.length) return res.status(404).json({ success:false, error:'pool not found for token' });
+
+    const data = [];
+    for (const p of pools) {
+      const supply = Number(p.total_share_base || 0);
+      const { rows } = await DB.query(`
+        SELECT address, balance_base::numeric AS bal
+        FROM lp_holders
+        WHERE pool_id=$1 AND balance_base > 0
+        ORDER BY bal DESC
+        LIMIT $2
+      `, [p.pool_id, limit]);
+      data.push({
+        pairContract: p.pair_contract,
+        pairType: p.pair_type,
+        quote: { symbol: p.quote_symbol, denom: p.quote_denom },
+        lpDenom: p.lp_token_denom || null,
+        holdersCount: p.holders_count != null ? toNum(p.holders_count) : null,
+        totalShareBase: p.total_share_base != null ? String(p.total_share_base) : null,
+        top10Pct: toNum(p.top10_pct),
+        burnedBase: p.burned_base != null ? String(p.burned_base) : null,
+        lockedBase: p.locked_base != null ? String(p.locked_base) : null,
+        burnedPct: toNum(p.burned_pct),
+        lockedPct: toNum(p.locked_pct),
+        unlockedPct: p.burned_pct != null ? Math.max(0, 100 - toNum(p.burned_pct) - toNum(p.locked_pct)) : null,
+        completeSweep: p.complete === true,
+        updatedAt: p.updated_at || null,
+        holders: rows.map(r => ({
+          address: r.address,
+          balanceBase: String(r.bal),
+          pctOfSupply: supply > 0 ? (Number(r.bal) / supply) * 100 : null
+        }))
+      });
+    }
+
+    res.json({ success: true, data, meta: { limit, pair, dex: req.query.dex || null } });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/* =========================== LAUNCH: GET /tokens/:id/launch =========================== */
+/* First buyers of the launch pool (first created, or ?pair=), ranked by block order
+   (height, tx_index, msg_index) of their first buy, with what they spent, whether they
+   sold since and the share of supply they hold now (holders). Buyers are folded
+   incrementally by jobs/launch-report.js (launch_buyers); non-uzig quote legs are
+   valued at the quote's price when each trade happened. */
+router.get('/:id/launch', async (req, res) => {
+  try {
+    const tok = await resolveTokenId(req.params.id);
+    if (!tok) return res.status(404).json({ success:false, error:'token not found' });
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '20', 10), 50));
+    const pair  = req.query.pair ? String(req.query.pair) : null;
+    const dex   = parseDex(req.query.dex);
+
+    const { rows: pools } = await DB.query(`
+      SELECT p.pool_id, p.pair_contract, p.created_at, p.created_height, p.signer,
+             q.symbol AS quote_symbol, q.denom AS quote_denom
+      FROM pools p
+      JOIN tokens q ON q.token_id=p.quote_token_id
+      WHERE p.base_token_id=$1
+        AND ($2::text IS NULL OR p.pair_contract=$2)
+        AND ${dexWhereOpt('p', 3)}
+      ORDER BY p.created_at ASC NULLS LAST, p.pool_id ASC
+      LIMIT 1
+    `, [tok.token_id, pair, dex]);
+    const pool = pools[0];
+    if (!pool) return res.status(404).json({ success:false, error: pair ? 'pool not found for token' : dex ? 'token has no pools on this dex' : 'token has no pools' });
+
+    // rows indexed before tx_index was stored sort first within their block
+    const [buyers, sup, zigUsd] = await Promise.all([
+      DB.query(`
+        SELECT lb.*, h.balance_base AS holding_base,
+               (SELECT array_agg(wl.label ORDER BY wl.label) FROM wallet_labels wl WHERE wl.address = lb.address) AS labels
+        FROM launch_buyers lb
+        LEFT JOIN holders h ON h.token_id=$2 AND h.address=lb.address
+        WHERE lb.pool_id=$1
+        ORDER BY lb.first_height, lb.first_tx_index NULLS FIRST, lb.first_msg_index NULLS FIRST, lb.address
+        LIMIT $3
+      `, [pool.pool_id, tok.token_id, limit]),
+      DB.query(`SELECT COALESCE(total_supply_base, max_supply_base) AS supply, exponent FROM tokens WHERE token_id=$1`, [tok.token_id]),
+      getZigUsd(),
+    ]);
+    const supply = Number(sup.rows[0]?.supply || 0);
+    const exp = sup.rows[0]?.exponent != null ? Number(sup.rows[0].exponent) : 6;
+    const createdHeight = pool.created_height != null ? Number(pool.created_height) : null;
+
+    const data = buyers.rows.map((r, i) => {
+      const holding = r.holding_base != null ? Number(r.holding_base) : null;
+      const bought = Number(r.bought_base);
+      return {
+        rank: i + 1,
+        address: r.address,
+        isCreator: pool.signer != null && r.address === pool.signer,
+        labels: r.labels || [],
+        height: Number(r.first_height),
+        blocksAfterCreate: createdHeight != null ? Number(r.first_height) - createdHeight : null,
+        txIndex: r.first_tx_index,
+        msgIndex: r.first_msg_index,
+        txHash: r.first_tx_hash,
+        time: r.first_buy_at,
+        firstBuyZig: toNum(r.first_buy_zig),
+        spentZig: toNum(r.bought_zig),
+        spentUsd: r.bought_zig != null ? Number(r.bought_zig) * zigUsd : null,
+        bought: disp(r.bought_base, exp),
+        buys: r.buys,
+        hasSold: r.sells > 0,
+        sold: disp(r.sold_base, exp),
+        soldPctOfBought: bought > 0 ? Math.min(100, (Number(r.sold_base) / bought) * 100) : null,
+        soldZig: toNum(r.sold_zig),
+        firstSoldAt: r.first_sold_at,
+        holding: holding != null ? disp(holding, exp) : null,
+        holdingPctOfSupply: holding != null && supply > 0 ? (holding / supply) * 100 : null,
+      };
+    });
+
+    const summary = {
+      buyers: data.length,
+      sold: data.filter(b => b.hasSold).length,
+      stillHolding: data.filter(b => (b.holding || 0) > 0).length,
+      spentZig: data.reduce((s, b) => s + (b.spentZig || 0), 0),
+      holdingPctOfSupply: data.reduce((s, b) => s + (b.holdingPctOfSupply || 0), 0),
+      sameBlockAsCreate: createdHeight != null ? data.filter(b => b.blocksAfterCreate === 0).length : null,
+    };
+
+    res.json({
+      success: true,
+      data: {
+        pool: {
+          pairContract: pool.pair_contract,
+          quote: { symbol: pool.quote_symbol, denom: pool.quote_denom },
+          createdAt: pool.created_at,
+          createdHeight,
+          creator: pool.signer || null,
+        },
+        summary,
+        buyers: data,
+      },
+      meta: { limit, pair, zigUsd, dex: req.query.dex || null }
+    });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
   }
@@ -883,6 +1006,7 @@ router.get('/:id/security', async (req, res) => {
   try {
     const tok = await resolveTokenId(req.params.id);
     if (!tok) return res.status(404).json({ success:false, error:'token not found' });
+    const dex = parseDex(req.query.dex);
 
     const sq = await DB.query(`
       SELECT
@@ -898,6 +1022,18 @@ router.get('/:id/security', async (req, res) => {
         top10_pct_of_max,
         holders_count,
         first_seen_at,
+        risk_flags,
+        lp_burned_pct,
+        lp_locked_pct,
+        lp_unlocked_pct,
+        lp_pools,
+        rug_suspect,
+        sellability_score,
+        distinct_buyers,
+        distinct_sellers,
+        seller_buyer_ratio,
+        failed_swap_pct,
+        sells_creator_only,
         checked_at
       FROM public.token_security
       WHERE token_id=$1
@@ -905,6 +1041,21 @@ router.get('/:id/security', async (req, res) => {
     `, [tok.token_id]);
     const s = sq.rows[0] || null;
 
+    const { rows: rugRows } = await DB.query(`
+      SELECT ri.reasons, ri.removed_pct, ri.signer, ri.is_creator, ri.tx_hash, ri.created_at, p.pair_contract
+      FROM public.rug_incidents ri
+      JOIN public.pools p ON p.pool_id = ri.pool_id
+      WHERE ri.token_id=$1
+        AND ${dexWhereOpt('p', 2)}
+      ORDER BY ri.created_at DESC
+      LIMIT 5
+    `, [tok.token_id, dex]);
+
+    // the score stays token-wide; ?dex= narrows the per-pool lists
+    const dexPairs = dex ? new Set((await DB.query(
+      `SELECT p.pair_contract FROM pools p WHERE p.base_token_id=$1 AND ${dexWhere('p', 2)}`, [tok.token_id, dex]
+    )).rows.map(r => r.pair_contract)) : null;
+
     const tq = await DB.query(
       `SELECT exponent, created_at FROM public.tokens WHERE token_id=$1`,
       [tok.token_id]
@@ -950,6 +1101,19 @@ router.get('/:id/security', async (req, res) => {
       }
     }
 
+    if (s?.rug_suspect === true) penalties.push({k:'rug_suspect', pts:30});
+
+    const sellability = s?.sellability_score != null ? Number(s.sellability_score) : null;
+    if (s?.risk_flags?.honeypot_suspect === true) penalties.push({k:'honeypot_suspect', pts:35});
+    else if (sellability != null && sellability < 50) penalties.push({k:'sellability<50', pts:10});
+
+    const lpUnlockedPct = s?.lp_unlocked_pct != null ? Number(s.lp_unlocked_pct) : null;
+    if (lpUnlockedPct != null) {
+      if (lpUnlockedPct > 90) penalties.push({k:'lp_unlocked>90%', pts:15});
+      else if (lpUnlockedPct > 50) penalties.push({k:'lp_unlocked>50%', pts:10});
+      else if (lpUnlockedPct <= 10) bonuses.push({k:'lp_locked_or_burned>=90%', pts:6});
+    }
+
     const firstSeen = s?.first_seen_at ? new Date(s.first_seen_at) : null;
     if (firstSeen) {
       const daysAlive = (Date.now() - firstSeen.getTime()) / (1000*60*60*24);
@@ -970,7 +1134,10 @@ router.get('/:id/security', async (req, res) => {
       totalSupply: totalSupplyDisp,
       top10PctOfMax: Number(top10PctOfMax.toFixed(4)),
       creatorPctOfMax: Number(creatorPctOfMax.toFixed(4)),
-      holdersCount: holdersCount
+      holdersCount: holdersCount,
+      lpUnlockedPct: lpUnlockedPct != null ? Number(lpUnlockedPct.toFixed(4)) : null,
+      rugSuspect: s?.rug_suspect === true,
+      sellabilityScore: sellability
     };
 
     const dev = {
@@ -997,6 +1164,31 @@ router.get('/:id/security', async (req, res) => {
       adoption: {
         holdersCount: holdersCount,
         firstSeenAt: s?.first_seen_at || null
+      },
+      liquidity: {
+        lpBurnedPct: s?.lp_burned_pct != null ? Number(Number(s.lp_burned_pct).toFixed(4)) : null,
+        lpLockedPct: s?.lp_locked_pct != null ? Number(Number(s.lp_locked_pct).toFixed(4)) : null,
+        lpUnlockedPct: lpUnlockedPct != null ? Number(lpUnlockedPct.toFixed(4)) : null,
+        pools: (s?.lp_pools || []).filter(lp => !dexPairs || dexPairs.has(lp.pairContract)),
+        rugSuspect: s?.rug_suspect === true,
+        recentRugIncidents: rugRows.map(r => ({
+          pairContract: r.pair_contract,
+          reasons: r.reasons,
+          removedPct: r.removed_pct != null ? Number(r.removed_pct) : null,
+          signer: r.signer,
+          isCreator: r.is_creator === true,
+          txHash: r.tx_hash,
+          at: r.created_at
+        }))
+      },
+      tradability: {
+        sellabilityScore: sellability,
+        distinctBuyers: s?.distinct_buyers ?? null,
+        distinctSellers: s?.distinct_sellers ?? null,
+        sellerBuyerRatio: s?.seller_buyer_ratio != null ? Number(s.seller_buyer_ratio) : null,
+        failedSwapPct: s?.failed_swap_pct != null ? Number(s.failed_swap_pct) : null,
+        sellsCreatorOnly: s?.sells_creator_only === true,
+        honeypotSuspect: s?.risk_flags?.honeypot_suspect === true
       }
     };
 
@@ -1009,9 +1201,11 @@ router.get('/:id/security', async (req, res) => {
         categories,
         checks,
         dev,
+        riskFlags: s?.risk_flags || {},
         lastUpdated: s?.checked_at || null,
         source: 'token_security'
-      }
+      },
+      meta: { dex: req.query.dex || null }
     });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -1049,6 +1243,7 @@ router.get('/:id/ohlcv', async (req, res) => {
     const fill = (req.query.fill || 'none').toLowerCase(); // prev|zero|none
     const minTvlZigBest = Number(req.query.minBestTvl || '0');
     const amtParam      = req.query.amt ? Number(req.query.amt) : undefined;
+    const dex           = parseDex(req.query.dex);
 
     const now = new Date();
     let toIso   = req.query.to || now.toISOString();
@@ -1082,13 +1277,14 @@ router.get('/:id/ohlcv', async (req, res) => {
     let seedPrevClose = null;
 
     if (priceSource === 'all') {
-      params = [tok.token_id, fromIso, toIso, stepSec];
+      params = [tok.token_id, fromIso, toIso, stepSec, dex];
       headerSQL = `
         WITH src AS (
           SELECT o.pool_id, o.bucket_start, o.open, o.high, o.low, o.close, o.volume_zig, o.trade_count
           FROM ohlcv_1m o
           JOIN pools p ON p.pool_id=o.pool_id
           WHERE p.base_token_id=$1 AND p.is_uzig_quote=TRUE
+            AND ${dexWhereOpt('p', 5)}
             AND o.bucket_start >= $2::timestamptz AND o.bucket_start < $3::timestamptz
         ),
       `;
@@ -1096,16 +1292,17 @@ router.get('/:id/ohlcv', async (req, res) => {
         SELECT o.close FROM ohlcv_1m o
         JOIN pools p ON p.pool_id=o.pool_id
         WHERE p.base_token_id=$1 AND p.is_uzig_quote=TRUE
+          AND ${dexWhereOpt('p', 3)}
           AND o.bucket_start < $2::timestamptz
         ORDER BY o.bucket_start DESC LIMIT 1
-      `, [tok.token_id, fromIso]);
+      `, [tok.token_id, fromIso, dex]);
       seedPrevClose = q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
     } else if (priceSource === 'pool') {
       let poolRow = null;
       if (poolIdParam || pairParam) {
         const { rows } = await DB.query(
-          `SELECT pool_id FROM pools WHERE (pool_id::text=$1 OR pair_contract=$1) AND base_token_id=$2 LIMIT 1`,
-          [poolIdParam || pairParam, tok.token_id]
+          `SELECT p.pool_id FROM pools p WHERE (p.pool_id::text=$1 OR p.pair_contract=$1) AND p.base_token_id=$2 AND ${dexWhereOpt('p', 3)} LIMIT 1`,
+          [poolIdParam || pairParam, tok.token_id, dex]
         );
         poolRow = rows[0] || null;
       }
@@ -1129,7 +1326,7 @@ router.get('/:id/ohlcv', async (req, res) => {
       seedPrevClose = q.rows[0]?.close != null ? Number(q.rows[0].close) : null;
     } else {
       // priceSource === 'best' (default): choose the same pool as /swap sell leg
-      const best = await bestSellPool(tok.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd });
+      const best = await bestSellPool(tok.token_id, { amountIn: amtParam, minTvlZig: minTvlZigBest, zigUsd, dex });
       if (!best?.poolId) {
         return res.json({ success:true, data: [], meta:{ tf, mode, unit, fill, priceSource:'best', poolId:null } });
       }
@@ -1264,9 +1461,10 @@ router.get('/:id/best-pool', async (req, res) => {
 
     const minTvlZig = Number(req.query.minBestTvl || '0');
     const amtParam  = req.query.amt ? Number(req.query.amt) : undefined;
+    const dex       = parseDex(req.query.dex);
     const zigUsd    = await getZigUsd();
 
-    const best  = await bestSellPool(tok.token_id, { amountIn: amtParam, minTvlZig, zigUsd });
+    const best  = await bestSellPool(tok.token_id, { amountIn: amtParam, minTvlZig, zigUsd, dex });
     if (!best) return res.json({ success:true, data:null });
 
     res.json({ success:true, data: {
@@ -2,6 +2,7 @@
 import express from 'express';
 import { DB } from '../../lib/db.js';
 import { getZigUsd, resolveTokenId } from '../util/resolve-token.js';
+import { parseDex, dexWhere } from '../util/dex.js';
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const router = express.Router();
 const VALID_DIR = new Set(['buy','sell','provide','withdraw']);
 const VALID_CLASS = new Set(['shrimp','shark','whale']);
 const VALID_LIMITS = new Set([100, 500, 1000]);
+const VALID_LABELS = new Set(['sniper','bot','mev','whale']);
 
 function normDir(d) {
   const x = String(d || '').toLowerCase();
@@ -22,6 +24,14 @@ function clampInt(v, { min = 0, max = 1e9, def = 0 } = {}) {
   return Math.max(min, Math.min(max, n));
 }
 
+/** ?label=bot,mev / ?excludeLabel=bot → { include, exclude } or null */
+function parseLabels(q) {
+  const list = (v) => String(v || '').toLowerCase().split(',').map(x => x.trim()).filter(x => VALID_LABELS.has(x));
+  const include = list(q.label);
+  const exclude = list(q.excludeLabel);
+  return include.length || exclude.length ? { include, exclude } : null;
+}
+
 function parseLimit(q) {
   const n = Number(q);
   if (VALID_LIMITS.has(n)) return n;
@@ -90,8 +100,8 @@ function tradesFromJoin(alias = 't') {
   `;
 }
 
-/** WHERE builder (without time) — scope/direction/includeLiquidity */
-function buildWhereBase({ scope, scopeValue, direction, includeLiquidity }, params, alias = 't') {
+/** WHERE builder (without time) — scope/direction/includeLiquidity/dex/labels */
+function buildWhereBase({ scope, scopeValue, direction, includeLiquidity, dex = null, labels = null }, params, alias = 't') {
   const where = [];
   if (includeLiquidity) where.push(`${alias}.action IN ('swap','provide','withdraw')`);
   else where.push(`${alias}.action = 'swap'`);
@@ -116,9 +126,53 @@ function buildWhereBase({ scope, scopeValue, direction, includeLiquidity }, para
       params.push(scopeValue.pairContract);
     }
   }
+
+  if (dex) {
+    where.push(dexWhere('p', params.length + 1));
+    params.push(dex);
+  }
+  if (labels) where.push(...labelWhere(labels, params, alias));
   return where;
 }
 
+/** signer label filters (wallet_labels, see jobs/wallet-labels.js) */
+function labelWhere({ include, exclude }, params, alias = 't') {
+  const out = [];
+  if (include.length) {
+    out.push(`EXISTS (SELECT 1 FROM wallet_labels wl WHERE wl.address = ${alias}.signer AND wl.label = ANY($${params.length + 1}::text[]))`);
+    params.push(include);
+  }
+  if (exclude.length) {
+    out.push(`NOT EXISTS (SELECT 1 FROM wallet_labels wl WHERE wl.address = ${alias}.signer AND wl.label = ANY($${params.length + 1}::text[]))`);
+    params.push(exclude);
+  }
+  return out;
+}
+
+/** set signerLabels on shaped rows (and router legs) with one lookup */
+async function attachSignerLabels(items) {
+  const addrs = new Set();
+  for (const it of items) {
+    if (it.signer) addrs.add(it.signer);
+    for (const l of it.legs || []) if (l.signer) addrs.add(l.signer);
+  }
+  const byAddr = new Map();
+  if (addrs.size) {
+    const { rows } = await DB.query(`
+      SELECT address, array_agg(label ORDER BY label) AS labels
+      FROM wallet_labels
+      WHERE address = ANY($1::text[])
+      GROUP BY address
+    `, [Array.from(addrs)]);
+    for (const r of rows) byAddr.set(r.address, r.labels);
+  }
+  for (const it of items) {
+    it.signerLabels = byAddr.get(it.signer) || [];
+    for (const l of it.legs || []) l.signerLabels = byAddr.get(l.signer) || [];
+  }
+  return items;
+}
+
 /** scale helper for shaping (JS side) */
 function scale(base, exp, fallback = 6) {
   if (base == null) return null;
@@ -191,6 +245,8 @@ function shapeRow(r, unit, zigUsd) {
     signer: r.signer,
     direction: r.direction,
     is_router: r.is_router === true,
+    routerContract: r.router_contract || null,
+    dex: r.dex || null,
 
     offerDenom: r.offer_asset_denom,
     offerAmountBase: r.offer_amount_base,
@@ -289,6 +345,7 @@ async function fetchSiblingLegsByTx(txHashes, windowOpts) {
       t.*,
       p.pair_contract,
       p.is_uzig_quote,
+      p.dex,
       q.exponent AS qexp,
       b.exponent AS bexp,
       b.denom    AS base_denom,
@@ -337,10 +394,10 @@ function paginateArray(data, page, limit) {
 function buildWorthPagedSQL({
   scope, scopeValue, direction, includeLiquidity,
   windowOpts, page, limit, unit, klass, minValue, maxValue,
-  extraWhere = [], includeTotal = false
+  extraWhere = [], includeTotal = false, dex = null, labels = null
 }, params) {
   // Base WHERE
-  const baseWhere = buildWhereBase({ scope, scopeValue, direction, includeLiquidity }, params, 't');
+  const baseWhere = buildWhereBase({ scope, scopeValue, direction, includeLiquidity, dex, labels }, params, 't');
 
   // extras
   if (Array.isArray(extraWhere) && extraWhere.length) baseWhere.push(...extraWhere);
@@ -395,6 +452,7 @@ function buildWorthPagedSQL({
         t.*,
         p.pair_contract,
         p.is_uzig_quote,
+        p.dex,
         q.exponent AS qexp,
         b.exponent AS bexp,
         b.denom    AS base_denom,
@@ -460,6 +518,8 @@ router.get('/', async (req, res) => {
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
+    const dex    = parseDex(req.query.dex);
+    const labels = parseLabels(req.query);
 
     const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
@@ -468,7 +528,7 @@ router.get('/', async (req, res) => {
       // Combine path: oversample, shape, combine, filter, paginate in JS
       const sqlLimit = Math.min(limit * 20, 20000);
       const params = [];
-      const where = buildWhereBase({ scope:'all', scopeValue:null, direction:dir, includeLiquidity }, params, 't');
+      const where = buildWhereBase({ scope:'all', scopeValue:null, direction:dir, includeLiquidity, dex, labels }, params, 't');
       const { clause } = buildWindow(windowOpts, params, 't');
       where.push(clause);
 
@@ -477,6 +537,7 @@ router.get('/', async (req, res) => {
           t.*,
           p.pair_contract,
           p.is_uzig_quote,
+          p.dex,
           q.exponent AS qexp,
           b.exponent AS bexp,
           b.denom    AS base_denom,
@@ -497,6 +558,7 @@ router.get('/', async (req, res) => {
       if (maxV != null) shaped = shaped.filter(x => (worthForClass(x, unit, zigUsd) ?? Infinity) <= maxV);
 
       const { items, total, pages, page: p } = paginateArray(shaped, page, limit);
+      await attachSignerLabels(items);
       return res.json({ success:true, data: items, meta:{ unit, tf:req.query.tf||'24h', limit, page: p, pages, total } });
     }
 
@@ -512,7 +574,9 @@ router.get('/', async (req, res) => {
       unit, klass,
       minValue: minV, maxValue: maxV,
       extraWhere: [],
-      includeTotal
+      includeTotal,
+      dex,
+      labels
     }, params);
     p2[zigUsdIdx - 1] = zigUsd;
 
@@ -527,6 +591,7 @@ router.get('/', async (req, res) => {
       return s;
     });
 
+    await attachSignerLabels(shaped);
     res.json({ success:true, data: shaped, meta:{ unit, tf:req.query.tf || '24h', limit, page, pages, total } });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -549,6 +614,8 @@ router.get('/token/:id', async (req, res) => {
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
+    const dex    = parseDex(req.query.dex);
+    const labels = parseLabels(req.query);
 
     const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
@@ -556,7 +623,7 @@ router.get('/token/:id', async (req, res) => {
     if (combine === 'deep' || combine === '1' || combine === 'true') {
       const sqlLimit = Math.min(limit * 20, 20000);
       const params = [];
-      const where = buildWhereBase({ scope:'token', scopeValue: tok.token_id, direction:dir, includeLiquidity }, params, 't');
+      const where = buildWhereBase({ scope:'token', scopeValue: tok.token_id, direction:dir, includeLiquidity, dex, labels }, params, 't');
       const { clause } = buildWindow(windowOpts, params, 't');
       where.push(clause);
 
@@ -565,6 +632,7 @@ router.get('/token/:id', async (req, res) => {
           t.*,
           p.pair_contract,
           p.is_uzig_quote,
+          p.dex,
           q.exponent AS qexp,
           b.exponent AS bexp,
           b.denom    AS base_denom,
@@ -585,6 +653,7 @@ router.get('/token/:id', async (req, res) => {
       if (maxV != null) shaped = shaped.filter(x => (worthForClass(x, unit, zigUsd) ?? Infinity) <= maxV);
 
       const { items, total, pages, page: p } = paginateArray(shaped, page, limit);
+      await attachSignerLabels(items);
       return res.json({ success:true, data: items, meta:{ unit, tf:req.query.tf||'24h', limit, page: p, pages, total } });
     }
 
@@ -599,7 +668,9 @@ router.get('/token/:id', async (req, res) => {
       unit, klass,
       minValue: minV, maxValue: maxV,
       extraWhere: [],
-      includeTotal
+      includeTotal,
+      dex,
+      labels
     }, params);
     p2[zigUsdIdx - 1] = zigUsd;
 
@@ -614,6 +685,7 @@ router.get('/token/:id', async (req, res) => {
       return s;
     });
 
+    await attachSignerLabels(shaped);
     res.json({ success:true, data: shaped, meta:{ unit, tf:req.query.tf || '24h', limit, page, pages, total } });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -641,6 +713,8 @@ router.get('/pool/:ref', async (req, res) => {
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
+    const dex    = parseDex(req.query.dex);
+    const labels = parseLabels(req.query);
 
     const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
@@ -648,7 +722,7 @@ router.get('/pool/:ref', async (req, res) => {
     if (combine === 'deep' || combine === '1' || combine === 'true') {
       const sqlLimit = Math.min(limit * 20, 20000);
       const params = [];
-      const where = buildWhereBase({ scope:'pool', scopeValue: { poolId }, direction:dir, includeLiquidity }, params, 't');
+      const where = buildWhereBase({ scope:'pool', scopeValue: { poolId }, direction:dir, includeLiquidity, dex, labels }, params, 't');
       const { clause } = buildWindow(windowOpts, params, 't');
       where.push(clause);
 
@@ -657,6 +731,7 @@ router.get('/pool/:ref', async (req, res) => {
           t.*,
           p.pair_contract,
           p.is_uzig_quote,
+          p.dex,
           q.exponent AS qexp,
           b.exponent AS bexp,
           b.denom    AS base_denom,
@@ -677,6 +752,7 @@ router.get('/pool/:ref', async (req, res) => {
       if (maxV != null) shaped = shaped.filter(x => (worthForClass(x, unit, zigUsd) ?? Infinity) <= maxV);
 
       const { items, total, pages, page: p } = paginateArray(shaped, page, limit);
+      await attachSignerLabels(items);
       return res.json({ success:true, data: items, meta:{ unit, tf:req.query.tf||'24h', limit, page: p, pages, total } });
     }
 
@@ -691,7 +767,9 @@ router.get('/pool/:ref', async (req, res) => {
       unit, klass,
       minValue: minV, maxValue: maxV,
       extraWhere: [],
-      includeTotal
+      includeTotal,
+      dex,
+      labels
     }, params);
     p2[zigUsdIdx - 1] = zigUsd;
 
@@ -706,6 +784,7 @@ router.get('/pool/:ref', async (req, res) => {
       return s;
     });
 
+    await attachSignerLabels(shaped);
     res.json({ success:true, data: shaped, meta:{ unit, tf:req.query.tf || '24h', limit, page, pages, total } });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -726,6 +805,8 @@ router.get('/wallet/:address', async (req, res) => {
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
+    const dex    = parseDex(req.query.dex);
+    const labels = parseLabels(req.query);
 
     const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
@@ -733,7 +814,7 @@ router.get('/wallet/:address', async (req, res) => {
     if (combine === 'deep' || combine === '1' || combine === 'true') {
       const sqlLimit = Math.min(limit * 20, 20000);
       const params = [];
-      const where = buildWhereBase({ scope:'wallet', scopeValue: address, direction:dir, includeLiquidity }, params, 't');
+      const where = buildWhereBase({ scope:'wallet', scopeValue: address, direction:dir, includeLiquidity, dex, labels }, params, 't');
       const { clause } = buildWindow(windowOpts, params, 't');
       where.push(clause);
 
@@ -749,6 +830,7 @@ router.get('/wallet/:address', async (req, res) => {
           t.*,
           p.pair_contract,
           p.is_uzig_quote,
+          p.dex,
           q.exponent AS qexp,
           b.exponent AS bexp,
           b.denom    AS base_denom,
@@ -769,6 +851,7 @@ router.get('/wallet/:address', async (req, res) => {
       if (maxV != null) shaped = shaped.filter(x => (worthForClass(x, unit, zigUsd) ?? Infinity) <= maxV);
 
       const { items, total, pages, page: p } = paginateArray(shaped, page, limit);
+      await attachSignerLabels(items);
       return res.json({ success:true, data: items, meta:{ unit, tf:req.query.tf||'24h', limit, page: p, pages, total } });
     }
 
@@ -795,7 +878,9 @@ router.get('/wallet/:address', async (req, res) => {
       unit, klass,
       minValue: minV, maxValue: maxV,
       extraWhere,
-      includeTotal
+      includeTotal,
+      dex,
+      labels
     }, params);
     p2[zigUsdIdx - 1] = zigUsd;
 
@@ -810,6 +895,7 @@ router.get('/wallet/:address', async (req, res) => {
       return s;
     });
 
+    await attachSignerLabels(shaped);
     res.json({ success:true, data: shaped, meta:{ unit, tf:req.query.tf || '24h', limit, page, pages, total } });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -828,6 +914,8 @@ router.get('/large', async (req, res) => {
     const combine = String(req.query.combineRouter || '').toLowerCase();
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
+    const dex    = parseDex(req.query.dex);
+    const labels = parseLabels(req.query);
 
     const zigUsd = await getZigUsd();
 
@@ -839,6 +927,10 @@ router.get('/large', async (req, res) => {
     const zigUsdIdx = params.length + 1;
     params.push(zigUsd);
 
+    const baseWhere = [];
+    if (dex) { params.push(dex); baseWhere.push(dexWhere('p', params.length)); }
+    if (labels) baseWhere.push(...labelWhere(labels, params, 't'));
+
     const worthZig = `
       COALESCE(
         CASE WHEN t.offer_asset_denom='uzig'
@@ -883,6 +975,7 @@ router.get('/large', async (req, res) => {
           t.*,
           p.pair_contract,
           p.is_uzig_quote,
+          p.dex,
           q.exponent AS qexp,
           b.exponent AS bexp,
           b.denom    AS base_denom,
@@ -896,6 +989,7 @@ router.get('/large', async (req, res) => {
         JOIN tokens b ON b.token_id = p.base_token_id
         LEFT JOIN tokens toff ON toff.denom = t.offer_asset_denom
         LEFT JOIN tokens task ON task.denom = t.ask_asset_denom
+        ${baseWhere.length ? `WHERE ${baseWhere.join(' AND ')}` : ''}
       ),
       ranked AS (
         SELECT base.*,
@@ -929,6 +1023,7 @@ router.get('/large', async (req, res) => {
       return s;
     });
 
+    await attachSignerLabels(shaped);
     res.json({ success:true, data: shaped, meta:{ unit, tf: bucket, limit, page, pages, total } });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -948,6 +1043,8 @@ router.get('/recent', async (req, res) => {
     const minV   = req.query.minValue != null ? Number(req.query.minValue) : null;
     const maxV   = req.query.maxValue != null ? Number(req.query.maxValue) : null;
     const includeTotal = ['1','true','yes'].includes(String(req.query.includeTotal || '').toLowerCase());
+    const dex    = parseDex(req.query.dex);
+    const labels = parseLabels(req.query);
 
     const zigUsd = await getZigUsd();
     const windowOpts = { tf:req.query.tf, from:req.query.from, to:req.query.to, days:req.query.days };
@@ -955,7 +1052,7 @@ router.get('/recent', async (req, res) => {
     if (combine === 'deep' || combine === '1' || combine === 'true') {
       const sqlLimit = Math.min(limit * 20, 20000);
       const params = [];
-      const where = buildWhereBase({ scope:'all', scopeValue:null, direction:dir, includeLiquidity }, params, 't');
+      const where = buildWhereBase({ scope:'all', scopeValue:null, direction:dir, includeLiquidity, dex, labels }, params, 't');
       const { clause } = buildWindow(windowOpts, params, 't');
       where.push(clause);
 
@@ -971,6 +1068,7 @@ router.get('/recent', async (req, res) => {
           t.*,
           p.pair_contract,
           p.is_uzig_quote,
+          p.dex,
           q.exponent AS qexp,
           b.exponent AS bexp,
           b.denom    AS base_denom,
@@ -991,6 +1089,7 @@ router.get('/recent', async (req, res) => {
       if (maxV != null) shaped = shaped.filter(x => (worthForClass(x, unit, zigUsd) ?? Infinity) <= maxV);
 
       const { items, total, pages, page: p } = paginateArray(shaped, page, limit);
+      await attachSignerLabels(items);
       return res.json({ success:true, data: items, meta:{ unit, limit, page: p, pages, total, tf: req.query.tf || '24h', minValue:minV ?? undefined, maxValue:maxV ?? undefined } });
     }
 
@@ -1017,7 +1116,9 @@ router.get('/recent', async (req, res) => {
       unit, klass,
       minValue: minV, maxValue: maxV,
       extraWhere,
-      includeTotal
+      includeTotal,
+      dex,
+      labels
     }, params);
     p2[zigUsdIdx - 1] = zigUsd;
 
@@ -1032,6 +1133,7 @@ router.get('/recent', async (req, res) => {
       return s;
     });
 
+    await attachSignerLabels(shaped);
     res.json({ success:true, data: shaped, meta:{ unit, limit, page, pages, total, tf: req.query.tf || '24h', minValue:minV ?? undefined, maxValue:maxV ?? undefined } });
   } catch (e) {
     res.status(500).json({ success:false, error: e.message });
@@ -0,0 +1,330 @@
+// api/routes/wallets.js
+import express from 'express';
+import { DB } from '../../lib/db.js';
+import { getZigUsd } from '../util/resolve-token.js';
+import { positionMetrics } from '../../core/lp-positions.js';
+import { markToMarket } from '../../core/pnl.js';
+import { changePctForMinutes } from '../util/pool-select.js';
+import {
+  PORTFOLIO_RANGES, mainUzigPools, walletFlows, balancesAt, closesAt, zigUsdAt, uzigBalance,
+} from '../util/portfolio.js';
+
+const router = express.Router();
+
+const usd = (zig, zigUsd) => (zig == null ? null : zig * zigUsd);
+
+/**
+ * GET /wallets/:address/positions?closed=1
+ * LP positions with value, fees earned and impermanent loss (ZIG + USD).
+ */
+router.get('/:address/positions', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!address) return res.status(400).json({ success:false, error:'missing address' });
+    const withClosed = req.query.closed === '1';
+    const zigUsd = await getZigUsd();
+
+    const { rows } = await DB.query(`
+      SELECT lp.*, p.pair_contract, p.pair_type, p.is_uzig_quote,
+             b.token_id AS base_id,  b.denom AS base_denom,  b.symbol AS base_symbol,  COALESCE(b.exponent,6) AS base_exp,
+             q.token_id AS quote_id, q.denom AS quote_denom, q.symbol AS quote_symbol, COALESCE(q.exponent,6) AS quote_exp,
+             ps.reserve_base_base, ps.reserve_quote_base, ps.total_share_base, ps.share_updated_at,
+             CASE WHEN q.denom = 'uzig' THEN 1::numeric ELSE qp.price_in_zig END AS quote_px
+        FROM lp_positions lp
+        JOIN pools p  ON p.pool_id = lp.pool_id
+        JOIN tokens b ON b.token_id = p.base_token_id
+        JOIN tokens q ON q.token_id = p.quote_token_id
+        LEFT JOIN pool_state ps ON ps.pool_id = lp.pool_id
+        LEFT JOIN LATERAL (
+          SELECT price_in_zig FROM prices
+           WHERE token_id = q.token_id
+           ORDER BY (path_pool_ids IS NULL) DESC, depth_zig DESC NULLS LAST, updated_at DESC
+           LIMIT 1
+        ) qp ON TRUE
+       WHERE lp.address = $1
+         AND ($2::boolean OR lp.shares_base > 0)
+       ORDER BY lp.shares_base > 0 DESC, lp.updated_at DESC
+    `, [address, withClosed]);
+
+    const totals = { value_zig: 0, cost_basis_zig: 0, fees_earned_zig: 0, il_zig: 0, realized_pnl_zig: 0 };
+    const data = rows.map(r => {
+      const m = positionMetrics(r, {
+        totalShare: r.total_share_base, resBase: r.reserve_base_base, resQuote: r.reserve_quote_base,
+      }, r.quote_px != null ? Number(r.quote_px) : null);
+      for (const k of Object.keys(totals)) totals[k] += m[k] ?? 0;
+      return {
+        poolId: String(r.pool_id),
+        pairContract: r.pair_contract,
+        pairType: r.pair_type,
+        base:  { tokenId: String(r.base_id),  denom: r.base_denom,  symbol: r.base_symbol },
+        quote: { tokenId: String(r.quote_id), denom: r.quote_denom, symbol: r.quote_symbol },
+        shares_base: String(r.shares_base),
+        open: BigInt(r.shares_base) > 0n,
+        ...m,
+        value_usd: usd(m.value_zig, zigUsd),
+        fees_earned_usd: usd(m.fees_earned_zig, zigUsd),
+        il_usd: usd(m.il_zig, zigUsd),
+        provides: r.provides,
+        withdraws: r.withdraws,
+        opened_at: r.opened_at,
+        last_height: r.last_height != null ? Number(r.last_height) : null,
+        supply_updated_at: r.share_updated_at,
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        address,
+        positions: data.length,
+        totals: { ...totals, value_usd: totals.value_zig * zigUsd, fees_earned_usd: totals.fees_earned_zig * zigUsd },
+        zigUsd
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /wallets/:address/pnl?closed=1
+ * FIFO realized + unrealized PnL per token (ZIG + USD), open lots marked to
+ * the current best price.
+ */
+router.get('/:address/pnl', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!address) return res.status(400).json({ success:false, error:'missing address' });
+    const withClosed = req.query.closed === '1';
+    const zigUsd = await getZigUsd();
+
+    const { rows } = await DB.query(`
+      SELECT w.*, t.denom, t.symbol, t.image_uri, COALESCE(t.exponent,6) AS exponent,
+             CASE WHEN t.denom = 'uzig' THEN 1::numeric ELSE px.price_in_zig END AS px
+        FROM wallet_pnl w
+        JOIN tokens t ON t.token_id = w.token_id
+        LEFT JOIN LATERAL (
+          SELECT price_in_zig FROM prices
+           WHERE token_id = w.token_id
+           ORDER BY (path_pool_ids IS NULL) DESC, depth_zig DESC NULLS LAST, updated_at DESC
+           LIMIT 1
+        ) px ON TRUE
+       WHERE w.address = $1
+         AND ($2::boolean OR w.open_base > 0)
+       ORDER BY w.open_base > 0 DESC, w.last_trade_at DESC
+    `, [address, withClosed]);
+
+    const totals = {
+      value_zig: 0, cost_basis_zig: 0,
+      realized_pnl_zig: 0, realized_pnl_usd: 0,
+      unrealized_pnl_zig: 0, unrealized_pnl_usd: 0,
+    };
+    const data = rows.map(r => {
+      const m = markToMarket(r, r.px != null ? Number(r.px) : null, zigUsd);
+      for (const k of Object.keys(totals)) totals[k] += m[k] ?? 0;
+      return {
+        token: { tokenId: String(r.token_id), denom: r.denom, symbol: r.symbol, imageUri: r.image_uri },
+        open: BigInt(r.open_base) > 0n,
+        open_base: String(r.open_base),
+        lots: Array.isArray(r.lots) ? r.lots.length : 0,
+        ...m,
+        unmatched_sold_base: String(r.unmatched_base),
+        buys: r.buys,
+        sells: r.sells,
+        volume_zig: Number(r.volume_zig),
+        first_trade_at: r.first_trade_at,
+        last_trade_at: r.last_trade_at,
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+      meta: {
+        address,
+        tokens: data.length,
+        totals: {
+          ...totals,
+          total_pnl_zig: totals.realized_pnl_zig + totals.unrealized_pnl_zig,
+          total_pnl_usd: totals.realized_pnl_usd + totals.unrealized_pnl_usd,
+        },
+        costBasis: 'fifo',
+        zigUsd
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /wallets/:address/portfolio?range=24h|7d|30d
+ * Held tokens (holders, uzig from LCD bank) with value, 24h change and
+ * allocation, plus a value series rebuilt from the wallet's trades and 1m
+ * closes of each token's main UZIG pool (current price when a token has none).
+ */
+router.get('/:address/portfolio', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!address) return res.status(400).json({ success:false, error:'missing address' });
+    const range = PORTFOLIO_RANGES[req.query.range] ? req.query.range : '7d';
+    const [spanMin, stepMin] = PORTFOLIO_RANGES[range];
+    const zigUsd = await getZigUsd();
+
+    const [{ rows: swept }, uzig] = await Promise.all([
+      DB.query(`
+        SELECT h.token_id, h.balance_base, h.updated_at,
+               t.denom, t.symbol, t.name, t.image_uri, COALESCE(t.exponent,6) AS exponent
+          FROM holders h
+          JOIN tokens t ON t.token_id = h.token_id
+         WHERE h.address = $1 AND h.balance_base > 0
+      `, [address]),
+      uzigBalance(address),
+    ]);
+    const held = uzig ? swept.filter(h => h.denom !== 'uzig') : swept;
+    if (uzig && /[1-9]/.test(uzig.balance_base)) held.push(uzig);
+
+    // history: samples on a step grid ending now
+    const now = Date.now();
+    const samples = [];
+    for (let ts = now - spanMin * 60_000; ts <= now; ts += stepMin * 60_000) samples.push(new Date(ts));
+    if (samples.at(-1).getTime() !== now) samples.push(new Date(now));
+    const flows = await walletFlows(address, samples[0]);
+    const current = new Map(held.map(h => [String(h.token_id), String(h.balance_base)]));
+    if (uzig) current.set(String(uzig.token_id), uzig.balance_base);
+    const balances = balancesAt(current, flows, samples);
+
+    // every token held now or during the range
+    const ids = Array.from(balances.keys());
+    const { rows: toks } = await DB.query(`
+      SELECT t.token_id, t.denom, COALESCE(t.exponent,6) AS exponent,
+             CASE WHEN t.denom = 'uzig' THEN 1::numeric ELSE px.price_in_zig END AS px
+        FROM tokens t
+        LEFT JOIN LATERAL (
+          SELECT price_in_zig FROM prices
+           WHERE token_id = t.token_id
+           ORDER BY (path_pool_ids IS NULL) DESC, depth_zig DESC NULLS LAST, updated_at DESC
+           LIMIT 1
+        ) px ON TRUE
+       WHERE t.token_id = ANY($1::bigint[])
+    `, [ids]);
+    const tokMap = new Map(toks.map(t => [String(t.token_id), t]));
+    const mainPools = await mainUzigPools(ids);
+
+    let totalZig = 0;
+    const holdings = await Promise.all(held.map(async h => {
+      const t = tokMap.get(String(h.token_id));
+      const px = t?.px != null ? Number(t.px) : null;
+      const balance = Number(h.balance_base) / Math.pow(10, Number(h.exponent));
+      const valueZig = px != null ? balance * px : null;
+      if (valueZig != null) totalZig += valueZig;
+      const poolId = mainPools.get(String(h.token_id));
+      return {
+        token: { tokenId: String(h.token_id), denom: h.denom, symbol: h.symbol, name: h.name, imageUri: h.image_uri },
+        balance_base: String(h.balance_base),
+        balance,
+        price_zig: px,
+        price_usd: px != null ? px * zigUsd : null,
+        value_zig: valueZig,
+        value_usd: valueZig != null ? valueZig * zigUsd : null,
+        change_24h_pct: h.denom === 'uzig' ? 0 : (poolId ? await changePctForMinutes(poolId, 1440) : null),
+        balance_updated_at: h.updated_at,
+      };
+    }));
+    for (const x of holdings) x.allocation_pct = x.value_zig != null && totalZig > 0 ? (x.value_zig / totalZig) * 100 : null;
+    holdings.sort((a, b) => (b.value_zig ?? -1) - (a.value_zig ?? -1));
+
+    // value series: Σ balance(T) × close(T)
+    const valueZig = new Array(samples.length).fill(0);
+    await Promise.all(ids.map(async id => {
+      const t = tokMap.get(id);
+      if (!t) return;
+      // uzig comes from LCD bank; if that failed its past can't be rebuilt
+      if (t.denom === 'uzig' && !current.has(id)) return;
+      const scale = Math.pow(10, Number(t.exponent));
+      const poolId = mainPools.get(id);
+      const closes = t.denom === 'uzig' || !poolId ? null : await closesAt(poolId, samples);
+      const bals = balances.get(id);
+      for (let i = 0; i < samples.length; i++) {
+        const px = t.denom === 'uzig' ? 1 : (closes?.[i] ?? (t.px != null ? Number(t.px) : null));
+        if (px != null && bals[i] > 0n) valueZig[i] += (Number(bals[i]) / scale) * px;
+      }
+    }));
+    const rates = await zigUsdAt(samples);
+    const history = samples.map((ts, i) => ({
+      ts: ts.toISOString(),
+      value_zig: valueZig[i],
+      value_usd: valueZig[i] * (rates[i] ?? zigUsd),
+    }));
+
+    res.json({
+      success: true,
+      data: { holdings, history },
+      meta: {
+        address,
+        tokens: holdings.length,
+        total_value_zig: totalZig,
+        total_value_usd: totalZig * zigUsd,
+        range, step_min: stepMin,
+        trades_in_range: flows.length,
+        zigUsd
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+/**
+ * GET /wallets/:address/profile
+ * Behavior labels (sniper / bot / mev / whale, see jobs/wallet-labels.js)
+ * with their evidence, plus 30d swap activity.
+ */
+router.get('/:address/profile', async (req, res) => {
+  try {
+    const address = String(req.params.address || '').trim();
+    if (!address) return res.status(400).json({ success:false, error:'missing address' });
+
+    const [labels, activity] = await Promise.all([
+      DB.query(`
+        SELECT label, score, evidence, source, first_seen_at, updated_at
+          FROM wallet_labels
+         WHERE address = $1
+         ORDER BY label
+      `, [address]),
+      DB.query(`
+        SELECT COUNT(*)::int AS swaps,
+               COUNT(*) FILTER (WHERE direction='buy')::int  AS buys,
+               COUNT(*) FILTER (WHERE direction='sell')::int AS sells,
+               COUNT(DISTINCT pool_id)::int AS pools,
+               MIN(created_at) AS first_trade_at,
+               MAX(created_at) AS last_trade_at
+          FROM trades
+         WHERE signer = $1 AND action = 'swap'
+           AND created_at >= now() - interval '30 days'
+      `, [address]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        labels: labels.rows.map(r => ({
+          label: r.label,
+          score: r.score != null ? Number(r.score) : null,
+          evidence: r.evidence,
+          source: r.source,
+          firstSeenAt: r.first_seen_at,
+          updatedAt: r.updated_at,
+        })),
+        activity30d: activity.rows[0],
+      },
+      meta: { address }
+    });
+  } catch (e) {
+    res.status(500).json({ success:false, error: e.message });
+  }
+});
+
+export default router;
@@ -9,6 +9,9 @@ import tradesRouter from './routes/trades.js';
 import swapRouter from './routes/swap.js';
 import watchlistRouter from './routes/watchlist.js';
 import alertsRouter from './routes/alerts.js';
+import indexerRouter from './routes/indexer.js';
+import walletsRouter from './routes/wallets.js';
+import mevRouter from './routes/mev.js';
 import { startWS } from './ws.js';
 
 const app = express();
@@ -23,6 +26,9 @@ app.use('/trades', tradesRouter);
 app.use('/swap', swapRouter);
 app.use('/watchlist', watchlistRouter);
 app.use('/alerts', alertsRouter);
+app.use('/indexer', indexerRouter);
+app.use('/wallets', walletsRouter);
+app.use('/mev', mevRouter);
 
 // IMPORTANT: create a raw HTTP server and attach WS to it
 const PORT = parseInt(process.env.API_PORT || '8003', 10);
@@ -0,0 +1,14 @@
+// api/util/dex.js
+import { dexAliases } from '../../core/decoders/index.js';
+
+export { dexWhere, dexWhereOpt } from '../../core/dex.js';
+
+/**
+ * ?dex= accepts a decoder name ('oroswap') or a factory address.
+ * Returns the array to bind for dexWhere(), or null when no filter.
+ */
+export function parseDex(v) {
+  const s = String(v ?? '').trim();
+  if (!s) return null;
+  return dexAliases(s.toLowerCase()).concat(s);
+}
@@ -0,0 +1,138 @@
+// api/util/portfolio.js
+import { DB } from '../../lib/db.js';
+import { lcdBankBalance } from '../../lib/lcd.js';
+import { poolStateRow } from '../../core/pool_state.js';
+
+// range → [span minutes, step minutes]
+export const PORTFOLIO_RANGES = {
+  '24h': [1440, 60],
+  '7d':  [10080, 240],
+  '30d': [43200, 1440],
+};
+
+// lib/lcd retries until it gets an answer; the route stops waiting after this
+const PORTFOLIO_LCD_MS = parseInt(process.env.PORTFOLIO_LCD_MS || '3000', 10);
+
+const big = (x) => (x == null || !/^-?\d+$/.test(String(x)) ? 0n : BigInt(String(x)));
+
+/** deepest UZIG-quoted pool per token (24h TVL) → Map(token_id → pool_id) */
+export async function mainUzigPools(tokenIds) {
+  if (!tokenIds.length) return new Map();
+  const { rows } = await DB.query(`
+    SELECT DISTINCT ON (p.base_token_id) p.base_token_id AS token_id, p.pool_id
+    FROM pools p
+    LEFT JOIN pool_matrix pm ON pm.pool_id=p.pool_id AND pm.bucket='24h'
+    WHERE p.base_token_id = ANY($1::bigint[]) AND p.is_uzig_quote=TRUE
+    ORDER BY p.base_token_id, pm.tvl_zig DESC NULLS LAST, p.created_at ASC
+  `, [tokenIds]);
+  return new Map(rows.map(r => [String(r.token_id), r.pool_id]));
+}
+
+/**
+ * Native uzig balance from the bank module (holders doesn't sweep uzig),
+ * shaped like a holders row joined with tokens; null when LCD doesn't answer
+ * within PORTFOLIO_LCD_MS.
+ */
+export async function uzigBalance(address) {
+  const { rows } = await DB.query(`
+    SELECT token_id, denom, symbol, name, image_uri, COALESCE(exponent,6) AS exponent
+      FROM tokens WHERE denom = 'uzig'
+  `);
+  if (!rows[0]) return null;
+  const j = await Promise.race([
+    lcdBankBalance(address, 'uzig').catch(() => null),
+    new Promise(r => setTimeout(r, PORTFOLIO_LCD_MS, null).unref()),
+  ]);
+  const amount = String(j?.balance?.amount ?? '');
+  if (!/^\d+$/.test(amount)) return null;
+  return { ...rows[0], balance_base: amount, updated_at: new Date() };
+}
+
+/**
+ * Token movements of `address` since `since` from its trades, newest first:
+ * swaps move base/quote, provide/withdraw move the deposited/refunded assets.
+ * → [{ at, deltas: Map(token_id → signed base units) }]
+ */
+export async function walletFlows(address, since) {
+  const { rows } = await DB.query(`
+    SELECT t.action, t.direction, t.created_at,
+           t.offer_amount_base, t.return_amount_base,
+           t.reserve_asset1_denom, t.reserve_asset1_amount_base,
+           t.reserve_asset2_denom, t.reserve_asset2_amount_base,
+           p.pool_id, p.base_token_id, p.quote_token_id,
+           b.denom AS base_denom, q.denom AS quote_denom
+    FROM trades t
+    JOIN pools p  ON p.pool_id=t.pool_id
+    JOIN tokens b ON b.token_id=p.base_token_id
+    JOIN tokens q ON q.token_id=p.quote_token_id
+    WHERE t.signer=$1 AND t.created_at >= $2
+    ORDER BY t.created_at DESC
+  `, [address, since]);
+
+  return rows.map(r => {
+    const d = new Map();
+    const add = (id, v) => d.set(String(id), (d.get(String(id)) || 0n) + v);
+    if (r.action === 'swap') {
+      const inBase = r.direction === 'buy';
+      add(r.base_token_id,  inBase ? big(r.return_amount_base) : -big(r.offer_amount_base));
+      add(r.quote_token_id, inBase ? -big(r.offer_amount_base) : big(r.return_amount_base));
+    } else {
+      const legs = poolStateRow(r.pool_id, r.base_denom, r.quote_denom,
+        r.reserve_asset1_denom, r.reserve_asset1_amount_base,
+        r.reserve_asset2_denom, r.reserve_asset2_amount_base);
+      if (legs) {
+        const sign = r.action === 'provide' ? -1n : 1n;
+        add(r.base_token_id,  sign * big(legs.reserve_base_base));
+        add(r.quote_token_id, sign * big(legs.reserve_quote_base));
+      }
+    }
+    return { at: new Date(r.created_at), deltas: d };
+  });
+}
+
+/**
+ * Balances at each sample time, walking back from today's balances:
+ * balance(T) = balance(now) − Σ movements after T. Negative results (tokens
+ * that arrived by transfer) are clamped to 0.
+ * current: Map(token_id → base units); samples ascending Dates
+ * → Map(token_id → BigInt[] aligned with samples)
+ */
+export function balancesAt(current, flows, samples) {
+  const bal = new Map(Array.from(current, ([k, v]) => [k, big(v)]));
+  for (const f of flows) for (const k of f.deltas.keys()) if (!bal.has(k)) bal.set(k, 0n);
+
+  const out = new Map(Array.from(bal.keys(), k => [k, new Array(samples.length).fill(0n)]));
+  let fi = 0;                                   // flows are newest first
+  for (let si = samples.length - 1; si >= 0; si--) {
+    while (fi < flows.length && flows[fi].at > samples[si]) {
+      for (const [k, v] of flows[fi].deltas) bal.set(k, bal.get(k) - v);
+      fi++;
+    }
+    for (const [k, v] of bal) out.get(k)[si] = v > 0n ? v : 0n;
+  }
+  return out;
+}
+
+/** last 1m close at or before each sample for one pool → number|null[] */
+export async function closesAt(poolId, samples) {
+  const { rows } = await DB.query(`
+    SELECT s.ts,
+           (SELECT close FROM ohlcv_1m o
+             WHERE o.pool_id=$1 AND o.bucket_start <= s.ts
+             ORDER BY o.bucket_start DESC LIMIT 1) AS close
+    FROM unnest($2::timestamptz[]) AS s(ts)
+    ORDER BY s.ts
+  `, [poolId, samples]);
+  return rows.map(r => (r.close != null ? Number(r.close) : null));
+}
+
+/** ZIG/USD at each sample (nearest earlier rate) → number|null[] */
+export async function zigUsdAt(samples) {
+  const { rows } = await DB.query(`
+    SELECT s.ts,
+           (SELECT zig_usd FROM exchange_rates e WHERE e.ts <= s.ts ORDER BY e.ts DESC LIMIT 1) AS zig_usd
+    FROM unnest($1::timestamptz[]) AS s(ts)
+    ORDER BY s.ts
+  `, [samples]);
+  return rows.map(r => (r.zig_usd != null ? Number(r.zig_usd) : null));
+}
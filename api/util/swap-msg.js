@@ -0,0 +1,117 @@
+// api/util/swap-msg.js
+import { toBase, fromBase } from '../../core/amm/index.js';
+import { isCw20Address } from '../../core/cw20.js';
+
+// Oroswap's router names its operation after the DEX (Astroport: astro_swap)
+const SWAP_ROUTER_OP = process.env.SWAP_ROUTER_OP || 'oro_swap';
+
+const DEC_PLACES = 18n;
+
+const ceilDiv = (a, b) => (a + b - 1n) / b;
+
+/** a / b as a cosmwasm Decimal string (18 places, trailing zeros trimmed) */
+function decRatio(a, b) {
+  if (b <= 0n) return null;
+  const q = (a * 10n ** DEC_PLACES) / b;
+  const int = q / 10n ** DEC_PLACES;
+  const frac = (q % 10n ** DEC_PLACES).toString().padStart(Number(DEC_PLACES), '0').replace(/0+$/, '');
+  return frac ? `${int}.${frac}` : String(int);
+}
+
+export function assetInfo(denom) {
+  return isCw20Address(denom)
+    ? { token: { contract_addr: denom } }
+    : { native_token: { denom } };
+}
+
+/** wrap `inner` for the offer asset: native → funds, CW20 → Send hook on the token */
+function executeFor(offerDenom, amountBase, target, inner) {
+  if (isCw20Address(offerDenom)) {
+    return {
+      contract: offerDenom,
+      msg: { send: { contract: target, amount: amountBase, msg: Buffer.from(JSON.stringify(inner)).toString('base64') } },
+      funds: [],
+    };
+  }
+  return { contract: target, msg: inner, funds: [{ denom: offerDenom, amount: amountBase }] };
+}
+
+/**
+ * Unsigned MsgExecuteContract for a /swap quote (its `data`).
+ *   one leg  → pair `swap` with belief_price + max_spread
+ *   n legs   → router `execute_swap_operations` with minimum_receive
+ * Exact-output quotes (data.exact_out) fund amount_in × (1 + slippage),
+ * reported as amount_in_max, and require the full amount_out back: the
+ * pairs have no reverse swap, so the input is the bound that moves.
+ * offerExp / askExp: exponents of the first offer and last ask assets.
+ * → { contract, msg, funds, sender, typeUrl, params } or { error }
+ */
+export function buildSwapMsg(data, { offerExp, askExp, slippageBps, sender = null, to = null, routerContract = null }) {
+  const legs = data?.pairs || [];
+  if (!legs.length) return { error: 'no route for this pair' };
+  if (legs.some(l => !l.pairContract || !l.offer_denom || !l.ask_denom)) return { error: 'route legs are incomplete' };
+
+  const amountIn  = data.exact_out?.amount_in  ?? legs[0].amount_in;
+  const amountOut = data.exact_out?.amount_out ?? legs.at(-1).amount_out;
+  if (!(amountIn > 0) || !(amountOut > 0)) return { error: 'quote has no amounts' };
+
+  const offerDenom = legs[0].offer_denom;
+  const askDenom   = legs.at(-1).ask_denom;
+  const exactOut = !!data.exact_out;
+  const inBase  = toBase(amountIn, offerExp);
+  const outBase = toBase(amountOut, askExp);
+  // exact out: offer up to inMaxBase (rounded up), accept nothing below amount_out
+  const inMaxBase = exactOut ? ceilDiv(inBase * BigInt(10_000 + slippageBps), 10_000n) : inBase;
+  const minBase = exactOut ? outBase : (outBase * BigInt(10_000 - slippageBps)) / 10_000n;
+  const maxSpread = exactOut ? '0' : decRatio(BigInt(slippageBps), 10_000n);
+  const fundBase = inMaxBase.toString();
+
+  let exec, beliefPrice = null;
+  if (legs.length === 1) {
+    // belief_price is offer per ask; the pair rejects if return < offer / belief_price·(1 − max_spread)
+    beliefPrice = decRatio(inMaxBase, outBase);
+    const swap = { belief_price: beliefPrice, max_spread: maxSpread, ...(to ? { to } : {}) };
+    exec = isCw20Address(offerDenom)
+      ? executeFor(offerDenom, fundBase, legs[0].pairContract, { swap })
+      : executeFor(offerDenom, fundBase, legs[0].pairContract, {
+          swap: { offer_asset: { info: assetInfo(offerDenom), amount: fundBase }, ...swap },
+        });
+  } else {
+    if (!routerContract) return { error: 'multi-hop routes need a router (ROUTER_ADDRS)' };
+    const operations = legs.map(l => ({
+      [SWAP_ROUTER_OP]: { offer_asset_info: assetInfo(l.offer_denom), ask_asset_info: assetInfo(l.ask_denom) },
+    }));
+    exec = executeFor(offerDenom, fundBase, routerContract, {
+      execute_swap_operations: {
+        operations,
+        minimum_receive: minBase.toString(),
+        max_spread: maxSpread,
+        ...(to ? { to } : {}),
+      },
+    });
+  }
+
+  return {
+    typeUrl: '/cosmwasm.wasm.v1.MsgExecuteContract',
+    sender,
+    contract: exec.contract,
+    msg: exec.msg,
+    funds: exec.funds,
+    params: {
+      offer_denom: offerDenom,
+      ask_denom: askDenom,
+      amount_in: amountIn,
+      amount_in_base: inBase.toString(),
+      amount_in_max: exactOut ? fromBase(inMaxBase, offerExp) : null,
+      amount_in_max_base: exactOut ? fundBase : null,
+      expected_out: amountOut,
+      expected_out_base: outBase.toString(),
+      minimum_receive_base: minBase.toString(),
+      belief_price: beliefPrice,
+      max_spread: maxSpread,
+      slippage_bps: slippageBps,
+      hops: legs.length,
+      pools: legs.map(l => l.poolId),
+    },
+  };
+}
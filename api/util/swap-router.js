@@ -0,0 +1,300 @@
+// api/util/swap-router.js
+import { DB } from '../../lib/db.js';
+import TTLCache from '../../lib/cache.js';
+import { attachCurves, simulateSwap, simulateSwapReverse, pairFee } from '../../core/amm/index.js';
+
+const ROUTER_MAX_HOPS     = parseInt(process.env.ROUTER_MAX_HOPS || '3', 10);
+const ROUTER_HOPS_CAP     = 4;
+const ROUTER_MAX_PATHS    = parseInt(process.env.ROUTER_MAX_PATHS || '5000', 10); // DFS budget per quote
+const ROUTER_ALTERNATIVES = parseInt(process.env.ROUTER_ALTERNATIVES || '4', 10);
+
+export function clampHops(h) {
+  const n = Number(h);
+  if (!Number.isFinite(n) || n < 1) return ROUTER_MAX_HOPS;
+  return Math.min(Math.floor(n), ROUTER_HOPS_CAP);
+}
+
+/* ───────────────────────── pools graph ───────────────────────── */
+
+const graphCache = new TTLCache({ max: 8, ttlMs: 3_000 });
+
+/**
+ * Every pool with reserves as an undirected edge between its two tokens.
+ * Reserves are DISPLAY units; token prices are the best known ZIG mid
+ * (UZIG pool first, else the multi-hop price from jobs/price-graph.js).
+ */
+export async function loadPoolGraph({ minTvlZig = 0 } = {}) {
+  const key = String(minTvlZig);
+  const hit = graphCache.get(key);
+  if (hit) return hit;
+
+  const [{ rows: pools }, { rows: toks }] = await Promise.all([
+    DB.query(`
+      SELECT p.pool_id, p.pair_contract, p.pair_type,
+             p.base_token_id, p.quote_token_id, tb.denom AS base_denom, tq.denom AS quote_denom,
+             COALESCE(tb.exponent::int,6) AS base_exp, COALESCE(tq.exponent::int,6) AS quote_exp,
+             ps.reserve_base_base, ps.reserve_quote_base,
+             ps.reserve_base_base  / power(10::numeric, COALESCE(tb.exponent::int,6)) AS rb,
+             ps.reserve_quote_base / power(10::numeric, COALESCE(tq.exponent::int,6)) AS rq,
+             COALESCE(pm.tvl_zig,0) AS tvl_zig
+      FROM pools p
+      JOIN pool_state ps       ON ps.pool_id = p.pool_id
+      JOIN tokens tb           ON tb.token_id = p.base_token_id
+      JOIN tokens tq           ON tq.token_id = p.quote_token_id
+      LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
+      WHERE ps.reserve_base_base > 0 AND ps.reserve_quote_base > 0
+        AND COALESCE(pm.tvl_zig,0) >= $1
+    `, [minTvlZig]),
+    DB.query(`
+      SELECT t.token_id, t.denom, t.symbol, t.exponent,
+             CASE WHEN t.denom = 'uzig' THEN 1::numeric ELSE px.price_in_zig END AS price_in_zig
+      FROM tokens t
+      LEFT JOIN LATERAL (
+        SELECT pr.price_in_zig
+          FROM prices pr
+         WHERE pr.token_id = t.token_id
+         ORDER BY (pr.path_pool_ids IS NULL) DESC, pr.depth_zig DESC NULLS LAST, pr.updated_at DESC
+         LIMIT 1
+      ) px ON TRUE
+      WHERE t.token_id IN (
+        SELECT base_token_id FROM pools UNION SELECT quote_token_id FROM pools
+      )
+    `),
+  ]);
+
+  const tokens = new Map(toks.map(t => [String(t.token_id), {
+    tokenId: String(t.token_id),
+    denom: t.denom,
+    symbol: t.symbol,
+    exponent: t.exponent != null ? Number(t.exponent) : 6,
+    priceInZig: t.price_in_zig != null ? Number(t.price_in_zig) : null,
+  }]));
+
+  const edges = await attachCurves(pools.map(r => ({
+    poolId: String(r.pool_id),
+    pairContract: r.pair_contract,
+    pairType: r.pair_type,
+    fee: pairFee(r.pair_type),
+    baseId: String(r.base_token_id),
+    quoteId: String(r.quote_token_id),
+    baseDenom: r.base_denom,
+    quoteDenom: r.quote_denom,
+    rb: Number(r.rb),
+    rq: Number(r.rq),
+    rbBase: String(r.reserve_base_base),
+    rqBase: String(r.reserve_quote_base),
+    baseExp: Number(r.base_exp),
+    quoteExp: Number(r.quote_exp),
+    tvlZig: Number(r.tvl_zig || 0),
+  })));
+
+  const adj = new Map();
+  const link = (a, e) => { if (!adj.has(a)) adj.set(a, []); adj.get(a).push(e); };
+  for (const pool of edges) {
+    link(pool.baseId, { pool, other: pool.quoteId });
+    link(pool.quoteId, { pool, other: pool.baseId });
+  }
+
+  const uzig = toks.find(t => t.denom === 'uzig');
+  const graph = { adj, tokens, uzigId: uzig ? String(uzig.token_id) : null };
+  graphCache.set(key, graph);
+  return graph;
+}
+
+/* ───────────────────────── simulation ───────────────────────── */
+
+/**
+ * One leg from token `fromId` through `pool`, simulated by its pair type
+ * (core/amm). impact = mid/exec − 1, as for single-pool quotes.
+ */
+export function simulateLeg(pool, fromId, amountIn) {
+  const fromBase = pool.baseId === fromId;
+  const r = simulateSwap(pool, { ...legArgs(pool, fromBase), amountIn });
+  if (!r) return null;
+  return legOf(pool, fromId, fromBase, { ...r, amountIn });
+}
+
+/** Reverse leg: how much of the other token `pool` needs to pay `amountOut` of `toId`. */
+export function simulateLegReverse(pool, toId, amountOut) {
+  const fromBase = pool.quoteId === toId;
+  const fromId = fromBase ? pool.baseId : pool.quoteId;
+  const r = simulateSwapReverse(pool, { ...legArgs(pool, fromBase), amountOut });
+  if (!r) return null;
+  return legOf(pool, fromId, fromBase, { ...r, amountOut });
+}
+
+function legArgs(pool, fromBase) {
+  return {
+    inDenom:  fromBase ? pool.baseDenom  : pool.quoteDenom,
+    outDenom: fromBase ? pool.quoteDenom : pool.baseDenom,
+    rIn:  fromBase ? pool.rb : pool.rq,
+    rOut: fromBase ? pool.rq : pool.rb,
+    rInBase:  fromBase ? pool.rbBase : pool.rqBase,
+    rOutBase: fromBase ? pool.rqBase : pool.rbBase,
+    inExp:  fromBase ? pool.baseExp  : pool.quoteExp,
+    outExp: fromBase ? pool.quoteExp : pool.baseExp,
+  };
+}
+
+function legOf(pool, fromId, fromBase, r) {
+  return {
+    pool,
+    fromId,
+    toId: fromBase ? pool.quoteId : pool.baseId,
+    amountIn: r.amountIn,
+    amountOut: r.amountOut,
+    fee: r.fee,
+    model: r.model,
+    priceMid: r.priceMid,
+    priceExec: r.priceExec,
+    priceImpact: r.priceImpact,
+  };
+}
+
+/** hop distance from every token to `toId` (undirected BFS) */
+function hopDistances(adj, toId, maxHops) {
+  const dist = new Map([[toId, 0]]);
+  let frontier = [toId];
+  for (let d = 1; d <= maxHops && frontier.length; d++) {
+    const next = [];
+    for (const t of frontier) {
+      for (const e of adj.get(t) || []) {
+        if (dist.has(e.other)) continue;
+        dist.set(e.other, d);
+        next.push(e.other);
+      }
+    }
+    frontier = next;
+  }
+  return dist;
+}
+
+/**
+ * All simple paths from → to of at most maxHops pools, each leg simulated
+ * on the previous leg's output; sorted by final output (best first).
+ */
+export function findRoutes(graph, fromId, toId, amountIn, { maxHops = ROUTER_MAX_HOPS } = {}) {
+  const { adj } = graph;
+  if (!adj.has(fromId) || !adj.has(toId) || fromId === toId) return [];
+  const dist = hopDistances(adj, toId, maxHops);
+  const results = [];
+  let budget = ROUTER_MAX_PATHS;
+
+  (function dfs(tok, amt, seenTokens, legs) {
+    if (tok === toId) {
+      const impact = legs.reduce((acc, l) => acc * (1 + (l.priceImpact || 0)), 1) - 1;
+      results.push({ legs, amountIn, amountOut: amt, priceImpact: impact });
+      return;
+    }
+    const remaining = maxHops - legs.length;
+    for (const e of adj.get(tok) || []) {
+      if (budget <= 0) return;
+      if (seenTokens.has(e.other)) continue;
+      if ((dist.get(e.other) ?? Infinity) > remaining - 1) continue;
+      const leg = simulateLeg(e.pool, tok, amt);
+      if (!leg || !(leg.amountOut > 0)) continue;
+      budget--;
+      seenTokens.add(e.other);
+      dfs(e.other, leg.amountOut, seenTokens, [...legs, leg]);
+      seenTokens.delete(e.other);
+    }
+  })(fromId, amountIn, new Set([fromId]), []);
+
+  return results.sort((a, b) => b.amountOut - a.amountOut);
+}
+
+/**
+ * Exact-output twin of findRoutes: walks back from `toId`, inverting each
+ * pool for the amount the next leg needs; sorted by required input (least first).
+ */
+export function findRoutesExactOut(graph, fromId, toId, amountOut, { maxHops = ROUTER_MAX_HOPS } = {}) {
+  const { adj } = graph;
+  if (!adj.has(fromId) || !adj.has(toId) || fromId === toId) return [];
+  const dist = hopDistances(adj, fromId, maxHops);
+  const results = [];
+  let budget = ROUTER_MAX_PATHS;
+
+  (function dfs(tok, need, seenTokens, legs) {
+    if (tok === fromId) {
+      const impact = legs.reduce((acc, l) => acc * (1 + (l.priceImpact || 0)), 1) - 1;
+      results.push({ legs, amountIn: need, amountOut, priceImpact: impact });
+      return;
+    }
+    const remaining = maxHops - legs.length;
+    for (const e of adj.get(tok) || []) {
+      if (budget <= 0) return;
+      if (seenTokens.has(e.other)) continue;
+      if ((dist.get(e.other) ?? Infinity) > remaining - 1) continue;
+      const leg = simulateLegReverse(e.pool, tok, need);
+      if (!leg || !(leg.amountIn > 0)) continue;
+      budget--;
+      seenTokens.add(e.other);
+      dfs(e.other, leg.amountIn, seenTokens, [leg, ...legs]);
+      seenTokens.delete(e.other);
+    }
+  })(toId, amountOut, new Set([toId]), []);
+
+  return results.sort((a, b) => a.amountIn - b.amountIn);
+}
+
+/* ───────────────────────── rendering ───────────────────────── */
+
+const label = (graph, id) => {
+  const t = graph.tokens.get(id);
+  return t?.denom || t?.symbol || id;
+};
+
+export function renderRoute(graph, r, zigUsd) {
+  if (!r) return null;
+  const from = graph.tokens.get(r.legs[0].fromId);
+  const to = graph.tokens.get(r.legs.at(-1).toId);
+  return {
+    path: [label(graph, r.legs[0].fromId), ...r.legs.map(l => label(graph, l.toId))],
+    pools: r.legs.map(l => l.pool.poolId),
+    hops: r.legs.length,
+    amountIn: r.amountIn,
+    amountOut: r.amountOut,
+    priceExec: r.amountOut / r.amountIn,            // to per 1 from
+    priceImpact: r.priceImpact,
+    valueInUsd:  from?.priceInZig != null ? r.amountIn  * from.priceInZig * zigUsd : null,
+    valueOutUsd: to?.priceInZig   != null ? r.amountOut * to.priceInZig   * zigUsd : null,
+    legs: r.legs.map(l => ({
+      poolId: l.pool.poolId,
+      pairContract: l.pool.pairContract,
+      pairType: l.pool.pairType,
+      fee: l.fee,
+      model: l.model,
+      from: label(graph, l.fromId),
+      to: label(graph, l.toId),
+      amountIn: l.amountIn,
+      amountOut: l.amountOut,
+      priceMid: l.priceMid,
+      priceExec: l.priceExec,
+      priceImpact: l.priceImpact,
+      tvlZig: l.pool.tvlZig,
+    })),
+  };
+}
+
+/**
+ * Best route + alternatives for `amountIn` DISPLAY units of fromId over a
+ * graph from loadPoolGraph(). → { best, alternatives, raw } (raw = unrendered best)
+ */
+export function quoteRoutes(graph, fromId, toId, amountIn, { maxHops, zigUsd = 0 } = {}) {
+  const routes = findRoutes(graph, String(fromId), String(toId), amountIn, { maxHops: clampHops(maxHops) });
+  return renderQuote(graph, routes, zigUsd);
+}
+
+/** Same for an exact output: best = least input needed for `amountOut`. */
+export function quoteRoutesExactOut(graph, fromId, toId, amountOut, { maxHops, zigUsd = 0 } = {}) {
+  const routes = findRoutesExactOut(graph, String(fromId), String(toId), amountOut, { maxHops: clampHops(maxHops) });
+  return renderQuote(graph, routes, zigUsd);
+}
+
+function renderQuote(graph, routes, zigUsd) {
+  return {
+    raw: routes[0] || null,
+    best: renderRoute(graph, routes[0], zigUsd),
+    alternatives: routes.slice(1, 1 + ROUTER_ALTERNATIVES).map(r => renderRoute(graph, r, zigUsd)),
+  };
+}
@@ -0,0 +1,42 @@
+// bin/list-gaps.js
+//
+// Usage:
+//   node bin/list-gaps.js            # unresolved failed/missing heights
+//   node bin/list-gaps.js --all      # include resolved ones
+//   node bin/list-gaps.js --limit 500
+import 'dotenv/config';
+import { init, close } from '../lib/db.js';
+import { listGaps } from '../core/failed-heights.js';
+
+function argValue(name) {
+  const argv = process.argv.slice(2);
+  const eq = argv.find(a => a.startsWith(`--${name}=`));
+  if (eq) return eq.slice(name.length + 3);
+  const i = argv.indexOf(`--${name}`);
+  return i >= 0 ? argv[i + 1] : undefined;
+}
+
+async function main() {
+  await init();
+  const includeResolved = process.argv.includes('--all');
+  const limit = Math.max(1, parseInt(argValue('limit') || '100', 10));
+  const { rows, total } = await listGaps({ includeResolved, limit });
+
+  if (!rows.length) {
+    console.log(includeResolved ? 'no failed heights recorded' : 'no unresolved gaps');
+    return;
+  }
+  console.table(rows.map(r => ({
+    height: Number(r.height),
+    source: r.source,
+    attempts: r.attempts,
+    next_retry_at: r.next_retry_at?.toISOString?.() ?? r.next_retry_at,
+    resolved_at: r.resolved_at?.toISOString?.() ?? r.resolved_at,
+    error: String(r.error || '').split('\n')[0].slice(0, 80),
+  })));
+  console.log(`${rows.length} of ${total} shown`);
+}
+
+main()
+  .then(async () => { await close(); })
+  .catch(async (e) => { console.error(e); await close(); process.exit(1); });
@@ -0,0 +1,131 @@
+// bin/start-backfill.js
+//
+// Re-index an explicit past height range, alongside the live tail.
+//
+// Usage:
+//   node bin/start-backfill.js --from 1200000 --to 1250000
+//   node bin/start-backfill.js --from=1200000 --to=1250000 --restart
+//
+// Notes:
+// - Progress is kept in index_state under id='backfill:<from>-<to>', so the
+//   same command resumes where it stopped. --restart ignores that row.
+// - The live 'block' checkpoint is never read or written here.
+// - Re-running indexed heights is safe: stored trades are skipped and only
+//   new ones reach ohlcv_1m; prices below the live tail only add ticks.
+// - Failed heights go to failed_heights (source=<id>) for bin/start-repair.js.
+// - Monthly partitions between the range's first and last block times are
+//   created up front; jobs/partitions.js only keeps the current months.
+import 'dotenv/config';
+import { init, close } from '../lib/db.js';
+import { info, err } from '../lib/log.js';
+import { getBlock, unwrapBlock } from '../lib/rpc.js';
+import { readCheckpoint } from '../core/checkpoint.js';
+import { processHeight } from '../core/block-processor.js';
+import { commitBlock, commitSkipped } from '../core/commit.js';
+import { recordFailure } from '../core/failed-heights.js';
+import { drainTrades } from '../core/trades.js';
+import { drainOHLCV } from '../core/ohlcv.js';
+import { drainPoolState } from '../core/pool_state.js';
+import { PARTITIONED_TABLES, ensureMonthlyPartition, fmtYYYYMM } from '../jobs/partitions.js';
+
+const PIPELINE_DEPTH = parseInt(process.env.BACKFILL_PIPELINE_DEPTH || process.env.PIPELINE_DEPTH || '3', 10);
+
+function argValue(name) {
+  const argv = process.argv.slice(2);
+  const eq = argv.find(a => a.startsWith(`--${name}=`));
+  if (eq) return eq.slice(name.length + 3);
+  const i = argv.indexOf(`--${name}`);
+  return i >= 0 ? argv[i + 1] : undefined;
+}
+
+async function drainAll() {
+  await Promise.all([drainTrades(), drainOHLCV(), drainPoolState()]);
+}
+
+async function blockTime(h) {
+  const blk = unwrapBlock(await getBlock(h));
+  const t = blk?.header?.time ? new Date(blk.header.time) : null;
+  if (!t || Number.isNaN(t.getTime())) throw new Error(`backfill: no block time for ${h}`);
+  return t;
+}
+
+/** monthly partitions for every month the heights [from, to] fall in */
+async function ensurePartitions(from, to) {
+  const [t0, t1] = await Promise.all([blockTime(from), blockTime(to)]);
+  const months = [];
+  for (let d = new Date(Date.UTC(t0.getUTCFullYear(), t0.getUTCMonth(), 1)); d <= t1;
+       d = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1))) {
+    months.push(fmtYYYYMM(d));
+  }
+  for (const ym of months) {
+    await Promise.all(PARTITIONED_TABLES.map(t => ensureMonthlyPartition(t, ym)));
+  }
+  info('backfill partitions:', months.join(', '));
+}
+
+async function main() {
+  const from = Number(argValue('from'));
+  const to   = Number(argValue('to'));
+  const restart = process.argv.includes('--restart');
+
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from <= 0 || to < from) {
+    console.error('Usage: node bin/start-backfill.js --from <height> --to <height> [--restart]');
+    process.exit(2);
+  }
+
+  await init();
+
+  const id = `backfill:${from}-${to}`;
+  const saved = restart ? null : await readCheckpoint(id);
+  let current = (saved !== null && saved !== undefined) ? Number(saved) + 1 : from;
+  info('backfill range:', { id, from, to, saved, start: current });
+
+  if (current > to) {
+    info('backfill already complete:', id);
+    return;
+  }
+
+  await ensurePartitions(current, to);
+
+  let processed = 0;
+  const total = to - current + 1;
+  const inflight = new Map(); // height -> Promise
+
+  const commitInOrder = async () => {
+    const keys = Array.from(inflight.keys()).sort((a,b)=>a-b);
+    for (const h of keys) {
+      const r = await inflight.get(h).catch(e => ({ ok:false, error:e }));
+      inflight.delete(h);
+      if (r?.ok) {
+        // headers belong to the live tail's fork detection; not written here
+        await commitBlock(r.block, { checkpointId: id, withHeader: false });
+      } else {
+        err(`backfill height ${h} error:`, r?.error?.stack || r?.error);
+        await commitSkipped(h, { checkpointId: id, after: (c) => recordFailure(h, r?.error, { source: id, db: c }) });
+      }
+      processed++;
+      info('backfill done height', h, `(${processed}/${total})`);
+    }
+  };
+
+  while (current <= to) {
+    while (inflight.size < PIPELINE_DEPTH && current <= to) {
+      const h = current++;
+      inflight.set(h, (async () => {
+        try { return { ok: true, block: await processHeight(h) }; }
+        catch (e) { return { ok:false, error:e }; }
+      })());
+    }
+    await commitInOrder();
+  }
+  await commitInOrder();
+  await drainAll();
+  info('backfill complete:', id);
+}
+
+process.on('SIGINT', async () => { await drainAll().catch(()=>{}); await close(); process.exit(0); });
+process.on('SIGTERM', async () => { await drainAll().catch(()=>{}); await close(); process.exit(0); });
+
+main()
+  .then(async () => { await close(); process.exit(0); })
+  .catch(async (e) => { err(e); await close(); process.exit(1); });
@@ -2,9 +2,12 @@
 import 'dotenv/config';
 import { init, close } from '../lib/db.js';
 import { getStatus } from '../lib/rpc.js';
-import { info, err } from '../lib/log.js';
-import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { info, warn, err } from '../lib/log.js';
+import { readCheckpoint, readBlockHash } from '../core/checkpoint.js';
 import { processHeight } from '../core/block-processor.js';
+import { commitBlock, commitSkipped } from '../core/commit.js';
+import { findForkPoint, rollbackAbove } from '../core/reorg.js';
+import { recordFailure } from '../core/failed-heights.js';
 import { drainTrades } from '../core/trades.js';
 import { drainOHLCV } from '../core/ohlcv.js';
 import { drainPoolState } from '../core/pool_state.js';
@@ -41,6 +44,16 @@ async function main() {
 
   let processed = 0;
   const inflight = new Map(); // height -> Promise
+  let lastHeader = null;      // { height, hash } of the last committed block
+
+  // block h must build on the hash we stored for h-1
+  const parentMismatch = async (hdr) => {
+    if (!hdr?.parentHash) return false;
+    const prev = (lastHeader?.height === hdr.height - 1)
+      ? lastHeader.hash
+      : await readBlockHash(hdr.height - 1);
+    return !!prev && prev !== hdr.parentHash;
+  };
 
   const commitInOrder = async () => {
     const keys = Array.from(inflight.keys()).sort((a,b)=>a-b);
@@ -49,15 +62,32 @@ async function main() {
       if (!p) continue;
       const r = await p.catch(e => ({ ok:false, error:e }));
       inflight.delete(h);
-      await writeCheckpoint(h);
+
+      if (r?.ok && await parentMismatch(r.block.header)) {
+        warn('[reorg] parent hash mismatch at', h, { parent: r.block.header.parentHash });
+        // uncommitted blocks in the pipeline are simply dropped; then delete everything above the fork
+        await Promise.allSettled(Array.from(inflight.values()));
+        inflight.clear();
+        const fork = await findForkPoint(h);
+        current = await rollbackAbove(fork);
+        lastHeader = null;
+        info('[reorg] resuming from', current, { fork });
+        return;
+      }
+
+      if (r?.ok) {
+        // trades + pool_state + ohlcv + header + checkpoint in one tx
+        await commitBlock(r.block);
+        lastHeader = r.block.header;
+      } else {
+        // ledger + checkpoint in one tx: the height is never skipped unrecorded
+        err(`height ${h} error:`, r?.error?.stack || r?.error);
+        await commitSkipped(h, { after: (c) => recordFailure(h, r?.error, { db: c }) });
+        warn('height', h, 'queued for repair');
+      }
       processed++;
       const progress = IS_INFINITE_MODE ? `(${processed})` : `(${processed}/${BLOCK_CAP})`;
       info('done height', h, progress);
-      await drainAll();
-      if (r && r.ok === false && r.error) {
-        // keep going, but show error
-        err(`height ${h} error:`, r.error.stack || r.error);
-      }
     }
   };
 
@@ -68,7 +98,7 @@ async function main() {
     while (inflight.size < PIPELINE_DEPTH && current <= tipNow && processed + inflight.size < BLOCK_CAP) {
       const h = current++;
       inflight.set(h, (async () => {
-        try { await processHeight(h); return { ok: true }; }
+        try { return { ok: true, block: await processHeight(h) }; }
         catch (e) { return { ok:false, error:e }; }
       })());
     }
@@ -6,6 +6,7 @@ import { info } from '../lib/log.js';
 import { startMetaRefresher } from '../jobs/meta-refresher.js';
 import { startHoldersRefresher } from '../jobs/holders-refresher.js';
 import { startPriceFromReserves } from '../jobs/price-from-reserves.js';
+import { startPriceGraph } from '../jobs/price-graph.js';
 import { startLeaderboards } from '../jobs/leaderboards.js';
 import { startPartitionsMaintainer } from '../jobs/partitions.js';
 import { startTokenSecurityScanner } from '../jobs/token-security.js';
@@ -13,6 +14,11 @@ import { startFx } from '../jobs/fx-zig.js';
 import matrix from '../jobs/matrix-rollups.js';
 import { startIbcMetaRefresher } from '../jobs/ibc-meta-refresher.js';
 import { startFasttrackListener } from '../jobs/fasttrack-listener.js';
+import { startLpPositions } from '../jobs/lp-positions.js';
+import { startRugDetector } from '../jobs/rug-detector.js';
+import { startWalletPnl } from '../jobs/wallet-pnl.js';
+import { startWalletLabels } from '../jobs/wallet-labels.js';
+import { startLaunchReport } from '../jobs/launch-report.js';
 
 async function main() {
   console.log('start-jobs from:', import.meta.url);
@@ -24,11 +30,17 @@ async function main() {
   startMetaRefresher();
   startHoldersRefresher();
   startPriceFromReserves();
+  startPriceGraph();
   startLeaderboards();
   startPartitionsMaintainer();
   startTokenSecurityScanner();
   startFx();
   startIbcMetaRefresher();
+  startLpPositions();
+  startRugDetector();
+  startWalletPnl();
+  startWalletLabels();
+  startLaunchReport();
 
   // 🔔 fast-track listener
   startFasttrackListener();
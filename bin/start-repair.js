@@ -0,0 +1,21 @@
+// bin/start-repair.js
+//
+// Retries heights recorded in failed_heights (with backoff) and scans for
+// heights the live indexer passed without storing a header.
+// Runs as its own process: it re-uses processHeight, like the indexer.
+import 'dotenv/config';
+import { init } from '../lib/db.js';
+import { info } from '../lib/log.js';
+import { startGapRepair } from '../jobs/gap-repair.js';
+
+async function main() {
+  await init();
+  info('repair: starting…');
+  startGapRepair();
+  setInterval(()=>{}, 1<<30);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+// core/amm/index.js
+//
+// One place for swap math, so /swap, /tokens and the price jobs never quote
+// the same pool differently:
+//   xyk.js        exact BigInt constant product on `_base` amounts (both fee
+//                 sides, forward and reverse)
+//   stableswap.js / pcl.js   curve solvers (DISPLAY units)
+//   sim.js        per-pool dispatcher on pair_type, reverse simulation, spot price
+//   split.js      optimal split over parallel xyk pools
+//   pools.js      fee table, UZIG-pool loading and best-pool selection
+export { FEE_DEN, feePpm, toBase, fromBase, xykOut, xykIn } from './xyk.js';
+export { simulateStable } from './stableswap.js';
+export { simulatePCL } from './pcl.js';
+export {
+  AMM_FEE_ON, attachCurves, simulateSwap, simulateSwapReverse,
+  simulateUzigPool, simulateUzigPoolReverse, spotPrice,
+} from './sim.js';
+export { splitXYK } from './split.js';
+export {
+  pairFee, loadUzigPoolsForToken, pickBySimulation, pickByReverse, defaultAmount, bestBuyPool, bestSellPool,
+} from './pools.js';
@@ -0,0 +1,100 @@
+// core/amm/pcl.js
+//
+// Concentrated (PCL / Curve-v2 cryptoswap) pools, two assets.
+// Balances are DISPLAY units in contract asset order; asset 1 is repegged
+// into asset-0 terms by price_scale before the invariant is applied:
+//
+//   xp = [x0, x1 · price_scale]
+//   K0 = 4·xp0·xp1 / D²
+//   K  = A · K0 · γ² / (γ + 1 − K0)²          (A = amp · N^N, N = 2)
+//   K·D·(xp0 + xp1) + xp0·xp1 = K·D² + (D/2)²
+//
+// Both D and the post-trade balance are found by bisection, which is safe
+// here: F(D) changes sign on [2·sqrt(xp0·xp1), xp0 + xp1], and for a fixed D
+// the missing balance lies in (0, D²/(4·x_other)].
+
+const ITER = 200;
+
+function invariantF(A, gamma, x0, x1, D) {
+  const K0 = (4 * x0 * x1) / (D * D);
+  const g = gamma + 1 - K0;
+  const K = (A * K0 * gamma * gamma) / (g * g);
+  return K * D * (x0 + x1) + x0 * x1 - K * D * D - (D * D) / 4;
+}
+
+function bisect(f, lo, hi) {
+  let flo = f(lo);
+  for (let i = 0; i < ITER; i++) {
+    const mid = (lo + hi) / 2;
+    if (mid === lo || mid === hi) break;
+    const fm = f(mid);
+    if ((fm > 0) === (flo > 0)) { lo = mid; flo = fm; } else { hi = mid; }
+  }
+  return (lo + hi) / 2;
+}
+
+export function pclD(A, gamma, x0, x1) {
+  const lo = 2 * Math.sqrt(x0 * x1);
+  const hi = x0 + x1;
+  if (!(hi > lo)) return hi;
+  return bisect(D => invariantF(A, gamma, x0, x1, D), lo, hi);
+}
+
+export function pclY(A, gamma, xOther, D) {
+  const hi = (D * D) / (4 * xOther);
+  return bisect(y => invariantF(A, gamma, xOther, y, D), hi * 1e-12, hi);
+}
+
+/** dynamic fee: mid_fee near balance, sliding to out_fee as K0 drops */
+export function pclFee({ midFee, outFee, feeGamma }, x0, x1, D) {
+  if (midFee == null || outFee == null || feeGamma == null) return null;
+  const K0 = (4 * x0 * x1) / (D * D);
+  const f = feeGamma / (feeGamma + 1 - K0);
+  return midFee * f + outFee * (1 - f);
+}
+
+function swapNoFee(A, gamma, xp, D, i, dxScaled) {
+  const j = 1 - i;
+  const xi = xp[i] + dxScaled;
+  const y = pclY(A, gamma, xi, D);
+  return { dyScaled: xp[j] - y, xi, y };
+}
+
+/**
+ * Simulate `amountIn` of asset i (0|1).
+ * curve: { amp, gamma, priceScale, midFee, outFee, feeGamma }
+ * fallbackFee is used when the config has no fee params.
+ * → { amountOut, fee, priceMid, priceExec, priceImpact } or null
+ */
+export function simulatePCL({ balances, i, amountIn, curve, fallbackFee = 0 }) {
+  const [x0, x1] = balances;
+  const { amp, gamma, priceScale } = curve || {};
+  if (!(x0 > 0 && x1 > 0) || !(amountIn > 0)) return null;
+  if (!(amp > 0) || !(gamma > 0) || !(priceScale > 0)) return null;
+
+  const A = amp * 4;
+  const scale = [1, priceScale];
+  const xp = [x0, x1 * priceScale];
+  const D = pclD(A, gamma, xp[0], xp[1]);
+  const j = 1 - i;
+
+  const { dyScaled, xi, y } = swapNoFee(A, gamma, xp, D, i, amountIn * scale[i]);
+  if (!(dyScaled > 0)) return null;
+
+  const fee = pclFee(curve, xi, y, D) ?? fallbackFee;
+  const amountOut = (dyScaled / scale[j]) * (1 - fee);
+
+  // marginal rate from a tiny probe (no fee)
+  const probe = xp[i] / scale[i] * 1e-7;
+  const m = swapNoFee(A, gamma, xp, D, i, probe * scale[i]);
+  const priceMid = (m.dyScaled / scale[j]) / probe;
+
+  const priceExec = amountOut / amountIn;
+  return {
+    amountOut,
+    fee,
+    priceMid,
+    priceExec,
+    priceImpact: priceExec > 0 ? (priceMid / priceExec) - 1 : null,
+  };
+}
@@ -0,0 +1,145 @@
+// core/amm/pools.js
+//
+// UZIG-pool loading and best-pool selection shared by /swap and /tokens.
+import { DB } from '../../lib/db.js';
+import { dexWhereOpt } from '../dex.js';
+import { attachCurves, simulateUzigPool, simulateUzigPoolReverse } from './sim.js';
+
+/** Oroswap pair type → taker fee fraction */
+export function pairFee(pairType) {
+  if (!pairType) return 0.003;
+  const t = String(pairType).toLowerCase();
+  if (t === 'xyk') return 0.0001;
+  if (t === 'concentrated') return 0.01;
+  if (t === 'stable') return 0.0005;
+  const m = t.match(/xyk[_-](\d+)/);
+  if (m) {
+    const bps = Number(m[1]);
+    if (Number.isFinite(bps)) return bps / 10_000;
+  }
+  return 0.003;
+}
+
+/**
+ * All UZIG-quoted pools of a token with mid price and reserves (display
+ * units, plus raw base amounts and exponents for exact xyk math).
+ * Pools whose token decimals are unknown (exponent NULL until a cw20's
+ * decimals are re-read) are left out rather than scaled by 10^0.
+ * dex: parseDex() binding or null.
+ */
+export async function loadUzigPoolsForToken(tokenId, { minTvlZig = 0, dex = null } = {}) {
+  const { rows } = await DB.query(
+    `
+    SELECT
+      p.pool_id,
+      p.pair_contract,
+      p.pair_type,
+      pr.price_in_zig,           -- mid zig per token
+      ps.reserve_base_base   AS res_base_base,
+      ps.reserve_quote_base  AS res_quote_base,
+      tb.exponent            AS base_exp,
+      tq.exponent            AS quote_exp,
+      COALESCE(pm.tvl_zig,0) AS tvl_zig,
+      tb.denom               AS base_denom
+    FROM pools p
+    JOIN tokens tb           ON tb.token_id = p.base_token_id
+    JOIN tokens tq           ON tq.token_id = p.quote_token_id
+    LEFT JOIN pool_state ps  ON ps.pool_id = p.pool_id
+    LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
+    LEFT JOIN LATERAL (
+      SELECT price_in_zig
+        FROM prices
+       WHERE pool_id = p.pool_id
+         AND token_id = p.base_token_id
+       ORDER BY updated_at DESC
+       LIMIT 1
+    ) pr ON TRUE
+    WHERE p.is_uzig_quote = TRUE
+      AND p.base_token_id = $1
+      AND tb.exponent IS NOT NULL
+      AND tq.exponent IS NOT NULL
+      AND ${dexWhereOpt('p', 2)}
+    `,
+    [tokenId, dex]
+  );
+
+  const pools = rows
+    .map(r => {
+      const tokenExp = Number(r.base_exp);
+      const zigExp   = Number(r.quote_exp);
+      return {
+        poolId:       String(r.pool_id),
+        pairContract: r.pair_contract,
+        pairType:     r.pair_type,
+        fee:          pairFee(r.pair_type),
+        tokenDenom:   r.base_denom,
+        priceInZig:   Number(r.price_in_zig || 0), // **mid** zig per token
+        tokenReserve: Number(r.res_base_base  || 0) / Math.pow(10, tokenExp),
+        zigReserve:   Number(r.res_quote_base || 0) / Math.pow(10, zigExp),
+        tokenReserveBase: r.res_base_base  != null ? String(r.res_base_base)  : null,
+        zigReserveBase:   r.res_quote_base != null ? String(r.res_quote_base) : null,
+        tokenExp,
+        zigExp,
+        tvlZig:       Number(r.tvl_zig || 0),
+      };
+    })
+    .filter(p => p.tvlZig >= minTvlZig);
+  return attachCurves(pools);
+}
+
+/** Pick best pool by sim (maximize out). */
+export function pickBySimulation(pools, { fromIsZig, amountIn }) {
+  let best = null;
+  for (const p of pools) {
+    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
+    // dispatches on pair_type (xyk vs stable / concentrated curve)
+    const sim = hasRes ? simulateUzigPool(p, { fromIsZig, amountIn }) : null;
+    const score = sim ? sim.out : 0;
+    const cand = { ...p, sim, score };
+    if (!best || cand.score > best.score) best = cand;
+  }
+  return best;
+}
+
+/** Exact output: pick the pool that needs the least input for `amountOut`. */
+export function pickByReverse(pools, { fromIsZig, amountOut }) {
+  let best = null;
+  for (const p of pools) {
+    const hasRes = p.zigReserve > 0 && p.tokenReserve > 0;
+    const sim = hasRes ? simulateUzigPoolReverse(p, { fromIsZig, amountOut }) : null;
+    if (!sim || !(sim.in > 0)) continue;
+    if (!best || sim.in < best.sim.in) best = { ...p, sim };
+  }
+  return best;
+}
+
+/** Default notional (~$100) when amt not provided. */
+export function defaultAmount(side, { zigUsd, pools }) {
+  const targetUsd = 100;
+  const zigAmt = targetUsd / Math.max(zigUsd, 1e-9);
+  if (side === 'buy') return zigAmt; // from ZIG
+  const avgMid = pools.length
+    ? pools.reduce((s, p) => s + (p.priceInZig || 0), 0) / pools.length
+    : 1;
+  return zigAmt / Math.max(avgMid, 1e-12); // from token
+}
+
+/** best pool for ZIG→TOKEN (buy) */
+export async function bestBuyPool(tokenId, { amountIn, minTvlZig, zigUsd, dex = null }) {
+  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig, dex });
+  if (!pools.length) return null;
+  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('buy', { zigUsd, pools });
+  const pick = pickBySimulation(pools, { fromIsZig: true, amountIn: amt });
+  if (!pick) return null;
+  return { ...pick, amtUsed: amt };
+}
+
+/** best pool for TOKEN→ZIG (sell) */
+export async function bestSellPool(tokenId, { amountIn, minTvlZig, zigUsd, dex = null }) {
+  const pools = await loadUzigPoolsForToken(tokenId, { minTvlZig, dex });
+  if (!pools.length) return null;
+  const amt = Number.isFinite(amountIn) ? Number(amountIn) : defaultAmount('sell', { zigUsd, pools });
+  const pick = pickBySimulation(pools, { fromIsZig: false, amountIn: amt });
+  if (!pick) return null;
+  return { ...pick, amtUsed: amt };
+}
@@ -0,0 +1,181 @@
+// core/amm/sim.js
+//
+// Quote one swap through one pool, dispatching on pools.pair_type:
+//   xyk / xyk_<bps>  → core/amm/xyk.js, exact on base units when the pool
+//                      carries exponents (fee side from AMM_FEE_ON)
+//   concentrated     → core/amm/pcl.js with the pair's { config } params
+//   stable           → core/amm/stableswap.js with the config's amp
+// Amounts and reserves are DISPLAY units.
+import { pairKind, pairConfig } from '../pair-config.js';
+import { simulatePCL } from './pcl.js';
+import { simulateStable } from './stableswap.js';
+import { xykOut, xykIn, toBase, fromBase } from './xyk.js';
+
+// 'input' matches the quotes we have always served; Astroport-style pairs
+// take the commission from the return amount ('output')
+export const AMM_FEE_ON = (process.env.AMM_FEE_ON || 'input').toLowerCase() === 'output' ? 'output' : 'input';
+
+/** attach `curve` (pair config) to every non-xyk pool; xyk pools are left alone */
+export async function attachCurves(pools) {
+  await Promise.all(pools.map(async (p) => {
+    if (pairKind(p.pairType) === 'xyk' || p.curve !== undefined) return;
+    p.curve = await pairConfig(p.pairContract).catch(() => null);
+  }));
+  return pools;
+}
+
+const impactOf = (priceMid, priceExec) => (priceExec > 0 ? (priceMid / priceExec) - 1 : null);
+
+// exact when both exponents are known; reserves fall back to display × 10^exp
+function xykLeg({ rIn, rOut, rInBase, rOutBase, inExp, outExp }) {
+  if (inExp == null || outExp == null) return null;
+  return {
+    rIn:  rInBase  ?? toBase(rIn, inExp),
+    rOut: rOutBase ?? toBase(rOut, outExp),
+    inExp, outExp,
+  };
+}
+
+function xykSwap(leg, { fee, amountIn }) {
+  const { rIn, rOut } = leg;
+  const exact = xykLeg(leg);
+  let amountOut;
+  if (exact) {
+    const r = xykOut({ rIn: exact.rIn, rOut: exact.rOut, amountIn: toBase(amountIn, exact.inExp), fee, feeOn: AMM_FEE_ON });
+    amountOut = fromBase(r.amountOut, exact.outExp);
+  } else if (AMM_FEE_ON === 'output') {
+    amountOut = ((amountIn * rOut) / (rIn + amountIn)) * (1 - fee);
+  } else {
+    const xin = amountIn * (1 - fee);
+    amountOut = (xin * rOut) / (rIn + xin);
+  }
+  const priceMid = rOut / rIn;
+  const priceExec = amountOut / amountIn;
+  return { amountOut, fee, priceMid, priceExec, priceImpact: impactOf(priceMid, priceExec) };
+}
+
+function xykSwapReverse(leg, { fee, amountOut }) {
+  const { rIn, rOut } = leg;
+  const exact = xykLeg(leg);
+  let amountIn;
+  if (exact) {
+    const dx = xykIn({ rIn: exact.rIn, rOut: exact.rOut, amountOut: toBase(amountOut, exact.outExp), fee, feeOn: AMM_FEE_ON });
+    if (dx == null) return null;
+    amountIn = fromBase(dx, exact.inExp);
+  } else if (AMM_FEE_ON === 'output') {
+    const gross = amountOut / (1 - fee);
+    if (!(gross < rOut)) return null;
+    amountIn = (rIn * gross) / (rOut - gross);
+  } else {
+    if (!(amountOut < rOut)) return null;
+    amountIn = ((rIn * amountOut) / (rOut - amountOut)) / (1 - fee);
+  }
+  const priceMid = rOut / rIn;
+  const priceExec = amountOut / amountIn;
+  return { amountIn, amountOut, fee, priceMid, priceExec, priceImpact: impactOf(priceMid, priceExec) };
+}
+
+/**
+ * Generic leg: `amountIn` of `inDenom` into a pool holding rIn (of inDenom)
+ * and rOut (of outDenom). pool: { pairType, fee, curve? }
+ * Optional inExp/outExp (+ rInBase/rOutBase) make the xyk path exact.
+ * → { amountOut, fee, priceMid, priceExec, priceImpact, model } or null
+ */
+export function simulateSwap(pool, leg) {
+  const { inDenom, outDenom, rIn, rOut, amountIn } = leg;
+  if (!(rIn > 0 && rOut > 0) || !(amountIn > 0)) return null;
+
+  const kind = pairKind(pool.pairType);
+  if (kind === 'stable' && pool.curve) {
+    const r = simulateStable({ rIn, rOut, amountIn, amp: pool.curve.amp, fee: pool.fee });
+    if (r) return { ...r, model: 'stable' };
+  }
+  if (kind === 'concentrated' && pool.curve) {
+    const order = pool.curve.assetDenoms || [];
+    const i = order.indexOf(inDenom);
+    const j = order.indexOf(outDenom);
+    if (i !== -1 && j !== -1 && i !== j) {
+      const balances = i === 0 ? [rIn, rOut] : [rOut, rIn];
+      const r = simulatePCL({ balances, i, amountIn, curve: pool.curve, fallbackFee: pool.fee });
+      if (r) return { ...r, model: 'concentrated' };
+    }
+  }
+  return { ...xykSwap(leg, { fee: pool.fee, amountIn }), model: 'xyk' };
+}
+
+/**
+ * Reverse leg: the input needed to receive `amountOut`. Closed form on xyk;
+ * curve pools bisect on simulateSwap (output is monotone in input).
+ * → { amountIn, amountOut, fee, priceMid, priceExec, priceImpact, model } or null
+ */
+export function simulateSwapReverse(pool, leg) {
+  const { rIn, rOut, amountOut } = leg;
+  if (!(rIn > 0 && rOut > 0) || !(amountOut > 0) || !(amountOut < rOut)) return null;
+
+  const forward = (x) => simulateSwap(pool, { ...leg, amountIn: x });
+  const probe = forward(rIn * 1e-7);
+  if (!probe) return null;
+  if (probe.model === 'xyk') {
+    const r = xykSwapReverse(leg, { fee: pool.fee, amountOut });
+    return r ? { ...r, model: 'xyk' } : null;
+  }
+
+  let lo = 0, hi = rIn;
+  for (let i = 0; i < 64 && !((forward(hi)?.amountOut ?? 0) >= amountOut); i++) hi *= 2;
+  if (!((forward(hi)?.amountOut ?? 0) >= amountOut)) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (mid === lo || mid === hi) break;
+    if ((forward(mid)?.amountOut ?? 0) >= amountOut) hi = mid; else lo = mid;
+  }
+  const r = forward(hi);
+  return { ...r, amountIn: hi };
+}
+
+const uzigLeg = (pool, fromIsZig) => (fromIsZig
+  ? { inDenom: 'uzig', outDenom: pool.tokenDenom, rIn: pool.zigReserve, rOut: pool.tokenReserve,
+      rInBase: pool.zigReserveBase, rOutBase: pool.tokenReserveBase, inExp: pool.zigExp, outExp: pool.tokenExp }
+  : { inDenom: pool.tokenDenom, outDenom: 'uzig', rIn: pool.tokenReserve, rOut: pool.zigReserve,
+      rInBase: pool.tokenReserveBase, rOutBase: pool.zigReserveBase, inExp: pool.tokenExp, outExp: pool.zigExp });
+
+/**
+ * UZIG-pool quote in the shape the token/swap routes use:
+ * pool: { pairType, fee, curve?, zigReserve, tokenReserve, tokenDenom,
+ *         zigExp?, tokenExp?, zigReserveBase?, tokenReserveBase? }
+ * → { out, price (zig per 1 token, executable), impact, fee, model }
+ */
+export function simulateUzigPool(pool, { fromIsZig, amountIn }) {
+  const r = simulateSwap(pool, { ...uzigLeg(pool, fromIsZig), amountIn });
+  if (!r) return { out: 0, price: 0, impact: 0 };
+  const price = fromIsZig
+    ? amountIn / Math.max(r.amountOut, 1e-18)
+    : r.amountOut / amountIn;
+  return { out: r.amountOut, price, impact: r.priceImpact ?? 0, fee: r.fee, model: r.model };
+}
+
+/**
+ * Exact-output UZIG-pool quote: input needed for `amountOut`.
+ * → { in, out, price, impact, fee, model } or null when the pool is too shallow
+ */
+export function simulateUzigPoolReverse(pool, { fromIsZig, amountOut }) {
+  const r = simulateSwapReverse(pool, { ...uzigLeg(pool, fromIsZig), amountOut });
+  if (!r) return null;
+  const price = fromIsZig
+    ? r.amountIn / Math.max(amountOut, 1e-18)
+    : amountOut / r.amountIn;
+  return { in: r.amountIn, out: amountOut, price, impact: r.priceImpact ?? 0, fee: r.fee, model: r.model };
+}
+
+/**
+ * Marginal price of base in quote units (DISPLAY) — the reserves ratio for
+ * xyk, the curve's no-fee marginal rate for stable/concentrated pools.
+ * pool: { pairType, curve? }
+ */
+export function spotPrice(pool, { baseDenom, quoteDenom, rb, rq }) {
+  if (!(rb > 0 && rq > 0)) return null;
+  if (pairKind(pool.pairType) === 'xyk' || !pool.curve) return rq / rb;
+  const r = simulateSwap({ ...pool, fee: 0 }, {
+    inDenom: baseDenom, outDenom: quoteDenom, rIn: rb, rOut: rq, amountIn: rb * 1e-7,
+  });
+  return r?.priceMid ?? rq / rb;
+}
@@ -0,0 +1,40 @@
+// core/amm/split.js
+import { AMM_FEE_ON } from './sim.js';
+
+/**
+ * Optimal split of `amountIn` over parallel XYK pools. With γ = 1 − fee the
+ * marginal output of pool i at input x is
+ *   fee on input:  γ·Rin·Rout / (Rin + γx)²  →  x_i = μ·sqrt(Rin·Rout/γ) − Rin/γ
+ *   fee on output: γ·Rin·Rout / (Rin + x)²   →  x_i = μ·sqrt(γ·Rin·Rout) − Rin
+ * and the optimum equalizes it to λ = 1/μ² across every pool that gets a
+ * share. Water-filling: add pools by marginal-at-zero (γ·Rout/Rin) while
+ * that still beats the λ of the current set, then solve μ from Σx_i = amountIn.
+ *
+ * pools: [{ rIn, rOut, fee, ... }] → same objects with `allocIn` (> 0 only)
+ */
+export function splitXYK(pools, amountIn, { feeOn = AMM_FEE_ON } = {}) {
+  const cand = pools
+    .filter(p => p.rIn > 0 && p.rOut > 0 && p.fee < 1)
+    .map(p => ({ p, g: 1 - p.fee }))
+    .map(c => ({
+      ...c,
+      m0: c.g * c.p.rOut / c.p.rIn,
+      k:  feeOn === 'output' ? Math.sqrt(c.g * c.p.rIn * c.p.rOut) : Math.sqrt(c.p.rIn * c.p.rOut / c.g),
+      c0: feeOn === 'output' ? c.p.rIn : c.p.rIn / c.g,
+    }))
+    .sort((a, b) => b.m0 - a.m0);
+  if (!cand.length || !(amountIn > 0)) return [];
+
+  let sumK = 0, sumC = 0, mu = 0, n = 0;
+  for (const c of cand) {
+    const nk = sumK + c.k, nc = sumC + c.c0;
+    const nmu = (amountIn + nc) / nk;
+    // pool joins only if its marginal at zero beats the new λ = 1/μ²
+    if (n > 0 && !(c.m0 > 1 / (nmu * nmu))) break;
+    sumK = nk; sumC = nc; mu = nmu; n++;
+  }
+
+  return cand.slice(0, n)
+    .map(c => ({ ...c.p, allocIn: mu * c.k - c.c0 }))
+    .filter(p => p.allocIn > 0);
+}
@@ -0,0 +1,67 @@
+// core/amm/stableswap.js
+//
+// StableSwap invariant for two-asset `stable` pairs (Astroport convention,
+// Ann = amp · n with n = 2):
+//
+//   Ann·(x + y) + D = Ann·D + D³ / (4·x·y)
+//
+// Balances are DISPLAY units (the contract normalises to common precision
+// before applying the curve). The pair charges its fee on the output.
+
+const N = 2;
+const ITER = 64;
+
+export function stableD(Ann, x, y) {
+  const S = x + y;
+  if (!(S > 0)) return 0;
+  let D = S;
+  for (let i = 0; i < ITER; i++) {
+    const Dp = (D * D * D) / (4 * x * y);
+    const prev = D;
+    D = ((Ann * S + N * Dp) * D) / ((Ann - 1) * D + (N + 1) * Dp);
+    if (Math.abs(D - prev) <= 1e-12 * D) break;
+  }
+  return D;
+}
+
+/** balance of the other asset that keeps D, given this side's new balance x */
+export function stableY(Ann, x, D) {
+  const c = (D * D * D) / (4 * x * Ann);
+  const b = x + D / Ann;
+  let y = D;
+  for (let i = 0; i < ITER; i++) {
+    const prev = y;
+    y = (y * y + c) / (2 * y + b - D);
+    if (Math.abs(y - prev) <= 1e-12 * y) break;
+  }
+  return y;
+}
+
+function outNoFee(Ann, rIn, rOut, D, amountIn) {
+  return rOut - stableY(Ann, rIn + amountIn, D);
+}
+
+/**
+ * Simulate `amountIn` into a stable pool holding rIn / rOut.
+ * → { amountOut, fee, priceMid, priceExec, priceImpact } or null
+ */
+export function simulateStable({ rIn, rOut, amountIn, amp, fee = 0 }) {
+  if (!(rIn > 0 && rOut > 0) || !(amountIn > 0) || !(amp > 0)) return null;
+  const Ann = amp * N;
+  const D = stableD(Ann, rIn, rOut);
+
+  const gross = outNoFee(Ann, rIn, rOut, D, amountIn);
+  if (!(gross > 0)) return null;
+  const amountOut = gross * (1 - fee);
+
+  const probe = rIn * 1e-7;
+  const priceMid = outNoFee(Ann, rIn, rOut, D, probe) / probe;
+  const priceExec = amountOut / amountIn;
+  return {
+    amountOut,
+    fee,
+    priceMid,
+    priceExec,
+    priceImpact: priceExec > 0 ? (priceMid / priceExec) - 1 : null,
+  };
+}
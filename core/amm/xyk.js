@@ -0,0 +1,92 @@
+// core/amm/xyk.js
+//
+// Constant-product math on raw `_base` amounts (BigInt), rounded the way
+// the pair contract rounds: the trader never gets more than the pool pays.
+//
+//   fee on input  (legacy quotes):  dx' = dx·(1−f),  dy = Rout·dx' / (Rin + dx')
+//   fee on output (Astroport-style): dy = Rout·dx / (Rin + dx),  dy −= dy·f
+//
+// Fees are parts-per-million so 0.0001 (1 bp) stays exact.
+
+export const FEE_DEN = 1_000_000n;
+
+export function feePpm(fee) {
+  const f = Math.round(Number(fee || 0) * 1e6);
+  return BigInt(Math.min(Math.max(f, 0), 1e6));
+}
+
+const big = (x) => {
+  if (typeof x === 'bigint') return x;
+  const s = String(x ?? '0').split('.')[0];
+  return /^-?\d+$/.test(s) ? BigInt(s) : 0n;
+};
+
+const ceilDiv = (a, b) => (a + b - 1n) / b;
+
+/** DISPLAY number → raw base BigInt */
+export function toBase(display, exp) {
+  const d = Number(display), e = Number(exp) || 0;
+  if (!(d > 0)) return 0n;
+  const s = d.toFixed(Math.min(e, 20));
+  if (s.includes('e')) return BigInt(Math.floor(d)) * 10n ** BigInt(e);
+  const [i, f = ''] = s.split('.');
+  return BigInt(i + f.padEnd(e, '0').slice(0, e));
+}
+
+/** raw base BigInt → DISPLAY number */
+export function fromBase(base, exp) {
+  return Number(big(base)) / Math.pow(10, Number(exp) || 0);
+}
+
+/**
+ * Output for `amountIn` (base units).
+ * → { amountOut, commission } as BigInt; commission is in the fee's asset
+ */
+export function xykOut({ rIn, rOut, amountIn, fee, feeOn = 'input' }) {
+  const Rin = big(rIn), Rout = big(rOut), dx = big(amountIn);
+  if (Rin <= 0n || Rout <= 0n || dx <= 0n) return { amountOut: 0n, commission: 0n };
+  const f = feePpm(fee);
+
+  if (feeOn === 'output') {
+    const gross = (Rout * dx) / (Rin + dx);
+    const commission = (gross * f) / FEE_DEN;
+    return { amountOut: gross - commission, commission };
+  }
+  const net = (dx * (FEE_DEN - f)) / FEE_DEN;
+  return { amountOut: (Rout * net) / (Rin + net), commission: dx - net };
+}
+
+/**
+ * Reverse simulation: smallest input (base units) that returns at least
+ * `amountOut`. null when the pool cannot pay that much.
+ */
+export function xykIn({ rIn, rOut, amountOut, fee, feeOn = 'input' }) {
+  const Rin = big(rIn), Rout = big(rOut), dy = big(amountOut);
+  if (Rin <= 0n || Rout <= 0n || dy <= 0n) return null;
+  const f = feePpm(fee);
+  if (f >= FEE_DEN) return null;
+
+  let dx;
+  if (feeOn === 'output') {
+    const gross = ceilDiv(dy * FEE_DEN, FEE_DEN - f);
+    if (gross >= Rout) return null;
+    dx = ceilDiv(Rin * gross, Rout - gross);
+  } else {
+    if (dy >= Rout) return null;
+    const net = ceilDiv(Rin * dy, Rout - dy);
+    dx = ceilDiv(net * FEE_DEN, FEE_DEN - f);
+  }
+  // the closed form is off the forward path's floors by a few units (more
+  // when Rin ≫ Rout): bracket, then bisect to the smallest input that pays
+  const pays = (x) => xykOut({ rIn: Rin, rOut: Rout, amountIn: x, fee, feeOn }).amountOut >= dy;
+  let step = 1n;
+  while (!pays(dx)) { dx += step; step *= 2n; }
+  let lo = dx, hi = dx;
+  step = 1n;
+  while (lo > 0n && pays(lo)) { hi = lo; lo = lo > step ? lo - step : 0n; step *= 2n; }
+  while (hi - lo > 1n) {
+    const mid = (lo + hi) / 2n;
+    if (pays(mid)) hi = mid; else lo = mid;
+  }
+  return hi;
+}
@@ -1,29 +1,29 @@
 // core/block-processor.js
 import { getBlock, getBlockResults, unwrapBlock, unwrapBlockResults } from '../lib/rpc.js';
 import { info, warn, debug } from '../lib/log.js';
-import { upsertPool, poolWithTokens } from './pools.js';
+import { upsertPool, poolWithTokens, ensurePoolLpDenom } from './pools.js';
 import { setTokenMetaFromLCD } from './tokens.js';
-import { insertTrade } from './trades.js';
-import { upsertPoolState } from './pool_state.js';
-import { upsertOHLCV1m } from './ohlcv.js';
+import { poolStateRow } from './pool_state.js';
 import { pgNotify } from '../lib/pg_notify.js';
 import { startFasttrackListener } from '../jobs/fasttrack-listener.js';
 import { DB } from '../lib/db.js';
-import {
-  digitsOrNull, wasmByAction, byType, buildMsgSenderMap, normalizePair,
-  classifyDirection, parseReservesKV, parseAssetsList, sha256hex
-} from './parse.js';
+import { byType, buildMsgSenderMap, classifyDirection, sha256hex } from './parse.js';
+import { decodeTx, loadDecoderPlugins } from './decoders/index.js';
+import { cw20TouchedAccounts, cw20TokenId, cw20Balance } from './cw20.js';
 import { BlockTimer } from './timing.js';
+import { swapAttemptFromTx, failedSwapRow } from './failed-swaps.js';
+import { findSandwiches, sandwichRows } from './sandwich.js';
 
 // price helpers
-import { upsertPrice, fetchPoolReserves, priceFromReserves_UZIGQuote } from './prices.js';
+import { fetchPoolReserves, priceFromReserves_UZIGQuote } from './prices.js';
+import { tokenRoute } from './price-graph.js';
+import { attachCurves, spotPrice } from './amm/index.js';
+import { pairKind } from './pair-config.js';
+import { readCheckpoint } from './checkpoint.js';
 
 // Start fast-track ONCE
 startFasttrackListener();
 
-const FACTORY_ADDR = process.env.FACTORY_ADDR || '';
-const ROUTER_ADDR = process.env.ROUTER_ADDR || null;
-
 const BLOCK_PROC_CONCURRENCY = Number(process.env.BLOCK_PROC_CONCURRENCY || 12);
 const MAX_PENDING_TASKS = Number(process.env.BLOCK_PROC_MAX_TASKS || 5000);
 
@@ -63,6 +63,7 @@ function rememberMeta(denom, lowPrioTasks) {
 export async function processHeight(h) {
   const T = new BlockTimer(h, debug);
   info('PROCESS BLOCK →', h);
+  await loadDecoderPlugins();
 
   T.mark('rpc');
   const [blkJson, resJson] = await Promise.all([getBlock(h), getBlockResults(h)]);
@@ -80,10 +81,20 @@ export async function processHeight(h) {
   const txResults = res.txs_results || [];
   const timestamp = blk.header.time;
 
-  const poolTasks = [];           // phase 1: create_pair → ensure pools exist
+  // stable / concentrated params (amp, price_scale …) are read from LCD at the
+  // chain head and may not hold at an older block: below the live checkpoint
+  // (backfill, repair) swaps in curve pools are left unpriced
+  const live = await readCheckpoint();
+  const belowLive = live != null && h < Number(live);
+  const curveUnknown = (pairType) => belowLive && pairKind(pairType) !== 'xyk';
+
+  const poolTasks = [];           // phase 1: pool records → ensure pools exist
   const tasks = [];               // phase 2: swaps/liquidity/etc
   const lowPrioTasks = [];
   const prefetchSet = new Set();
+  // derived rows for this height; written in one tx by core/commit.js
+  const out = { trades: [], poolStates: [], candles: [], prices: [], holders: [], failedSwaps: [], sandwiches: [] };
+  const cw20Touched = new Map(); // contract -> Set(address), across the whole block
   let nCreatePair = 0, nSwap = 0, nLiq = 0;
 
   T.mark('scan');
@@ -98,235 +109,259 @@ export async function processHeight(h) {
     const msgs = byType(txr.events, 'message');
     const msgSenderByIndex = buildMsgSenderMap(msgs);
 
-    // create_pair
-    const cps = wasmByAction(wasms, 'create_pair');
-    for (const cp of cps) {
-      if ((cp.m.get('_contract_address') || '').trim() !== FACTORY_ADDR) continue;
-      nCreatePair++;
-      const pairType = String(cp.m.get('pair_type') || 'xyk');
-      const { base, quote } = normalizePair(cp.m.get('pair'));
-      const reg = wasms.find(w => w.m.get('action') === 'register' && w.m.get('_contract_address') === FACTORY_ADDR);
-      const poolAddr = reg?.m.get('pair_contract_addr') || insts.at(-1)?.m.get('_contract_address');
-      if (!poolAddr) { warn('create_pair: could not find pool addr'); continue; }
-      const signer = msgSenderByIndex.get(Number(cp.m.get('msg_index'))) || null;
-
-      poolTasks.push(async () => {
-        await upsertPool({
-          pairContract: poolAddr, baseDenom: base, quoteDenom: quote, pairType,
-          createdAt: timestamp, height: h, txHash: tx_hash, signer
+    // reverted swaps emit no wasm events; read the attempt from the tx bytes
+    if (txr.code && txs[i]) {
+      const att = swapAttemptFromTx(txs[i]);
+      if (att) {
+        tasks.push(async () => {
+          for (const addr of att.contracts) {
+            const pool = await getPoolCached(addr);
+            if (!pool) continue;
+            out.failedSwaps.push(failedSwapRow(att, addr, pool, { height: h, txHash: tx_hash, txr, createdAt: timestamp }));
+            return;
+          }
         });
+      }
+      continue;
+    }
 
-        // refresh cache
-        const p = await poolWithTokens(poolAddr);
-        if (p) poolsByContract.set(poolAddr, p);
-
-        // notify
-        if (p) {
-          await pgNotify('pair_created', {
-            pool_id: p.pool_id,
-            pair_contract: poolAddr,
-            base_denom: p.base_denom,
-            quote_denom: p.quote_denom,
-            base_token_id: p.base_id,
-            quote_token_id: p.quote_id,
-            is_uzig_quote: p.is_uzig_quote === true
-          });
-          debug('[notify] pair_created', poolAddr);
-        }
-      });
-
-      rememberMeta(base, lowPrioTasks);
-      rememberMeta(quote, lowPrioTasks);
+    // cw20 transfer/send/mint/burn → accounts to re-read balances for
+    for (const [contract, addrs] of cw20TouchedAccounts(wasms)) {
+      const set = cw20Touched.get(contract) || new Set();
+      for (const a of addrs) set.add(a);
+      cw20Touched.set(contract, set);
     }
 
-    // swaps
-    const swaps = wasmByAction(wasms, 'swap');
-    for (let idx = 0; idx < swaps.length; idx++) {
-      const s = swaps[idx];
-      const pairContract = s.m.get('_contract_address');
-      if (!pairContract) continue;
-      nSwap++;
-      prefetchSet.add(pairContract);
+    // decoders (core/decoders) turn wasm events into normalized records
+    const records = await decodeTx({ height: h, txHash: tx_hash, timestamp, wasms, insts, executes, msgSenderByIndex });
+    for (const rec of records) {
+      // pool creation (factory)
+      if (rec.type === 'pool') {
+        nCreatePair++;
+        const { pairContract: poolAddr, baseDenom: base, quoteDenom: quote, pairType, signer, factory, dex, lpTokenDenom } = rec;
+
+        poolTasks.push(async () => {
+          await upsertPool({
+            pairContract: poolAddr, baseDenom: base, quoteDenom: quote, pairType,
+            createdAt: timestamp, height: h, txHash: tx_hash, signer, factory, dex, lpTokenDenom
+          });
+          if (!lpTokenDenom) lowPrioTasks.push(() => ensurePoolLpDenom(poolAddr));
+
+          // refresh cache
+          const p = await poolWithTokens(poolAddr);
+          if (p) poolsByContract.set(poolAddr, p);
+
+          // notify
+          if (p) {
+            await pgNotify('pair_created', {
+              pool_id: p.pool_id,
+              pair_contract: poolAddr,
+              base_denom: p.base_denom,
+              quote_denom: p.quote_denom,
+              base_token_id: p.base_id,
+              quote_token_id: p.quote_id,
+              is_uzig_quote: p.is_uzig_quote === true
+            });
+            debug('[notify] pair_created', poolAddr);
+          }
+        });
 
-      const offer = s.m.get('offer_asset') || s.m.get('offer_asset_denom');
-      const ask = s.m.get('ask_asset') || s.m.get('ask_asset_denom');
-      const offerAmt = digitsOrNull(s.m.get('offer_amount'));
-      const askAmt = digitsOrNull(s.m.get('ask_amount'));
-      const retAmt = digitsOrNull(s.m.get('return_amount'));
-
-      let res1d = s.m.get('reserve_asset1_denom') || s.m.get('asset1_denom') || null;
-      let res1a = digitsOrNull(s.m.get('reserve_asset1_amount') || s.m.get('asset1_amount'));
-      let res2d = s.m.get('reserve_asset2_denom') || s.m.get('asset2_denom') || null;
-      let res2a = digitsOrNull(s.m.get('reserve_asset2_amount') || s.m.get('asset2_amount'));
-      const reservesStr = s.m.get('reserves');
-      if ((!res1d || !res1a || !res2d || !res2a) && reservesStr) {
-        const kv = parseReservesKV(reservesStr);
-        if (kv?.[0]) { res1d = res1d ?? kv[0].denom; res1a = res1a ?? digitsOrNull(kv[0].amount_base); }
-        if (kv?.[1]) { res2d = res2d ?? kv[1].denom; res2a = res2a ?? digitsOrNull(kv[1].amount_base); }
+        rememberMeta(base, lowPrioTasks);
+        rememberMeta(quote, lowPrioTasks);
+        continue;
       }
+      if (rec.type !== 'trade') continue;
 
-      const msgIndex = Number(s.m.get('msg_index') ?? idx);
-      const signerEOA = msgSenderByIndex.get(msgIndex) || null;
-
-      const poolSwapSender = s.m.get('sender') || null;
-      const routerExec = !!ROUTER_ADDR && executes.some(e => e.m.get('_contract_address') === ROUTER_ADDR && Number(e.m.get('msg_index') || -1) === msgIndex);
-      const isRouter = !!(ROUTER_ADDR && (poolSwapSender === ROUTER_ADDR || routerExec));
-
-      tasks.push(async () => {
-        const pool = await getPoolCached(pairContract);
-        if (!pool) { warn(`[swap] unknown pool ${pairContract}`); return; }
-
-        await insertTrade({
-          pool_id: pool.pool_id, pair_contract: pairContract,
-          action: 'swap', direction: classifyDirection(offer, pool.quote_denom),
-          offer_asset_denom: offer, offer_amount_base: offerAmt,
-          ask_asset_denom: ask, ask_amount_base: askAmt,
-          return_amount_base: retAmt, is_router: isRouter,
-          reserve_asset1_denom: res1d, reserve_asset1_amount_base: res1a,
-          reserve_asset2_denom: res2d, reserve_asset2_amount_base: res2a,
-          height: h, tx_hash, signer: signerEOA, msg_index: msgIndex, created_at: timestamp
-        });
-
-        await upsertPoolState(
-          pool.pool_id, pool.base_denom, pool.quote_denom, res1d, res1a, res2d, res2a
-        );
+      const pairContract = rec.pairContract;
+      prefetchSet.add(pairContract);
+      const { res1d, res1a, res2d, res2a } = rec.reserves;
+      const msgIndex = rec.msgIndex;
+      const signerEOA = rec.signer;
+
+      // swaps
+      if (rec.action === 'swap') {
+        nSwap++;
+        const { offer, ask, offerAmt, askAmt, retAmt } = rec;
+        const router = rec.router || null;
+
+        tasks.push(async () => {
+          const pool = await getPoolCached(pairContract);
+          if (!pool) { warn(`[swap] unknown pool ${pairContract}`); return; }
+
+          out.trades.push({
+            pool_id: pool.pool_id, pair_contract: pairContract,
+            action: 'swap', direction: classifyDirection(offer, pool.quote_denom),
+            offer_asset_denom: offer, offer_amount_base: offerAmt,
+            ask_asset_denom: ask, ask_amount_base: askAmt,
+            return_amount_base: retAmt, is_router: !!router, router_contract: router,
+            reserve_asset1_denom: res1d, reserve_asset1_amount_base: res1a,
+            reserve_asset2_denom: res2d, reserve_asset2_amount_base: res2a,
+            height: h, tx_hash, signer: signerEOA, msg_index: msgIndex, created_at: timestamp,
+            tx_index: i
+          });
 
-        if (pool.is_uzig_quote) {
-          try {
-            const { rows: rExp } = await DB.query(
-              'SELECT exponent AS exp FROM tokens WHERE token_id = $1',
-              [pool.base_id]
-            );
-            const baseExpRaw = rExp?.[0]?.exp;
-            if (baseExpRaw == null) {
-              debug('[price/skip] meta not ready for base token', {
-                token_id: pool.base_id,
-                denom:   pool.base_denom,
-              });
-              return;
-            }
-            const baseExp = Number(baseExpRaw);
-
-            // Figure out which reserve is base and which is quote (uzig)
-            let RbRaw = null; // base token raw amount
-            let RqRaw = null; // uzig raw amount
-
-            if (res1d === pool.base_denom && res2d === pool.quote_denom) {
-              RbRaw = res1a;
-              RqRaw = res2a;
-            } else if (res2d === pool.base_denom && res1d === pool.quote_denom) {
-              RbRaw = res2a;
-              RqRaw = res1a;
-            }
+          const st = poolStateRow(
+            pool.pool_id, pool.base_denom, pool.quote_denom, res1d, res1a, res2d, res2a, h
+          );
+          if (st) out.poolStates.push(st);
 
-            if (RbRaw == null || RqRaw == null) {
-              debug('[price/skip] cannot map reserves to base/quote', {
-                pool: pool.pool_id,
-                base_denom:  pool.base_denom,
-                quote_denom: pool.quote_denom,
-                res1d, res2d,
+          if (pool.is_uzig_quote) {
+            try {
+              const { rows: rExp } = await DB.query(
+                'SELECT exponent AS exp FROM tokens WHERE token_id = $1',
+                [pool.base_id]
+              );
+              const baseExpRaw = rExp?.[0]?.exp;
+              if (baseExpRaw == null) {
+                debug('[price/skip] meta not ready for base token', {
+                  token_id: pool.base_id,
+                  denom:   pool.base_denom,
+                });
+                return;
+              }
+              const baseExp = Number(baseExpRaw);
+
+              // Figure out which reserve is base and which is quote (uzig)
+              let RbRaw = null; // base token raw amount
+              let RqRaw = null; // uzig raw amount
+
+              if (res1d === pool.base_denom && res2d === pool.quote_denom) {
+                RbRaw = res1a;
+                RqRaw = res2a;
+              } else if (res2d === pool.base_denom && res1d === pool.quote_denom) {
+                RbRaw = res2a;
+                RqRaw = res1a;
+              }
+
+              if (RbRaw == null || RqRaw == null) {
+                debug('[price/skip] cannot map reserves to base/quote', {
+                  pool: pool.pool_id,
+                  base_denom:  pool.base_denom,
+                  quote_denom: pool.quote_denom,
+                  res1d, res2d,
+                });
+                return;
+              }
+
+              const Rb = Number(RbRaw || 0);
+              const Rq = Number(RqRaw || 0);
+              if (!(Rb > 0) || !(Rq > 0)) {
+                debug('[price/skip] non-positive reserves', { Rb, Rq });
+                return;
+              }
+
+              // Both base + uzig are on minimal units; baseExp / 6 define human units
+              // price(base in ZIG) = (Rq / 10^6) / (Rb / 10^baseExp) on xyk,
+              // the curve's marginal price on stable / concentrated pools
+              if (curveUnknown(pool.pair_type)) {
+                debug('[price/skip] curve params unknown below live', { pool: pool.pool_id, h });
+                return;
+              }
+              const [curvePool] = await attachCurves([{ pairType: pool.pair_type, pairContract }]);
+              const price = spotPrice(curvePool, {
+                baseDenom: pool.base_denom, quoteDenom: pool.quote_denom,
+                rb: Rb / Math.pow(10, baseExp), rq: Rq / 1e6,
               });
-              return;
-            }
 
-            const Rb = Number(RbRaw || 0);
-            const Rq = Number(RqRaw || 0);
-            if (!(Rb > 0) || !(Rq > 0)) {
-              debug('[price/skip] non-positive reserves', { Rb, Rq });
-              return;
+              if (price != null && Number.isFinite(price) && price > 0) {
+                const quoteRaw = (offer === pool.quote_denom)
+                  ? Number(offerAmt || 0)
+                  : Number(retAmt   || 0);
+                const volZig = quoteRaw / 1e6; // UZIG always has 6 decimals
+
+                const bucket = new Date(
+                  Math.floor(new Date(timestamp).getTime() / 60000) * 60000
+                );
+
+                out.candles.push({
+                  pool_id: pool.pool_id,
+                  bucket_start: bucket,
+                  price,
+                  vol_zig: volZig,
+                  trade_inc: 1,
+                  liquidity_zig: null,
+                  tx_hash, msg_index: msgIndex,
+                });
+
+                out.prices.push({
+                  token_id: pool.base_id, pool_id: pool.pool_id, price, is_native: true,
+                  height: h, ts: timestamp, tx_index: i, msg_index: msgIndex,
+                });
+              }
+            } catch (e) {
+              warn('[swap price/event_reserves]', pairContract, e.message);
             }
-
-            // Both base + uzig are on minimal units; baseExp / 6 define human units
-            // price(base in ZIG) = (Rq / 10^6) / (Rb / 10^baseExp)
-            const price =
-              (Rq / 1e6) /
-              (Rb / Math.pow(10, baseExp));
-
-            if (price != null && Number.isFinite(price) && price > 0) {
-              const quoteRaw = (offer === pool.quote_denom)
-                ? Number(offerAmt || 0)
-                : Number(retAmt   || 0);
-              const volZig = quoteRaw / 1e6; // UZIG always has 6 decimals
-
-              const bucket = new Date(
-                Math.floor(new Date(timestamp).getTime() / 60000) * 60000
+          } else {
+            // non-uzig pool: price base through the quote token's best ZIG route
+            try {
+              const route = await tokenRoute(pool.quote_id);
+              if (!route || route.tokens.includes(String(pool.base_id))) return;
+
+              const { rows: rExp } = await DB.query(
+                'SELECT token_id, exponent AS exp FROM tokens WHERE token_id = ANY($1)',
+                [[pool.base_id, pool.quote_id]]
               );
-
-              await upsertOHLCV1m({
+              const expOf = new Map(rExp.map(r => [String(r.token_id), r.exp]));
+              const baseExp = expOf.get(String(pool.base_id));
+              const quoteExp = expOf.get(String(pool.quote_id));
+              if (baseExp == null || quoteExp == null) return;
+
+              let RbRaw = null, RqRaw = null;
+              if (res1d === pool.base_denom && res2d === pool.quote_denom) { RbRaw = res1a; RqRaw = res2a; }
+              else if (res2d === pool.base_denom && res1d === pool.quote_denom) { RbRaw = res2a; RqRaw = res1a; }
+              const Rb = Number(RbRaw || 0) / Math.pow(10, Number(baseExp));
+              const Rq = Number(RqRaw || 0) / Math.pow(10, Number(quoteExp));
+              if (!(Rb > 0) || !(Rq > 0)) return;
+
+              // price(base in ZIG) = marginal(base in quote) * price(quote in ZIG)
+              if (curveUnknown(pool.pair_type)) {
+                debug('[price/skip] curve params unknown below live', { pool: pool.pool_id, h });
+                return;
+              }
+              const [curvePool] = await attachCurves([{ pairType: pool.pair_type, pairContract }]);
+              const price = spotPrice(curvePool, {
+                baseDenom: pool.base_denom, quoteDenom: pool.quote_denom, rb: Rb, rq: Rq,
+              }) * route.price;
+              if (!Number.isFinite(price) || !(price > 0)) return;
+
+              const quoteRaw = (offer === pool.quote_denom) ? Number(offerAmt || 0) : Number(retAmt || 0);
+              const volZig = (quoteRaw / Math.pow(10, Number(quoteExp))) * route.price;
+              const bucket = new Date(Math.floor(new Date(timestamp).getTime() / 60000) * 60000);
+              out.candles.push({
                 pool_id: pool.pool_id,
                 bucket_start: bucket,
                 price,
                 vol_zig: volZig,
                 trade_inc: 1,
+                liquidity_zig: null,
+                tx_hash, msg_index: msgIndex,
               });
 
-              await upsertPrice(pool.base_id, pool.pool_id, price, true);
+              out.prices.push({
+                token_id: pool.base_id, pool_id: pool.pool_id, price, is_native: false,
+                depth_zig: Math.min(route.depth, 2 * Rq * route.price),
+                path_pool_ids: [String(pool.pool_id), ...route.pools],
+                path_token_ids: [String(pool.base_id), ...route.tokens],
+                height: h, ts: timestamp, tx_index: i, msg_index: msgIndex,
+              });
+            } catch (e) {
+              warn('[swap price/routed]', pairContract, e.message);
             }
-          } catch (e) {
-            warn('[swap price/event_reserves]', pairContract, e.message);
           }
-        }
-      });
-    }
-
-    // ─────────────────────────────────────────────────────────────────────
-    // liquidity (provide/withdraw)  ← fixed for withdraw
-    // ─────────────────────────────────────────────────────────────────────
-    const provides  = wasmByAction(wasms, 'provide_liquidity');
-    const withdraws = wasmByAction(wasms, 'withdraw_liquidity');
-    const liqs = [...provides, ...withdraws];
-
-    for (let li = 0; li < liqs.length; li++) {
-      const le = liqs[li];
-      const pairContract = le.m.get('_contract_address');
-      if (!pairContract) continue;
-      nLiq++;
-      prefetchSet.add(pairContract);
-
-      const isProvide = (le.m.get('action') === 'provide_liquidity');
-      const action = isProvide ? 'provide' : 'withdraw';
-
-      // reserves (explicit if present)
-      let res1d = le.m.get('reserve_asset1_denom') || null;
-      let res1a = digitsOrNull(le.m.get('reserve_asset1_amount'));
-      let res2d = le.m.get('reserve_asset2_denom') || null;
-      let res2a = digitsOrNull(le.m.get('reserve_asset2_amount'));
-
-      // prefer event assets: provide → assets, withdraw → refund_assets
-      const assetsStr = isProvide ? le.m.get('assets') : le.m.get('refund_assets');
-      if ((!res1d || !res1a || !res2d || !res2a) && assetsStr) {
-        const parsed = parseAssetsList(assetsStr);
-        if (parsed?.a1) { res1d = res1d ?? parsed.a1.denom; res1a = res1a ?? digitsOrNull(parsed.a1.amount_base); }
-        if (parsed?.a2) { res2d = res2d ?? parsed.a2.denom; res2a = res2a ?? digitsOrNull(parsed.a2.amount_base); }
-      }
-
-      // final fallback: reserves blob if any
-      const reservesStr = le.m.get('reserves');
-      if ((!res1d || !res1a || !res2d || !res2a) && reservesStr) {
-        const kv = parseReservesKV(reservesStr);
-        if (kv?.[0]) { res1d = res1d ?? kv[0].denom; res1a = res1a ?? digitsOrNull(kv[0].amount_base); }
-        if (kv?.[1]) { res2d = res2d ?? kv[1].denom; res2a = res2a ?? digitsOrNull(kv[1].amount_base); }
+        });
+        continue;
       }
 
-      // shares:
-      // provide:  share
-      // withdraw: withdrawn_share | withdraw_share | liquidity | burn_share | burnt_share | share
-      const shareBase = digitsOrNull(
-        isProvide
-          ? (le.m.get('share'))
-          : (le.m.get('withdrawn_share') || le.m.get('withdraw_share') ||
-             le.m.get('liquidity')      || le.m.get('burn_share')     ||
-             le.m.get('burnt_share')    || le.m.get('share'))
-      );
-
-      const msgIndex = Number(le.m.get('msg_index') ?? li);
-      const signerEOA = msgSenderByIndex.get(msgIndex) || null;
+      // liquidity (provide/withdraw)
+      nLiq++;
+      const action = rec.action;
+      const shareBase = rec.shareBase;
 
       tasks.push(async () => {
         const pool = await getPoolCached(pairContract);
         if (!pool) return;
 
-        await insertTrade({
+        out.trades.push({
           pool_id: pool.pool_id, pair_contract: pairContract,
           action, direction: action,
           offer_asset_denom: null, offer_amount_base: null,
@@ -335,7 +370,8 @@ export async function processHeight(h) {
           is_router: false,
           reserve_asset1_denom: res1d, reserve_asset1_amount_base: res1a,
           reserve_asset2_denom: res2d, reserve_asset2_amount_base: res2a,
-          height: h, tx_hash, signer: signerEOA, msg_index: msgIndex, created_at: timestamp
+          height: h, tx_hash, signer: signerEOA, msg_index: msgIndex, created_at: timestamp,
+          tx_index: i
         });
 
         // live price (no OHLCV on liq)
@@ -352,12 +388,17 @@ export async function processHeight(h) {
             }
 
             const reserves = await fetchPoolReserves(pairContract);
+            const [curvePool] = await attachCurves([{ pairType: pool.pair_type, pairContract }]);
             const price = priceFromReserves_UZIGQuote(
               { base_denom: pool.base_denom, base_exp: Number(baseExp) },
-              reserves
+              reserves,
+              curvePool
             );
             if (price != null && Number.isFinite(price) && price > 0) {
-              await upsertPrice(pool.base_id, pool.pool_id, price, true);
+              out.prices.push({
+                token_id: pool.base_id, pool_id: pool.pool_id, price, is_native: true, lcd: true,
+                height: h, ts: timestamp, tx_index: i, msg_index: msgIndex,
+              });
             }
           } catch (e) {
             warn('[liq price/lcd]', pairContract, e.message);
@@ -400,6 +441,36 @@ export async function processHeight(h) {
   if (tasks.length) await runWithConcurrency(tasks, BLOCK_PROC_CONCURRENCY, T, 'core');
   T.endMark('core_tasks');
 
+  // same-block sandwiches need the whole block's swaps in order
+  T.mark('sandwiches');
+  try {
+    const found = findSandwiches(out.trades);
+    if (found.length) out.sandwiches = await sandwichRows(found, (pc) => poolsByContract.get(pc), out.prices);
+  } catch (e) {
+    warn('[sandwich]', h, e.message);
+  }
+  T.endMark('sandwiches');
+
+  // cw20 holders: end-of-block balances for every touched account of a tracked token
+  T.mark('cw20_holders');
+  const balanceTasks = [];
+  for (const [contract, addrs] of cw20Touched) {
+    const tokenId = await cw20TokenId(contract);
+    if (!tokenId) continue;
+    for (const address of addrs) {
+      balanceTasks.push(async () => {
+        try {
+          const bal = await cw20Balance(contract, address);
+          if (bal != null) out.holders.push({ token_id: tokenId, address, balance_base: bal, height: h });
+        } catch (e) {
+          warn('[cw20 balance]', contract, address, e.message);
+        }
+      });
+    }
+  }
+  if (balanceTasks.length) await runWithConcurrency(balanceTasks, BLOCK_PROC_CONCURRENCY, T, 'cw20');
+  T.endMark('cw20_holders');
+
   // low priority (LCD metadata)
   T.mark('lowprio');
   if (lowPrioTasks.length) await runWithConcurrency(lowPrioTasks, Math.min(4, BLOCK_PROC_CONCURRENCY), T, 'meta');
@@ -409,8 +480,23 @@ export async function processHeight(h) {
   T.count('create_pair', nCreatePair);
   T.count('swaps', nSwap);
   T.count('liquidity', nLiq);
+  T.count('cw20_balances', out.holders.length);
+  T.count('sandwiches', out.sandwiches.length);
 
   const S = T.summary();
   debug(`[block ${h}] metrics`, JSON.stringify(S));
   info('done height', h, `(+${nSwap} swaps, ${nLiq} liq)`, `${S.total_ms} ms`);
+
+  // nothing derived is written yet: the caller commits `out` + checkpoint
+  // atomically via commitBlock(); header identity is used for fork detection
+  return {
+    height: h,
+    header: {
+      height: h,
+      hash: blk.hash,
+      parentHash: blk.header.last_block_id?.hash || null,
+      time: timestamp
+    },
+    ...out
+  };
 }
@@ -1,15 +1,36 @@
 // core/checkpoint.js
 import { DB } from '../lib/db.js';
 
-export async function readCheckpoint() {
-  const { rows } = await DB.query(`SELECT last_height FROM index_state WHERE id='block'`);
+// id='block' is the live tail; backfills use their own rows ('backfill:<from>-<to>')
+export async function readCheckpoint(id = 'block') {
+  const { rows } = await DB.query(`SELECT last_height FROM index_state WHERE id=$1`, [id]);
   return rows[0]?.last_height || null;
 }
 
-export async function writeCheckpoint(h) {
-  await DB.query(`
-    INSERT INTO index_state(id, last_height) VALUES ('block', $1)
+export async function writeCheckpoint(h, { id = 'block', db = DB } = {}) {
+  await db.query(`
+    INSERT INTO index_state(id, last_height) VALUES ($1, $2)
     ON CONFLICT (id) DO UPDATE SET last_height = EXCLUDED.last_height, updated_at = now()`,
-    [h]
+    [id, h]
+  );
+}
+
+/** header hash we stored for height h (null if never indexed / pre-dates header tracking) */
+export async function readBlockHash(h) {
+  const { rows } = await DB.query(`SELECT block_hash FROM block_headers WHERE height=$1`, [h]);
+  return rows[0]?.block_hash || null;
+}
+
+export async function writeBlockHeader({ height, hash, parentHash, time }, { db = DB } = {}) {
+  if (!hash) return;
+  await db.query(`
+    INSERT INTO block_headers(height, block_hash, parent_hash, block_time, indexed_at)
+    VALUES ($1,$2,$3,$4, now())
+    ON CONFLICT (height) DO UPDATE SET
+      block_hash  = EXCLUDED.block_hash,
+      parent_hash = EXCLUDED.parent_hash,
+      block_time  = EXCLUDED.block_time,
+      indexed_at  = now()`,
+    [height, hash, parentHash || null, time]
   );
 }
@@ -0,0 +1,53 @@
+// core/commit.js
+import { tx } from '../lib/db.js';
+import { writeTrades, tradeKey } from './trades.js';
+import { writePoolStates } from './pool_state.js';
+import { writeOHLCV } from './ohlcv.js';
+import { writePrices } from './prices.js';
+import { writeHolderBalances } from './cw20.js';
+import { writeFailedSwaps } from './failed-swaps.js';
+import { writeSandwiches } from './sandwich.js';
+import { queueLateTrades } from './refold.js';
+import { writeCheckpoint, writeBlockHeader } from './checkpoint.js';
+
+/**
+ * Commit everything derived from one height in a single transaction:
+ * trades, pool_state, ohlcv_1m, prices + price_ticks, cw20 holder balances,
+ * failed swaps, sandwiches, the block header and (optionally) a checkpoint
+ * row. Either the whole block lands or nothing does, so a crash can never
+ * leave a height half-written but marked done.
+ *
+ * block: result of processHeight(h)
+ * opts.checkpointId: index_state id to advance (null = leave checkpoints alone)
+ * opts.withHeader:   store block.header in block_headers
+ * opts.after:        extra writes in the same tx, called with the client
+ */
+export async function commitBlock(block, { checkpointId = 'block', withHeader = true, after = null } = {}) {
+  return tx(async (client) => {
+    const inserted = block.trades?.length ? await writeTrades(block.trades, client) : new Set();
+    // candles are additive: only trades stored by this commit count, so
+    // re-running a height (backfill over indexed range, repair) is a no-op
+    const candles = (block.candles || []).filter(c => c.tx_hash == null || inserted.has(tradeKey(c)));
+    // old heights (backfill, repair) may sit below a folding job's watermark
+    if (checkpointId !== 'block' && inserted.size) {
+      await queueLateTrades(block.trades.filter(t => inserted.has(tradeKey(t))), client);
+    }
+    if (block.poolStates?.length) await writePoolStates(block.poolStates, client);
+    if (candles.length)           await writeOHLCV(candles, client);
+    if (block.prices?.length)     await writePrices(block.prices, client);
+    if (block.holders?.length)    await writeHolderBalances(block.holders, client);
+    if (block.failedSwaps?.length) await writeFailedSwaps(block.failedSwaps, client);
+    if (block.sandwiches?.length) await writeSandwiches(block.sandwiches, client);
+    if (withHeader && block.header) await writeBlockHeader(block.header, { db: client });
+    if (checkpointId) await writeCheckpoint(block.height, { id: checkpointId, db: client });
+    if (after) await after(client);
+  });
+}
+
+/** checkpoint-only commit for a height that produced no block (failed) */
+export async function commitSkipped(h, { checkpointId = 'block', after = null } = {}) {
+  return tx(async (client) => {
+    if (after) await after(client);
+    if (checkpointId) await writeCheckpoint(h, { id: checkpointId, db: client });
+  });
+}
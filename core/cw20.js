@@ -0,0 +1,126 @@
+// core/cw20.js
+import { DB } from '../lib/db.js';
+import { lcdSmart } from '../lib/lcd.js';
+import TTLCache from '../lib/cache.js';
+import { digitsOrNull } from './parse.js';
+
+const BECH32_PREFIX = process.env.BECH32_PREFIX || 'zig';
+// contract addresses are 32-byte bech32 (wallets are 20-byte and much shorter)
+const CONTRACT_RE = new RegExp(`^${BECH32_PREFIX}1[02-9ac-hj-np-z]{58}$`);
+
+const infoCache = new TTLCache({ max: 2000, ttlMs: 10 * 60_000 });
+const tokenIdCache = new TTLCache({ max: 5000, ttlMs: 60_000 }); // contract -> token_id | 0
+
+export function isCw20Address(denom) {
+  return typeof denom === 'string' && CONTRACT_RE.test(denom);
+}
+
+function unwrap(j) { return j?.data ?? j ?? null; }
+
+/** { name, symbol, decimals, total_supply } or null (not a cw20 / LCD error) */
+export async function cw20TokenInfo(contract) {
+  const hit = infoCache.get(contract);
+  if (hit !== undefined) return hit;
+  const d = unwrap(await lcdSmart(contract, { token_info: {} }).catch(() => null));
+  const out = (d && typeof d.decimals === 'number') ? d : null;
+  if (out) infoCache.set(contract, out);
+  return out;
+}
+
+/** { project, description, marketing, logo } — logo is { url } or 'embedded' */
+export async function cw20MarketingInfo(contract) {
+  return unwrap(await lcdSmart(contract, { marketing_info: {} }).catch(() => null));
+}
+
+/** { minter, cap } — cap is the max supply when the token has one */
+export async function cw20Minter(contract) {
+  return unwrap(await lcdSmart(contract, { minter: {} }).catch(() => null));
+}
+
+export async function cw20Balance(contract, address) {
+  const d = unwrap(await lcdSmart(contract, { balance: { address } }));
+  return digitsOrNull(d?.balance);
+}
+
+export async function cw20AllAccounts(contract, startAfter = null, limit = 30) {
+  const q = { all_accounts: { limit } };
+  if (startAfter) q.all_accounts.start_after = startAfter;
+  const d = unwrap(await lcdSmart(contract, q));
+  return Array.isArray(d?.accounts) ? d.accounts : [];
+}
+
+/** token_id of a tracked cw20 contract (tokens.type = 'cw20'), else null */
+export async function cw20TokenId(contract) {
+  const hit = tokenIdCache.get(contract);
+  if (hit !== undefined) return hit || null;
+  const { rows } = await DB.query(
+    `SELECT token_id FROM tokens WHERE denom=$1 AND type='cw20'`, [contract]
+  );
+  const id = rows[0]?.token_id || 0;
+  tokenIdCache.set(contract, id);
+  return id || null;
+}
+
+/** drop a cached lookup after the token row is created/retyped */
+export function forgetCw20TokenId(contract) {
+  tokenIdCache.delete(contract);
+}
+
+// balance-moving cw20-base actions → which attributes name the affected accounts
+const BALANCE_ACTIONS = {
+  transfer:      ['from', 'to'],
+  transfer_from: ['from', 'to'],
+  send:          ['from', 'to'],
+  send_from:     ['from', 'to'],
+  mint:          ['to'],
+  burn:          ['from'],
+  burn_from:     ['from'],
+};
+
+/**
+ * Accounts whose cw20 balance changed in this tx's wasm events.
+ * Returns Map(contract -> Set(address)); callers filter to tracked tokens.
+ */
+export function cw20TouchedAccounts(wasms) {
+  const out = new Map();
+  for (const ev of wasms || []) {
+    const keys = BALANCE_ACTIONS[ev.m.get('action')];
+    if (!keys || !digitsOrNull(ev.m.get('amount'))) continue;
+    const contract = ev.m.get('_contract_address');
+    if (!isCw20Address(contract)) continue;
+    let set = out.get(contract);
+    if (!set) out.set(contract, (set = new Set()));
+    for (const k of keys) {
+      const a = ev.m.get(k);
+      if (a) set.add(a);
+    }
+  }
+  return out;
+}
+
+/**
+ * Upsert absolute holder balances; db may be a tx client.
+ * rows: { token_id, address, balance_base, height }
+ * Older heights never overwrite newer ones (repair/backfill run out of order).
+ */
+export async function writeHolderBalances(rows, db = DB) {
+  for (const r of rows) {
+    await db.query(`
+      INSERT INTO holders(token_id, address, balance_base, updated_at, last_seen_height)
+      VALUES ($1,$2,$3, now(), $4)
+      ON CONFLICT (token_id, address) DO UPDATE SET
+        balance_base     = EXCLUDED.balance_base,
+        updated_at       = now(),
+        last_seen_height = EXCLUDED.last_seen_height
+      WHERE holders.last_seen_height IS NULL
+         OR EXCLUDED.last_seen_height IS NULL
+         OR EXCLUDED.last_seen_height >= holders.last_seen_height
+    `, [r.token_id, r.address, r.balance_base, r.height ?? null]);
+
+    await db.query(`
+      INSERT INTO wallets(address, last_seen)
+      VALUES ($1, now())
+      ON CONFLICT (address) DO NOTHING
+    `, [r.address]);
+  }
+}
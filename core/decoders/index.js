@@ -0,0 +1,153 @@
+// core/decoders/index.js
+//
+// Decoder registry. A decoder teaches processHeight about one DEX/protocol:
+//
+//   {
+//     name:           'oroswap',               // stored with what it decodes
+//     kind:           'amm' | 'orderbook',
+//     factories:      [addr],                  // factoryActions only fire for these
+//     routers:        [addr],                  // swaps routed through these are flagged
+//     factoryActions: { [wasm action]: (ev, ctx) => record | record[] | null },
+//     pairActions:    { [wasm action]: (ev, ctx) => record | record[] | null },
+//     ownsPair:       (pairContract) => boolean,  // optional, for pairs we don't know yet
+//   }
+//
+// Pair actions only fire for the decoder that owns the pair: the one whose
+// factory created it (pools.dex / pools.factory_contract, or a pool record
+// decoded earlier in the run). Pairs with no known owner go to the first
+// decoder whose ownsPair() accepts them, else the first with the action.
+//
+// Records are our normalized shapes:
+//   { type:'pool',  pairContract, baseDenom, quoteDenom, pairType, factory, lpTokenDenom, signer }
+//   { type:'trade', action:'swap'|'provide'|'withdraw', pairContract,
+//     offer, ask, offerAmt, askAmt, retAmt, shareBase,
+//     reserves:{ res1d, res1a, res2d, res2a }, msgIndex, signer, router }
+//
+// Extra decoders can be loaded from DEX_DECODERS (comma-separated module
+// paths, default export = decoder) or registered in code via registerDecoder().
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { DB } from '../../lib/db.js';
+import { info, warn } from '../../lib/log.js';
+import oroswap from './oroswap.js';
+
+const registry = [];
+let pluginsLoaded = null;
+
+export function registerDecoder(d) {
+  if (!d?.name) throw new Error('decoder: name required');
+  if (registry.some(x => x.name === d.name)) throw new Error(`decoder: ${d.name} already registered`);
+  registry.push({
+    kind: 'amm',
+    factories: [],
+    routers: [],
+    factoryActions: {},
+    pairActions: {},
+    ...d,
+  });
+  info('[decoders] registered', d.name, {
+    factories: (d.factories || []).length,
+    actions: [...Object.keys(d.factoryActions || {}), ...Object.keys(d.pairActions || {})],
+  });
+}
+
+export function decoders() {
+  return registry;
+}
+
+/** values a ?dex= filter should match: the name itself plus that decoder's factories */
+export function dexAliases(dex) {
+  const d = registry.find(x => x.name === dex);
+  return d ? [dex, ...d.factories] : [dex];
+}
+
+/** load DEX_DECODERS once; safe to await from every processHeight */
+export function loadDecoderPlugins() {
+  if (!pluginsLoaded) {
+    pluginsLoaded = (async () => {
+      const list = String(process.env.DEX_DECODERS || '').split(',').map(s => s.trim()).filter(Boolean);
+      for (const p of list) {
+        try {
+          const mod = await import(pathToFileURL(path.resolve(p)).href);
+          registerDecoder(mod.default || mod.decoder);
+        } catch (e) {
+          warn('[decoders] failed to load', p, e.message);
+        }
+      }
+    })();
+  }
+  return pluginsLoaded;
+}
+
+// pair contract → owning decoder name (positive answers only; pools don't move)
+const pairOwners = new Map();
+
+/** decoder name that owns a pair, or null when we can't tell */
+async function pairOwner(contract) {
+  if (pairOwners.has(contract)) return pairOwners.get(contract);
+  const { rows } = await DB.query(`SELECT dex, factory_contract FROM pools WHERE pair_contract=$1`, [contract]);
+  const p = rows[0];
+  const owner = p?.dex
+    || (p?.factory_contract && registry.find(d => d.factories.includes(p.factory_contract))?.name)
+    || null;
+  if (owner) pairOwners.set(contract, owner);
+  return owner;
+}
+
+/** decoders that may decode pair action `action` on `contract`, in priority order */
+async function pairDecoders(action, contract) {
+  const withAction = registry.filter(d => d.pairActions[action]);
+  if (withAction.length <= 1) return withAction;
+  const owner = await pairOwner(contract);
+  if (owner) return withAction.filter(d => d.name === owner);
+  const claimed = withAction.filter(d => d.ownsPair?.(contract));
+  return claimed.length ? claimed : withAction.slice(0, 1);
+}
+
+/** router address a swap went through, if any of the decoder's routers was involved */
+function routerMatcher(d, executes) {
+  return (msgIndex, sender) => {
+    for (const r of d.routers) {
+      if (sender === r) return r;
+      if (executes.some(e => e.m.get('_contract_address') === r && Number(e.m.get('msg_index') || -1) === msgIndex)) return r;
+    }
+    return null;
+  };
+}
+
+/**
+ * Decode every wasm event of one tx into normalized records.
+ * Factory actions must come from one of the decoder's factories; pair
+ * actions go to the decoder owning the pair (see pairDecoders).
+ */
+export async function decodeTx(txCtx) {
+  const out = [];
+  const seen = new Map(); // action -> per-tx ordinal (fallback msg_index)
+  for (const ev of txCtx.wasms) {
+    const action = ev.m.get('action');
+    if (!action) continue;
+    const contract = (ev.m.get('_contract_address') || '').trim();
+
+    let d = registry.find(x => x.factoryActions[action] && x.factories.includes(contract));
+    let fn = d?.factoryActions[action] || null;
+    if (!fn) {
+      d = (await pairDecoders(action, contract))[0];
+      fn = d?.pairActions[action] || null;
+    }
+    if (!fn) continue;
+
+    const index = seen.get(action) || 0;
+    seen.set(action, index + 1);
+    const ctx = { ...txCtx, index, decoder: d, routerFor: routerMatcher(d, txCtx.executes) };
+    const res = fn(ev, ctx);
+    const recs = Array.isArray(res) ? res : (res ? [res] : []);
+    for (const r of recs) {
+      // later pair events (same tx or block) belong to the factory's decoder
+      if (r.type === 'pool' && r.pairContract) pairOwners.set(r.pairContract, d.name);
+      out.push({ dex: d.name, ...r });
+    }
+  }
+  return out;
+}
+
+registerDecoder(oroswap);
@@ -0,0 +1,137 @@
+// core/decoders/oroswap.js
+import { warn } from '../../lib/log.js';
+import { envList } from './util.js';
+import { digitsOrNull, normalizePair, parseReservesKV, parseAssetsList } from '../parse.js';
+
+/**
+ * Oroswap (Astroport-style) factory + pairs.
+ * Event attribute names are the ones emitted by Oroswap pair/factory contracts.
+ */
+function reservesFrom(ev, { assetsKey = null } = {}) {
+  const m = ev.m;
+  let res1d = m.get('reserve_asset1_denom') || m.get('asset1_denom') || null;
+  let res1a = digitsOrNull(m.get('reserve_asset1_amount') || m.get('asset1_amount'));
+  let res2d = m.get('reserve_asset2_denom') || m.get('asset2_denom') || null;
+  let res2a = digitsOrNull(m.get('reserve_asset2_amount') || m.get('asset2_amount'));
+
+  // liquidity events: provide → assets, withdraw → refund_assets
+  const assetsStr = assetsKey ? m.get(assetsKey) : null;
+  if ((!res1d || !res1a || !res2d || !res2a) && assetsStr) {
+    const parsed = parseAssetsList(assetsStr);
+    if (parsed?.a1) { res1d = res1d ?? parsed.a1.denom; res1a = res1a ?? digitsOrNull(parsed.a1.amount_base); }
+    if (parsed?.a2) { res2d = res2d ?? parsed.a2.denom; res2a = res2a ?? digitsOrNull(parsed.a2.amount_base); }
+  }
+
+  // final fallback: reserves blob if any
+  const reservesStr = m.get('reserves');
+  if ((!res1d || !res1a || !res2d || !res2a) && reservesStr) {
+    const kv = parseReservesKV(reservesStr);
+    if (kv?.[0]) { res1d = res1d ?? kv[0].denom; res1a = res1a ?? digitsOrNull(kv[0].amount_base); }
+    if (kv?.[1]) { res2d = res2d ?? kv[1].denom; res2a = res2a ?? digitsOrNull(kv[1].amount_base); }
+  }
+  return { res1d, res1a, res2d, res2a };
+}
+
+// attribute names the factory/pair use for the LP token (tokenfactory denom or CW20)
+const LP_DENOM_KEYS = ['lp_denom', 'liquidity_token_addr', 'liquidity_token', 'lp_token'];
+
+function lpDenomOf(ev) {
+  for (const k of LP_DENOM_KEYS) {
+    const v = ev?.m.get(k);
+    if (v) return v;
+  }
+  return null;
+}
+
+function createPair(ev, ctx) {
+  const { base, quote } = normalizePair(ev.m.get('pair'));
+  const factory = ev.m.get('_contract_address');
+  const reg = ctx.wasms.find(w => w.m.get('action') === 'register' && w.m.get('_contract_address') === factory);
+  const poolAddr = reg?.m.get('pair_contract_addr') || ctx.insts.at(-1)?.m.get('_contract_address');
+  if (!poolAddr) { warn('create_pair: could not find pool addr'); return null; }
+  // register (factory) or the new pair's own instantiate reply carries the LP token
+  const lpTokenDenom = lpDenomOf(reg) || lpDenomOf(ev)
+    || ctx.wasms.filter(w => w.m.get('_contract_address') === poolAddr).map(lpDenomOf).find(Boolean)
+    || null;
+  return {
+    type: 'pool',
+    pairContract: poolAddr,
+    baseDenom: base, quoteDenom: quote,
+    pairType: String(ev.m.get('pair_type') || 'xyk'),
+    factory,
+    lpTokenDenom,
+    signer: ctx.msgSenderByIndex.get(Number(ev.m.get('msg_index'))) || null,
+  };
+}
+
+function swap(ev, ctx) {
+  const m = ev.m;
+  const pairContract = m.get('_contract_address');
+  if (!pairContract) return null;
+
+  const msgIndex = Number(m.get('msg_index') ?? ctx.index);
+  const poolSwapSender = m.get('sender') || null;
+  const router = ctx.routerFor(msgIndex, poolSwapSender);
+
+  return {
+    type: 'trade',
+    action: 'swap',
+    pairContract,
+    offer: m.get('offer_asset') || m.get('offer_asset_denom'),
+    ask: m.get('ask_asset') || m.get('ask_asset_denom'),
+    offerAmt: digitsOrNull(m.get('offer_amount')),
+    askAmt: digitsOrNull(m.get('ask_amount')),
+    retAmt: digitsOrNull(m.get('return_amount')),
+    reserves: reservesFrom(ev),
+    msgIndex,
+    signer: ctx.msgSenderByIndex.get(msgIndex) || null,
+    router,
+  };
+}
+
+function liquidity(ev, ctx) {
+  const m = ev.m;
+  const pairContract = m.get('_contract_address');
+  if (!pairContract) return null;
+
+  const isProvide = (m.get('action') === 'provide_liquidity');
+
+  // shares:
+  // provide:  share
+  // withdraw: withdrawn_share | withdraw_share | liquidity | burn_share | burnt_share | share
+  const shareBase = digitsOrNull(
+    isProvide
+      ? (m.get('share'))
+      : (m.get('withdrawn_share') || m.get('withdraw_share') ||
+         m.get('liquidity')      || m.get('burn_share')     ||
+         m.get('burnt_share')    || m.get('share'))
+  );
+
+  const msgIndex = Number(m.get('msg_index') ?? ctx.index);
+  return {
+    type: 'trade',
+    action: isProvide ? 'provide' : 'withdraw',
+    pairContract,
+    reserves: reservesFrom(ev, { assetsKey: isProvide ? 'assets' : 'refund_assets' }),
+    shareBase,
+    msgIndex,
+    signer: ctx.msgSenderByIndex.get(msgIndex) || null,
+    router: null,
+  };
+}
+
+export default {
+  name: 'oroswap',
+  kind: 'amm',
+  // FACTORY_ADDRS / ROUTER_ADDRS (comma-separated); FACTORY_ADDR / ROUTER_ADDR still honoured
+  factories: envList('FACTORY_ADDRS', 'FACTORY_ADDR'),
+  routers: envList('ROUTER_ADDRS', 'ROUTER_ADDR'),
+  factoryActions: {
+    create_pair: createPair,
+  },
+  pairActions: {
+    swap,
+    provide_liquidity: liquidity,
+    withdraw_liquidity: liquidity,
+  },
+};
@@ -0,0 +1,13 @@
+// core/decoders/util.js
+
+/** comma-separated env list(s), de-duplicated; later names are fallbacks/extras */
+export function envList(...names) {
+  const out = new Set();
+  for (const n of names) {
+    for (const s of String(process.env[n] || '').split(',')) {
+      const v = s.trim();
+      if (v) out.add(v);
+    }
+  }
+  return Array.from(out);
+}
@@ -0,0 +1,14 @@
+// core/dex.js
+//
+// SQL predicates for the ?dex= filter. The binding is an array of dex
+// names / factory addresses (api/util/dex.js parseDex()).
+
+/** SQL predicate on a pools alias; idx = placeholder number bound to the dex list */
+export function dexWhere(alias, idx) {
+  return `(${alias}.dex = ANY($${idx}::text[]) OR ${alias}.factory_contract = ANY($${idx}::text[]))`;
+}
+
+/** same, but a NULL binding disables the filter (keeps the SQL text static) */
+export function dexWhereOpt(alias, idx) {
+  return `($${idx}::text[] IS NULL OR ${dexWhere(alias, idx)})`;
+}
@@ -0,0 +1,78 @@
+// core/failed-heights.js
+import { DB } from '../lib/db.js';
+
+const RETRY_BASE_SEC = parseInt(process.env.REPAIR_RETRY_BASE_SEC || '30', 10);
+const RETRY_MAX_SEC  = parseInt(process.env.REPAIR_RETRY_MAX_SEC || '3600', 10);
+
+function errText(e) {
+  const s = String(e?.stack || e?.message || e || 'unknown error');
+  return s.length > 4000 ? s.slice(0, 4000) : s;
+}
+
+/**
+ * Record (or bump) a failed height. Backoff doubles per attempt:
+ * base, 2*base, 4*base … capped at REPAIR_RETRY_MAX_SEC.
+ * Must succeed before the caller moves its checkpoint past h.
+ */
+export async function recordFailure(h, error, { source = 'block', db = DB } = {}) {
+  await db.query(`
+    INSERT INTO failed_heights(height, source, error, attempts, next_retry_at)
+    VALUES ($1, $2, $3, 1, now() + make_interval(secs => $4))
+    ON CONFLICT (height) DO UPDATE SET
+      error          = EXCLUDED.error,
+      attempts       = failed_heights.attempts + 1,
+      last_failed_at = now(),
+      next_retry_at  = now() + make_interval(secs => LEAST($5::float8, $4::float8 * power(2, failed_heights.attempts))),
+      resolved_at    = NULL`,
+    [h, source, errText(error), RETRY_BASE_SEC, RETRY_MAX_SEC]
+  );
+}
+
+export async function markResolved(h, { db = DB } = {}) {
+  await db.query(
+    `UPDATE failed_heights SET resolved_at = now() WHERE height=$1 AND resolved_at IS NULL`,
+    [h]
+  );
+}
+
+/** unresolved heights whose backoff has elapsed, oldest first */
+export async function dueHeights(limit = 20) {
+  const { rows } = await DB.query(`
+    SELECT height, attempts
+    FROM failed_heights
+    WHERE resolved_at IS NULL AND next_retry_at <= now()
+    ORDER BY height ASC
+    LIMIT $1`, [limit]);
+  return rows.map(r => ({ height: Number(r.height), attempts: r.attempts }));
+}
+
+/**
+ * Heights between [from, to] that have no block_headers row and are not in
+ * the ledger yet (e.g. the process died between checkpoint and header write).
+ * They are inserted as due immediately. Returns the number of new gaps.
+ */
+export async function detectMissingHeaders(from, to) {
+  if (!(to >= from)) return 0;
+  const { rowCount } = await DB.query(`
+    INSERT INTO failed_heights(height, source, error, attempts, next_retry_at)
+    SELECT g.h, 'gap-scan', 'missing block header', 0, now()
+    FROM generate_series($1::bigint, $2::bigint) AS g(h)
+    WHERE NOT EXISTS (SELECT 1 FROM block_headers bh WHERE bh.height = g.h)
+    ON CONFLICT (height) DO NOTHING`,
+    [from, to]
+  );
+  return rowCount;
+}
+
+export async function listGaps({ includeResolved = false, limit = 100, offset = 0 } = {}) {
+  const where = includeResolved ? '' : 'WHERE resolved_at IS NULL';
+  const { rows } = await DB.query(`
+    SELECT height, source, error, attempts, first_failed_at, last_failed_at,
+           next_retry_at, resolved_at
+    FROM failed_heights
+    ${where}
+    ORDER BY height ASC
+    LIMIT $1 OFFSET $2`, [limit, offset]);
+  const { rows: c } = await DB.query(`SELECT COUNT(*)::int AS n FROM failed_heights ${where}`);
+  return { rows, total: c[0]?.n || 0 };
+}
@@ -0,0 +1,66 @@
+// core/failed-swaps.js
+//
+// Swaps that reverted on-chain. A failed tx emits no wasm events, so the
+// attempt is read from the raw tx bytes instead: MsgExecuteContract keeps
+// the sender, the contract and the JSON msg as plain strings inside the
+// protobuf, which is enough to spot `swap` calls without a tx decoder.
+// Router (multi-hop) attempts aren't attributed to a pool.
+import { DB } from '../lib/db.js';
+
+const BECH32_RE = /zig1[02-9ac-hj-np-z]{38,58}/g;
+const EOA_LEN = 42;                      // zig1 + 20-byte account
+const CW20_SWAP_HOOK = 'eyJzd2Fw';       // base64 of `{"swap` inside a CW20 send
+const NATIVE_OFFER_RE = /"native_token"\s*:\s*\{\s*"denom"\s*:\s*"([^"]+)"/;
+const LOG_MAX = 500;
+
+/**
+ * Swap attempt in a raw (base64) tx, or null when it isn't one.
+ * → { signer, contracts: [addr…], offerDenom }
+ *   contracts: candidate pair addresses in order of appearance; for a CW20
+ *   send the token contract is among them and doubles as the offer denom.
+ */
+export function swapAttemptFromTx(txB64) {
+  if (!txB64) return null;
+  const raw = Buffer.from(txB64, 'base64').toString('latin1');
+  const native = raw.indexOf('"swap"');
+  const hook = raw.indexOf(CW20_SWAP_HOOK);
+  if (native < 0 && hook < 0) return null;
+
+  const addrs = Array.from(new Set(raw.match(BECH32_RE) || []));
+  const signer = addrs.find(a => a.length === EOA_LEN) || null;
+  const contracts = addrs.filter(a => a.length > EOA_LEN);
+  if (!contracts.length) return null;
+
+  let offerDenom = null;
+  if (native >= 0) offerDenom = raw.slice(native).match(NATIVE_OFFER_RE)?.[1] ?? null;
+  return { signer, contracts, offerDenom, cw20: native < 0 };
+}
+
+/** failed tx → row for failed_swaps, given the pool (poolWithTokens) it targeted */
+export function failedSwapRow(att, pairContract, pool, { height, txHash, txr, createdAt }) {
+  // CW20 send: the contract that isn't the pair is the offered token
+  const offer = att.offerDenom ?? (att.cw20 ? att.contracts.find(c => c !== pairContract) ?? null : null);
+  return {
+    pool_id: pool.pool_id,
+    pair_contract: pairContract,
+    signer: att.signer,
+    offer_denom: offer,
+    direction: offer == null ? null : (offer === pool.quote_denom ? 'buy' : 'sell'),
+    code: Number(txr.code) || null,
+    codespace: txr.codespace || null,
+    log: txr.log ? String(txr.log).slice(0, LOG_MAX) : null,
+    height, tx_hash: txHash, created_at: createdAt,
+  };
+}
+
+export async function writeFailedSwaps(rows, db = DB) {
+  for (const r of rows) {
+    await db.query(`
+      INSERT INTO failed_swaps(pool_id, pair_contract, signer, offer_denom, direction,
+                               code, codespace, log, height, tx_hash, created_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+      ON CONFLICT (tx_hash, pool_id) DO NOTHING
+    `, [r.pool_id, r.pair_contract, r.signer, r.offer_denom, r.direction,
+        r.code, r.codespace, r.log, r.height, r.tx_hash, r.created_at]);
+  }
+}
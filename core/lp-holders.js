@@ -0,0 +1,52 @@
+// core/lp-holders.js
+//
+// LP token distribution of a pool, shared by the holders sweep
+// (jobs/holders-refresher.js → pool_lp_stats) and the security scanner.
+//   burned: LP_BURN_ADDRESSES, plus the pair contract itself — the minimum
+//           liquidity minted to it at creation can never be withdrawn
+//   locked: LP_LOCKER_ADDRESSES (vesting / lock contracts that release later)
+import { envList } from './decoders/util.js';
+
+const LP_BURN_ADDRESSES = new Set(envList('LP_BURN_ADDRESSES'));
+const LP_LOCKER_ADDRESSES = new Set(envList('LP_LOCKER_ADDRESSES'));
+
+/** 'burned' | 'locked' | null for an LP holder of `pairContract` */
+export function lpHolderClass(address, pairContract) {
+  if (address === pairContract || LP_BURN_ADDRESSES.has(address)) return 'burned';
+  if (LP_LOCKER_ADDRESSES.has(address)) return 'locked';
+  return null;
+}
+
+const isDigits = (x) => /^\d+$/.test(String(x ?? ''));
+const pctOf = (part, total) => (total > 0n ? Number((part * 1_000_000n) / total) / 10_000 : null);
+
+/**
+ * owners: Map(address → balance_base). Supply is the pair's total_share
+ * when known, else the sum of a complete sweep. Percentages are 0–100.
+ */
+export function lpDistribution(owners, { pairContract, totalShareBase = null, complete = true }) {
+  let sum = 0n, burned = 0n, locked = 0n;
+  const bals = [];
+  for (const [addr, b] of owners) {
+    const v = BigInt(b);
+    if (v === 0n) continue;
+    sum += v;
+    bals.push(v);
+    const cls = lpHolderClass(addr, pairContract);
+    if (cls === 'burned') burned += v;
+    else if (cls === 'locked') locked += v;
+  }
+  bals.sort((a, b) => (a > b ? -1 : a < b ? 1 : 0));
+  const top10 = bals.slice(0, 10).reduce((a, v) => a + v, 0n);
+  const supply = isDigits(totalShareBase) ? BigInt(totalShareBase) : (complete ? sum : 0n);
+
+  return {
+    holders_count: bals.length,
+    total_share_base: supply > 0n ? supply.toString() : null,
+    top10_pct: pctOf(top10, supply),
+    burned_base: burned.toString(),
+    locked_base: locked.toString(),
+    burned_pct: pctOf(burned, supply),
+    locked_pct: pctOf(locked, supply),
+  };
+}
@@ -0,0 +1,161 @@
+// core/lp-positions.js
+//
+// Per-wallet LP positions folded from `provide` / `withdraw` trades.
+// A trade's share amount is in return_amount_base; its reserve_asset*
+// columns hold the assets deposited (provide) or refunded (withdraw).
+//
+// A position carries its shares, the tokens still "in" at cost and the ZIG
+// value paid for them. Withdrawals release cost pro-rata to the shares
+// burnt, so the remaining basis always describes the remaining shares.
+import { DB } from '../lib/db.js';
+import { poolStateRow } from './pool_state.js';
+
+const big = (x) => (x == null || !/^\d+$/.test(String(x)) ? 0n : BigInt(String(x)));
+const disp = (base, exp) => Number(base) / Math.pow(10, Number(exp ?? 6));
+
+export function emptyPosition(address, pool_id) {
+  return {
+    address, pool_id,
+    shares: 0n, depBase: 0n, depQuote: 0n,
+    costZig: 0, realizedZig: 0,
+    provides: 0, withdraws: 0,
+    openedAt: null, lastHeight: null,
+  };
+}
+
+/**
+ * Apply one liquidity trade to a position (mutates and returns it).
+ * t: { action, share_base, base_base, quote_base, height, created_at }
+ * valueZig: ZIG value of the assets moved by this trade
+ */
+export function applyLiquidity(pos, t, valueZig) {
+  const s = big(t.share_base);
+  if (t.action === 'provide') {
+    if (pos.shares === 0n) pos.openedAt = t.created_at;
+    pos.shares   += s;
+    pos.depBase  += big(t.base_base);
+    pos.depQuote += big(t.quote_base);
+    pos.costZig  += valueZig;
+    pos.provides++;
+  } else {
+    // shares from before we indexed (or LP tokens received) carry no basis
+    const burnt = s > pos.shares ? pos.shares : s;
+    const f = pos.shares > 0n ? Number((burnt * 1_000_000n) / pos.shares) / 1e6 : 0;
+    const releasedCost = pos.costZig * f;
+    if (pos.shares > 0n) {
+      pos.depBase  -= (pos.depBase  * burnt) / pos.shares;
+      pos.depQuote -= (pos.depQuote * burnt) / pos.shares;
+    }
+    pos.shares  -= burnt;
+    pos.costZig -= releasedCost;
+    pos.realizedZig += valueZig - releasedCost;
+    pos.withdraws++;
+    if (pos.shares === 0n) { pos.depBase = 0n; pos.depQuote = 0n; pos.costZig = 0; }
+  }
+  pos.lastHeight = t.height;
+  return pos;
+}
+
+/** deposit/refund legs of a liquidity trade oriented onto the pool's base/quote */
+export function liquidityLegs(t) {
+  const row = poolStateRow(
+    t.pool_id, t.base_denom, t.quote_denom,
+    t.reserve_asset1_denom, t.reserve_asset1_amount_base,
+    t.reserve_asset2_denom, t.reserve_asset2_amount_base
+  );
+  return row ? { base_base: row.reserve_base_base, quote_base: row.reserve_quote_base } : null;
+}
+
+/**
+ * Value, fees and impermanent loss of a position (DISPLAY units, ZIG).
+ *   redeemable = shares / total_share × reserves
+ *   hold       = tokens still in at cost, valued now
+ *   IL         = 2·√r / (1 + r) − 1, r = price now / average entry price
+ *   fees       = value now − hold·(1 + IL)   (what the curve alone can't explain)
+ * pos:   row of lp_positions with base/quote exponents
+ * state: { totalShare, resBase, resQuote } base units
+ * quotePx: ZIG per 1 quote token
+ */
+export function positionMetrics(pos, state, quotePx) {
+  const bExp = pos.base_exp, qExp = pos.quote_exp;
+  const depBase  = disp(pos.deposited_base_base, bExp);
+  const depQuote = disp(pos.deposited_quote_base, qExp);
+  const resBase  = disp(state.resBase ?? 0, bExp);
+  const resQuote = disp(state.resQuote ?? 0, qExp);
+  const priceNow = resBase > 0 ? resQuote / resBase : null;            // quote per base
+  const entry    = depBase > 0 ? depQuote / depBase : null;
+  const basePx   = priceNow != null && quotePx != null ? priceNow * quotePx : null;
+
+  const totalShare = big(state.totalShare);
+  const shares = big(pos.shares_base);
+  const sharePct = totalShare > 0n ? Number((shares * 10n ** 12n) / totalShare) / 1e12 : null;
+  const redeemBase  = sharePct != null ? resBase  * sharePct : null;
+  const redeemQuote = sharePct != null ? resQuote * sharePct : null;
+
+  const valueZig = (redeemBase != null && basePx != null) ? redeemBase * basePx + redeemQuote * quotePx : null;
+  const holdZig  = (basePx != null) ? depBase * basePx + depQuote * quotePx : null;
+  const r = (priceNow != null && entry > 0) ? priceNow / entry : null;
+  const ilPct = r != null ? (2 * Math.sqrt(r)) / (1 + r) - 1 : null;
+  const noFeesZig = (holdZig != null && ilPct != null) ? holdZig * (1 + ilPct) : null;
+
+  return {
+    share_pct: sharePct,
+    redeemable: { base: redeemBase, quote: redeemQuote },
+    deposited: { base: depBase, quote: depQuote },
+    entry_price: entry,
+    current_price: priceNow,
+    value_zig: valueZig,
+    cost_basis_zig: Number(pos.cost_basis_zig),
+    hold_value_zig: holdZig,
+    il_pct: ilPct,
+    il_zig: noFeesZig != null ? noFeesZig - holdZig : null,
+    fees_earned_zig: (valueZig != null && noFeesZig != null) ? valueZig - noFeesZig : null,
+    unrealized_pnl_zig: valueZig != null ? valueZig - Number(pos.cost_basis_zig) : null,
+    realized_pnl_zig: Number(pos.realized_pnl_zig),
+  };
+}
+
+const UPSERT_SQL = `
+  INSERT INTO lp_positions(address, pool_id, shares_base, deposited_base_base, deposited_quote_base,
+                           cost_basis_zig, realized_pnl_zig, provides, withdraws, opened_at, last_height, updated_at)
+  VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11, now())
+  ON CONFLICT (address, pool_id) DO UPDATE SET
+    shares_base          = EXCLUDED.shares_base,
+    deposited_base_base  = EXCLUDED.deposited_base_base,
+    deposited_quote_base = EXCLUDED.deposited_quote_base,
+    cost_basis_zig       = EXCLUDED.cost_basis_zig,
+    realized_pnl_zig     = EXCLUDED.realized_pnl_zig,
+    provides             = EXCLUDED.provides,
+    withdraws            = EXCLUDED.withdraws,
+    opened_at            = EXCLUDED.opened_at,
+    last_height          = EXCLUDED.last_height,
+    updated_at           = now()
+`;
+
+export async function loadPositions(keys, db = DB) {
+  const out = new Map();
+  if (!keys.length) return out;
+  const { rows } = await db.query(`
+    SELECT * FROM lp_positions
+     WHERE (address, pool_id) IN (SELECT * FROM unnest($1::text[], $2::bigint[]))
+  `, [keys.map(k => k.address), keys.map(k => k.pool_id)]);
+  for (const r of rows) {
+    out.set(`${r.address}|${r.pool_id}`, {
+      address: r.address, pool_id: String(r.pool_id),
+      shares: big(r.shares_base), depBase: big(r.deposited_base_base), depQuote: big(r.deposited_quote_base),
+      costZig: Number(r.cost_basis_zig), realizedZig: Number(r.realized_pnl_zig),
+      provides: r.provides, withdraws: r.withdraws,
+      openedAt: r.opened_at, lastHeight: r.last_height,
+    });
+  }
+  return out;
+}
+
+export async function writePositions(positions, db = DB) {
+  for (const p of positions) {
+    await db.query(UPSERT_SQL, [
+      p.address, p.pool_id, p.shares.toString(), p.depBase.toString(), p.depQuote.toString(),
+      p.costZig, p.realizedZig, p.provides, p.withdraws, p.openedAt, p.lastHeight,
+    ]);
+  }
+}
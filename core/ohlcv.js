@@ -52,7 +52,7 @@ function aggregateBatch(items) {
   return Array.from(map.values());
 }
 
-async function fetchPrevCloses(rows) {
+async function fetchPrevCloses(rows, db = DB) {
   if (!rows.length) return new Map();
 
   // Build VALUES table for keys and join to ohlcv_1m at (bucket_start - 1 minute)
@@ -75,7 +75,7 @@ async function fetchPrevCloses(rows) {
      AND o.bucket_start = (k.bucket_start - INTERVAL '1 minute')
   `;
 
-  const { rows: prevs } = await DB.query(sql, params);
+  const { rows: prevs } = await db.query(sql, params);
   const out = new Map();
   for (const r of prevs) {
     const k = keyOf(r.pool_id, r.bucket_start);
@@ -121,18 +121,24 @@ function buildInsertSQL(rowsWithOpens) {
   return { sql, args };
 }
 
-const ohlcvQueue = new BatchQueue({
-  maxItems: Number(process.env.OHLCV_BATCH_MAX || 600),
-  maxWaitMs: Number(process.env.OHLCV_BATCH_WAIT_MS || 120),
-  flushFn: async (items) => {
-    // 1) aggregate within the batch to one row per (pool_id, bucket_start)
-    const agg = aggregateBatch(items);
+const OHLCV_BATCH_MAX = Number(process.env.OHLCV_BATCH_MAX || 600);
+
+/**
+ * Merge candle items into ohlcv_1m; db may be a tx client so a block's
+ * candles commit together with its trades and checkpoint.
+ */
+export async function writeOHLCV(items, db = DB) {
+  // 1) aggregate within the batch to one row per (pool_id, bucket_start)
+  const agg = aggregateBatch(items);
+
+  for (let i = 0; i < agg.length; i += OHLCV_BATCH_MAX) {
+    const chunk = agg.slice(i, i + OHLCV_BATCH_MAX);
 
     // 2) fetch previous closes in ONE query
-    const prevMap = await fetchPrevCloses(agg);
+    const prevMap = await fetchPrevCloses(chunk, db);
 
     // 3) build rows with correct OPEN (= prev close if present, else this minute's first price)
-    const rowsWithOpens = agg.map(r => {
+    const rowsWithOpens = chunk.map(r => {
       const k = keyOf(r.pool_id, r.bucket_start);
       const prevClose = prevMap.get(k);
       const openVal = (prevClose ?? r.close); // if no prev candle, fall back to close (same as your original)
@@ -141,8 +147,14 @@ const ohlcvQueue = new BatchQueue({
 
     // 4) single INSERT ... ON CONFLICT
     const { sql, args } = buildInsertSQL(rowsWithOpens);
-    await DB.query(sql, args);
+    await db.query(sql, args);
   }
+}
+
+const ohlcvQueue = new BatchQueue({
+  maxItems: OHLCV_BATCH_MAX,
+  maxWaitMs: Number(process.env.OHLCV_BATCH_WAIT_MS || 120),
+  flushFn: (items) => writeOHLCV(items)
 });
 
 /**
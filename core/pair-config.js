@@ -0,0 +1,71 @@
+// core/pair-config.js
+import { lcdSmart } from '../lib/lcd.js';
+import TTLCache from '../lib/cache.js';
+
+// price_scale drifts with every repeg, so don't hold configs for long
+const PAIR_CONFIG_TTL_SEC = parseInt(process.env.PAIR_CONFIG_TTL_SEC || '60', 10);
+
+const cache = new TTLCache({ max: 2000, ttlMs: PAIR_CONFIG_TTL_SEC * 1000 });
+const inflight = new Map();
+
+/** pools.pair_type text → simulator family */
+export function pairKind(pairType) {
+  const t = String(pairType || '').toLowerCase();
+  if (t.includes('concentrated')) return 'concentrated';
+  if (t.includes('stable')) return 'stable';
+  return 'xyk';
+}
+
+function num(x) {
+  if (x == null) return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function decodeParams(p) {
+  if (p == null) return null;
+  if (typeof p === 'object') return p;
+  try { return JSON.parse(Buffer.from(String(p), 'base64').toString('utf8')); } catch { return null; }
+}
+
+/**
+ * Curve parameters for a pair, from `{ pair {} }` (asset order, LP token) and
+ * `{ config {} }` (base64 JSON `params`: amp, plus gamma/fees/price_scale on PCL).
+ * Cached per pool for PAIR_CONFIG_TTL_SEC; null when the LCD has nothing.
+ */
+export async function pairConfig(pairContract) {
+  if (!pairContract) return null;
+  const hit = cache.get(pairContract);
+  if (hit !== undefined) return hit;
+  if (inflight.has(pairContract)) return inflight.get(pairContract);
+
+  const p = (async () => {
+    try {
+      const [pair, cfg] = await Promise.all([
+        lcdSmart(pairContract, { pair: {} }).catch(() => null),
+        lcdSmart(pairContract, { config: {} }).catch(() => null),
+      ]);
+      const pd = pair?.data ?? pair;
+      const cd = cfg?.data ?? cfg;
+      const params = decodeParams(cd?.params) || {};
+
+      const out = (!pd && !cd) ? null : {
+        assetDenoms: (pd?.asset_infos || []).map(a => a?.native_token?.denom ?? a?.token?.contract_addr ?? null),
+        lpDenom:    pd?.liquidity_token ?? null,
+        amp:        num(params.amp),
+        gamma:      num(params.gamma),
+        midFee:     num(params.mid_fee),
+        outFee:     num(params.out_fee),
+        feeGamma:   num(params.fee_gamma),
+        priceScale: num(params.price_scale),
+      };
+      cache.set(pairContract, out);
+      return out;
+    } finally {
+      inflight.delete(pairContract);
+    }
+  })();
+
+  inflight.set(pairContract, p);
+  return p;
+}
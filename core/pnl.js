@@ -0,0 +1,178 @@
+// core/pnl.js
+//
+// Per-wallet, per-token FIFO cost basis folded from swaps. ZIG is the
+// numeraire: every swap is split into token legs (buying BASE with QUOTE
+// = buy BASE + sell QUOTE), each valued in ZIG at the trade's time, and
+// uzig legs are skipped. USD follows the ZIG/USD rate of the moment.
+//
+// A lot is { q: base units (string), z: ZIG cost, u: USD cost, t: time }.
+// Sells consume lots oldest-first; a partial lot keeps its remaining cost
+// pro-rata. Tokens sold beyond the known lots (bought before indexing or
+// received by transfer) have no basis: they're counted in unmatched_base
+// and realize nothing.
+import { DB } from '../lib/db.js';
+
+const big = (x) => (x == null || !/^\d+$/.test(String(x)) ? 0n : BigInt(String(x)));
+const frac = (part, whole) => (whole > 0n ? Number((part * 1_000_000_000n) / whole) / 1e9 : 0);
+
+export function emptyBook(address, token_id) {
+  return {
+    address, token_id,
+    lots: [],
+    realizedZig: 0, realizedUsd: 0,
+    unmatched: 0n,
+    buys: 0, sells: 0, volumeZig: 0,
+    firstAt: null, lastAt: null,
+  };
+}
+
+export const openQty = (book) => book.lots.reduce((a, l) => a + big(l.q), 0n);
+export const openCost = (book) => book.lots.reduce((a, l) => ({ zig: a.zig + l.z, usd: a.usd + l.u }), { zig: 0, usd: 0 });
+
+/**
+ * Swap → token legs, oriented on the wallet.
+ * t: { direction, offer_amount_base, return_amount_base, base_id, quote_id,
+ *      base_denom, quote_denom, quote_exp }
+ * quotePxZig: ZIG per 1 quote token at trade time
+ * → [{ token_id, side:'buy'|'sell', qty, valueZig }]
+ */
+export function swapLegs(t, quotePxZig) {
+  if (quotePxZig == null) return [];
+  const quoteBase = t.direction === 'buy' ? t.offer_amount_base : t.return_amount_base;
+  const baseBase  = t.direction === 'buy' ? t.return_amount_base : t.offer_amount_base;
+  if (big(quoteBase) === 0n || big(baseBase) === 0n) return [];
+  const valueZig = (Number(quoteBase) / Math.pow(10, Number(t.quote_exp ?? 6))) * quotePxZig;
+
+  const legs = [];
+  if (t.base_denom !== 'uzig') {
+    legs.push({ token_id: String(t.base_id), side: t.direction, qty: String(baseBase), valueZig });
+  }
+  if (t.quote_denom !== 'uzig') {
+    legs.push({ token_id: String(t.quote_id), side: t.direction === 'buy' ? 'sell' : 'buy', qty: String(quoteBase), valueZig });
+  }
+  return legs;
+}
+
+/**
+ * Apply one leg to a book (mutates and returns it).
+ * → realized { zig, usd } for sells (0 for buys)
+ */
+export function applyLeg(book, leg, zigUsd, at) {
+  const q = big(leg.qty);
+  const usd = zigUsd != null ? leg.valueZig * zigUsd : 0;
+  book.volumeZig += leg.valueZig;
+  book.firstAt = book.firstAt || at;
+  book.lastAt = at;
+
+  if (leg.side === 'buy') {
+    book.lots.push({ q: q.toString(), z: leg.valueZig, u: usd, t: at });
+    book.buys++;
+    return { zig: 0, usd: 0 };
+  }
+
+  book.sells++;
+  let left = q, costZig = 0, costUsd = 0;
+  while (left > 0n && book.lots.length) {
+    const lot = book.lots[0];
+    const lq = big(lot.q);
+    if (lq <= left) {
+      costZig += lot.z; costUsd += lot.u;
+      left -= lq;
+      book.lots.shift();
+    } else {
+      const f = frac(left, lq);
+      costZig += lot.z * f; costUsd += lot.u * f;
+      lot.q = (lq - left).toString();
+      lot.z -= lot.z * f; lot.u -= lot.u * f;
+      left = 0n;
+    }
+  }
+  // proceeds only for the part that had a basis
+  const matched = frac(q - left, q);
+  book.unmatched += left;
+  const realized = {
+    zig: leg.valueZig * matched - costZig,
+    usd: usd * matched - costUsd,
+  };
+  book.realizedZig += realized.zig;
+  book.realizedUsd += realized.usd;
+  return realized;
+}
+
+/**
+ * Mark a book to market (DISPLAY units for qty, ZIG/USD values).
+ * pxZig: ZIG per 1 token now; exp: token exponent
+ */
+export function markToMarket(row, pxZig, zigUsd) {
+  const exp = Number(row.exponent ?? 6);
+  const qty = Number(row.open_base) / Math.pow(10, exp);
+  const costZig = Number(row.cost_basis_zig);
+  const costUsd = Number(row.cost_basis_usd);
+  const valueZig = pxZig != null ? qty * pxZig : null;
+  const valueUsd = valueZig != null && zigUsd != null ? valueZig * zigUsd : null;
+  return {
+    qty,
+    avg_cost_zig: qty > 0 ? costZig / qty : null,
+    price_zig: pxZig,
+    value_zig: valueZig,
+    value_usd: valueUsd,
+    cost_basis_zig: costZig,
+    cost_basis_usd: costUsd,
+    unrealized_pnl_zig: valueZig != null ? valueZig - costZig : null,
+    unrealized_pnl_usd: valueUsd != null ? valueUsd - costUsd : null,
+    realized_pnl_zig: Number(row.realized_pnl_zig),
+    realized_pnl_usd: Number(row.realized_pnl_usd),
+  };
+}
+
+const UPSERT_SQL = `
+  INSERT INTO wallet_pnl(address, token_id, lots, open_base, cost_basis_zig, cost_basis_usd,
+                         realized_pnl_zig, realized_pnl_usd, unmatched_base, buys, sells, volume_zig,
+                         first_trade_at, last_trade_at, updated_at)
+  VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14, now())
+  ON CONFLICT (address, token_id) DO UPDATE SET
+    lots             = EXCLUDED.lots,
+    open_base        = EXCLUDED.open_base,
+    cost_basis_zig   = EXCLUDED.cost_basis_zig,
+    cost_basis_usd   = EXCLUDED.cost_basis_usd,
+    realized_pnl_zig = EXCLUDED.realized_pnl_zig,
+    realized_pnl_usd = EXCLUDED.realized_pnl_usd,
+    unmatched_base   = EXCLUDED.unmatched_base,
+    buys             = EXCLUDED.buys,
+    sells            = EXCLUDED.sells,
+    volume_zig       = EXCLUDED.volume_zig,
+    first_trade_at   = EXCLUDED.first_trade_at,
+    last_trade_at    = EXCLUDED.last_trade_at,
+    updated_at       = now()
+`;
+
+export async function loadBooks(keys, db = DB) {
+  const out = new Map();
+  if (!keys.length) return out;
+  const { rows } = await db.query(`
+    SELECT * FROM wallet_pnl
+     WHERE (address, token_id) IN (SELECT * FROM unnest($1::text[], $2::bigint[]))
+  `, [keys.map(k => k.address), keys.map(k => k.token_id)]);
+  for (const r of rows) {
+    out.set(`${r.address}|${r.token_id}`, {
+      address: r.address, token_id: String(r.token_id),
+      lots: Array.isArray(r.lots) ? r.lots : [],
+      realizedZig: Number(r.realized_pnl_zig), realizedUsd: Number(r.realized_pnl_usd),
+      unmatched: big(r.unmatched_base),
+      buys: r.buys, sells: r.sells, volumeZig: Number(r.volume_zig),
+      firstAt: r.first_trade_at, lastAt: r.last_trade_at,
+    });
+  }
+  return out;
+}
+
+export async function writeBooks(books, db = DB) {
+  for (const b of books) {
+    const cost = openCost(b);
+    await db.query(UPSERT_SQL, [
+      b.address, b.token_id, JSON.stringify(b.lots), openQty(b).toString(), cost.zig, cost.usd,
+      b.realizedZig, b.realizedUsd, b.unmatched.toString(), b.buys, b.sells, b.volumeZig,
+      b.firstAt, b.lastAt,
+    ]);
+  }
+}
@@ -3,12 +3,16 @@ import { DB } from '../lib/db.js';
 import BatchQueue from '../lib/batch.js';
 
 const UPSERT_SQL = `
-  INSERT INTO pool_state(pool_id, reserve_base_base, reserve_quote_base, updated_at)
+  INSERT INTO pool_state(pool_id, reserve_base_base, reserve_quote_base, last_height, updated_at)
   VALUES %VALUES%
   ON CONFLICT (pool_id) DO UPDATE SET
     reserve_base_base  = EXCLUDED.reserve_base_base,
     reserve_quote_base = EXCLUDED.reserve_quote_base,
+    last_height        = EXCLUDED.last_height,
     updated_at         = now()
+  WHERE pool_state.last_height IS NULL
+     OR EXCLUDED.last_height IS NULL
+     OR EXCLUDED.last_height >= pool_state.last_height
 `;
 
 function sqlValues(rows) {
@@ -16,38 +20,54 @@ function sqlValues(rows) {
   const args = [];
   let i = 1;
   for (const r of rows) {
-    vals.push(`($${i++},$${i++},$${i++}, now())`);
-    args.push(r.pool_id, r.reserve_base_base, r.reserve_quote_base);
+    vals.push(`($${i++},$${i++},$${i++},$${i++}, now())`);
+    args.push(r.pool_id, r.reserve_base_base, r.reserve_quote_base, r.height ?? null);
   }
   return { text: UPSERT_SQL.replace('%VALUES%', vals.join(',')), args };
 }
 
 function dedupeLastWins(items) {
-  // Map by pool_id; keep the LAST occurrence (latest state in the batch)
+  // Map by pool_id; keep the highest height (LAST occurrence on ties)
   const m = new Map();
-  for (const it of items) m.set(it.pool_id, it);
+  for (const it of items) {
+    const prev = m.get(it.pool_id);
+    if (prev && prev.height != null && it.height != null && it.height < prev.height) continue;
+    m.set(it.pool_id, it);
+  }
   return Array.from(m.values());
 }
 
+const STATE_BATCH_MAX = Number(process.env.STATE_BATCH_MAX || 400);
+
+/** upsert in chunks of STATE_BATCH_MAX; db may be a tx client */
+export async function writePoolStates(items, db = DB) {
+  // collapse duplicates to avoid "ON CONFLICT ... affect row a second time"
+  const compact = dedupeLastWins(items);
+  for (let i = 0; i < compact.length; i += STATE_BATCH_MAX) {
+    const { text, args } = sqlValues(compact.slice(i, i + STATE_BATCH_MAX));
+    await db.query(text, args);
+  }
+}
+
 const stateQueue = new BatchQueue({
-  maxItems: Number(process.env.STATE_BATCH_MAX || 400),
+  maxItems: STATE_BATCH_MAX,
   maxWaitMs: Number(process.env.STATE_BATCH_WAIT_MS || 120),
-  flushFn: async (items) => {
-    // collapse duplicates to avoid "ON CONFLICT ... affect row a second time"
-    const compact = dedupeLastWins(items);
-    if (compact.length === 0) return;
-    const { text, args } = sqlValues(compact);
-    await DB.query(text, args);
-  }
+  flushFn: (items) => writePoolStates(items)
 });
 
-export async function upsertPoolState(pool_id, baseDenom, quoteDenom, res1d, res1a, res2d, res2a) {
-  if (!res1d || !res2d || !res1a || !res2a) return;
+/** orient event reserves onto the pool's base/quote; null if they don't map */
+export function poolStateRow(pool_id, baseDenom, quoteDenom, res1d, res1a, res2d, res2a, height = null) {
+  if (!res1d || !res2d || !res1a || !res2a) return null;
   let base = null, quote = null;
   if (res1d === baseDenom && res2d === quoteDenom) { base = res1a; quote = res2a; }
   else if (res2d === baseDenom && res1d === quoteDenom) { base = res2a; quote = res1a; }
-  if (!base || !quote) return;
-  stateQueue.push({ pool_id, reserve_base_base: base, reserve_quote_base: quote });
+  if (!base || !quote) return null;
+  return { pool_id, reserve_base_base: base, reserve_quote_base: quote, height };
+}
+
+export async function upsertPoolState(pool_id, baseDenom, quoteDenom, res1d, res1a, res2d, res2a, height = null) {
+  const row = poolStateRow(pool_id, baseDenom, quoteDenom, res1d, res1a, res2d, res2a, height);
+  if (row) stateQueue.push(row);
 }
 
 export async function drainPoolState() {
@@ -1,29 +1,33 @@
 // core/pools.js
 import { DB } from '../lib/db.js';
 import { upsertTokenMinimal } from './tokens.js';
-import { info } from '../lib/log.js';
+import { info, warn } from '../lib/log.js';
+import { pairConfig } from './pair-config.js';
 
-export async function upsertPool({ pairContract, baseDenom, quoteDenom, pairType, createdAt, height, txHash, signer }) {
+export async function upsertPool({ pairContract, baseDenom, quoteDenom, pairType, createdAt, height, txHash, signer, factory = null, dex = null, lpTokenDenom = null }) {
   const baseId  = await upsertTokenMinimal(baseDenom);
   const quoteId = await upsertTokenMinimal(quoteDenom);
   const isUzig  = (quoteDenom === 'uzig');
   const { rows } = await DB.query(
-    `INSERT INTO pools(pair_contract, base_token_id, quote_token_id, pair_type, is_uzig_quote, created_at, created_height, created_tx_hash, signer)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+    `INSERT INTO pools(pair_contract, base_token_id, quote_token_id, pair_type, is_uzig_quote, created_at, created_height, created_tx_hash, signer, factory_contract, dex, lp_token_denom)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
      ON CONFLICT (pair_contract) DO UPDATE SET
        base_token_id = EXCLUDED.base_token_id,
        quote_token_id = EXCLUDED.quote_token_id,
-       pair_type = EXCLUDED.pair_type
+       pair_type = EXCLUDED.pair_type,
+       factory_contract = COALESCE(EXCLUDED.factory_contract, pools.factory_contract),
+       dex = COALESCE(EXCLUDED.dex, pools.dex),
+       lp_token_denom = COALESCE(EXCLUDED.lp_token_denom, pools.lp_token_denom)
      RETURNING pool_id`,
-     [pairContract, baseId, quoteId, String(pairType), isUzig, createdAt, height, txHash, signer]
+     [pairContract, baseId, quoteId, String(pairType), isUzig, createdAt, height, txHash, signer, factory, dex, lpTokenDenom]
   );
-  info('POOL UPSERT:', pairContract, `${baseDenom}/${quoteDenom}`, pairType, 'pool_id=', rows[0].pool_id);
+  info('POOL UPSERT:', pairContract, `${baseDenom}/${quoteDenom}`, pairType, dex || '-', 'pool_id=', rows[0].pool_id);
   return rows[0].pool_id;
 }
 
 export async function poolWithTokens(pairContract) {
   const { rows } = await DB.query(`
-    SELECT p.pool_id, p.is_uzig_quote,
+    SELECT p.pool_id, p.is_uzig_quote, p.pair_type,
            b.token_id AS base_id, b.denom AS base_denom, COALESCE(b.exponent,6) AS base_exp,
            q.token_id AS quote_id, q.denom AS quote_denom, COALESCE(q.exponent,6) AS quote_exp
     FROM pools p
@@ -33,3 +37,21 @@ export async function poolWithTokens(pairContract) {
   return rows[0] || null;
 }
 
+
+/**
+ * Fill pools.lp_token_denom from `{ pair {} }.liquidity_token` when the
+ * create_pair events didn't carry it. Returns the denom (or null).
+ */
+export async function ensurePoolLpDenom(pairContract) {
+  const { rows } = await DB.query(`SELECT lp_token_denom FROM pools WHERE pair_contract=$1`, [pairContract]);
+  if (!rows[0]) return null;
+  if (rows[0].lp_token_denom) return rows[0].lp_token_denom;
+  try {
+    const lp = (await pairConfig(pairContract))?.lpDenom || null;
+    if (lp) await DB.query(`UPDATE pools SET lp_token_denom=$2 WHERE pair_contract=$1 AND lp_token_denom IS NULL`, [pairContract, lp]);
+    return lp;
+  } catch (e) {
+    warn('[pools/lp_denom]', pairContract, e.message);
+    return null;
+  }
+}
@@ -0,0 +1,171 @@
+// core/price-graph.js
+import { DB } from '../lib/db.js';
+import TTLCache from '../lib/cache.js';
+import { attachCurves, spotPrice } from './amm/index.js';
+
+const PRICE_GRAPH_MAX_HOPS = parseInt(process.env.PRICE_GRAPH_MAX_HOPS || '3', 10);
+
+/**
+ * Pricing graph over every pool with known reserves.
+ *
+ * Tokens are nodes, pools are edges. ZIG prices propagate outward from uzig:
+ * a token X next to an already-priced token Y through pool P gets
+ *   price(X) = price(Y) * (reserveY_disp / reserveX_disp)
+ * (or the curve's marginal rate on stable / concentrated pools, see `mid`).
+ * Among all routes (up to PRICE_GRAPH_MAX_HOPS pools) we keep the one whose
+ * thinnest leg is deepest, measured as 2 × priced-side reserve in ZIG.
+ *
+ * Routes are recorded as pool/token id arrays ordered token → … → uzig.
+ */
+
+/**
+ * edges: [{ pool_id, base_id, quote_id, rb, rq, mid? }] with rb/rq in DISPLAY units
+ * and mid = base priced in quote (defaults to rq / rb)
+ * → Map(token_id -> { price, depth, pools: [pool_id…], tokens: [token_id…] })
+ */
+export function routeZigPrices(edges, uzigId, { maxHops = PRICE_GRAPH_MAX_HOPS } = {}) {
+  let best = new Map([[String(uzigId), { price: 1, depth: Infinity, pools: [], tokens: [String(uzigId)] }]]);
+
+  for (let hop = 0; hop < maxHops; hop++) {
+    const next = new Map(best);
+    let changed = false;
+    for (const e of edges) {
+      for (const [x, rx, y, ry, rate] of sides(e)) {
+        const r = viaPool(best, e, x, rx, y, ry, rate, uzigId);
+        if (!r) continue;
+        const cur = next.get(x);
+        if (cur && cur.depth >= r.depth) continue;
+        next.set(x, r);
+        changed = true;
+      }
+    }
+    best = next;
+    if (!changed) break;
+  }
+  return best;
+}
+
+/**
+ * One price per (token, pool) for pools that are NOT uzig-quoted: the token
+ * on either side priced through that pool and the best route of the other side.
+ * → [{ token_id, pool_id, price, depth, pools, tokens }]
+ */
+export function poolRoutedPrices(edges, routes, uzigId) {
+  const out = [];
+  for (const e of edges) {
+    if (e.is_uzig_quote) continue;
+    for (const [x, rx, y, ry, rate] of sides(e)) {
+      const r = viaPool(routes, e, x, rx, y, ry, rate, uzigId);
+      if (r) out.push({ token_id: x, pool_id: String(e.pool_id), ...r });
+    }
+  }
+  return out;
+}
+
+function sides(e) {
+  const b = String(e.base_id), q = String(e.quote_id);
+  const mid = e.mid > 0 ? e.mid : e.rq / e.rb;
+  return [[b, e.rb, q, e.rq, mid], [q, e.rq, b, e.rb, 1 / mid]];
+}
+
+function viaPool(routes, e, x, rx, y, ry, rate, uzigId) {
+  if (x === String(uzigId)) return null;
+  if (!(rx > 0) || !(ry > 0)) return null;
+  const known = routes.get(y);
+  if (!known || known.tokens.includes(x) || known.pools.includes(String(e.pool_id))) return null;
+  const legDepth = 2 * ry * known.price;
+  const price = known.price * rate;
+  if (!Number.isFinite(price) || !(price > 0)) return null;
+  return {
+    price,
+    depth: Math.min(known.depth, legDepth),
+    pools: [String(e.pool_id), ...known.pools],
+    tokens: [x, ...known.tokens],
+  };
+}
+
+/** pools with positive reserves, oriented base/quote, DISPLAY units, with curve mid */
+export async function loadPoolEdges(db = DB) {
+  const { rows } = await db.query(`
+    SELECT p.pool_id, p.pair_contract, p.pair_type,
+           p.base_token_id AS base_id, p.quote_token_id AS quote_id, p.is_uzig_quote,
+           b.denom AS base_denom, q.denom AS quote_denom,
+           ps.reserve_base_base  / power(10::numeric, COALESCE(b.exponent::int,6)) AS rb,
+           ps.reserve_quote_base / power(10::numeric, COALESCE(q.exponent::int,6)) AS rq
+    FROM pools p
+    JOIN pool_state ps ON ps.pool_id = p.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    WHERE ps.reserve_base_base > 0 AND ps.reserve_quote_base > 0
+  `);
+  const edges = await attachCurves(rows.map(r => ({
+    ...r, pairType: r.pair_type, pairContract: r.pair_contract, rb: Number(r.rb), rq: Number(r.rq),
+  })));
+  for (const e of edges) {
+    e.mid = spotPrice(e, { baseDenom: e.base_denom, quoteDenom: e.quote_denom, rb: e.rb, rq: e.rq });
+  }
+  return edges;
+}
+
+export async function uzigTokenId(db = DB) {
+  const { rows } = await db.query(`SELECT token_id FROM tokens WHERE denom='uzig'`);
+  return rows[0]?.token_id ?? null;
+}
+
+/** prices row for a token priced through a route (is_pair_native = false) */
+export async function upsertRoutedPrice({ token_id, pool_id, price, depth, pools, tokens }, db = DB) {
+  const depthZig = Number.isFinite(depth) ? depth : null;
+  await db.query(`
+    INSERT INTO prices(token_id, pool_id, price_in_zig, is_pair_native, path_pool_ids, path_token_ids, depth_zig, updated_at)
+    VALUES ($1,$2,$3,FALSE,$4::bigint[],$5::bigint[],$6, now())
+    ON CONFLICT (token_id, pool_id) DO UPDATE
+      SET price_in_zig   = EXCLUDED.price_in_zig,
+          path_pool_ids  = EXCLUDED.path_pool_ids,
+          path_token_ids = EXCLUDED.path_token_ids,
+          depth_zig      = EXCLUDED.depth_zig,
+          updated_at     = now()
+  `, [token_id, pool_id, price, pools, tokens, depthZig]);
+
+  await db.query(
+    `INSERT INTO price_ticks(pool_id, token_id, price_in_zig)
+     VALUES ($1,$2,$3)
+     ON CONFLICT DO NOTHING`,
+    [pool_id, token_id, price]
+  );
+}
+
+const routeCache = new TTLCache({ max: 5000, ttlMs: 10_000 });
+
+/**
+ * Best known ZIG route for a token, as used when pricing a swap in a
+ * non-uzig pool: its deepest uzig-quoted pool first, else the deepest routed
+ * price. → { price, depth, pools, tokens } or null
+ */
+export async function tokenRoute(tokenId) {
+  const key = String(tokenId);
+  const hit = routeCache.get(key);
+  if (hit !== undefined) return hit;
+
+  const { rows } = await DB.query(`
+    SELECT pr.price_in_zig, pr.pool_id, pr.path_pool_ids, pr.path_token_ids, pr.depth_zig,
+           p.is_uzig_quote, p.quote_token_id, COALESCE(pm.tvl_zig, 0) AS tvl_zig
+    FROM prices pr
+    JOIN pools p ON p.pool_id = pr.pool_id
+    LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
+    WHERE pr.token_id = $1 AND pr.price_in_zig > 0
+      AND (p.is_uzig_quote OR pr.path_pool_ids IS NOT NULL)
+    ORDER BY p.is_uzig_quote DESC,
+             CASE WHEN p.is_uzig_quote THEN COALESCE(pm.tvl_zig, 0) ELSE pr.depth_zig END DESC NULLS LAST
+    LIMIT 1
+  `, [tokenId]);
+
+  const r = rows[0];
+  const out = !r ? null : {
+    price: Number(r.price_in_zig),
+    depth: r.is_uzig_quote ? Number(r.tvl_zig) : Number(r.depth_zig ?? 0),
+    pools: r.is_uzig_quote ? [String(r.pool_id)] : (r.path_pool_ids || []).map(String),
+    tokens: r.is_uzig_quote ? [key, String(r.quote_token_id)] : (r.path_token_ids || []).map(String),
+  };
+  routeCache.set(key, out);
+  return out;
+}
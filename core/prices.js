@@ -2,6 +2,7 @@
 import { DB } from '../lib/db.js';
 import { lcdSmart } from '../lib/lcd.js';
 import TTLCache from '../lib/cache.js';
+import { spotPrice } from './amm/index.js';
 
 // ---- small, safe caches to avoid LCD spam ---------------------------------
 const reservesCache = new TTLCache({ max: 1000, ttlMs: 2000 }); // 2s is enough per block
@@ -26,6 +27,63 @@ export async function upsertPrice(token_id, pool_id, price_in_zig, is_native) {
   );
 }
 
+/** block order of a price row: height, then tx index, then msg_index */
+const laterThan = (a, b) =>
+  (a.height - b.height) || ((a.tx_index ?? 0) - (b.tx_index ?? 0)) || ((a.msg_index ?? 0) - (b.msg_index ?? 0));
+
+/**
+ * Prices collected by processHeight (out.prices), written inside the block's
+ * commit tx. One row per (token, pool) survives: the last in block order.
+ * prices only moves forward in height (see prices.last_height), and heights
+ * below the live 'block' checkpoint (backfill, repair) only add ticks, which
+ * are stamped with the block time.
+ *
+ * rows: { token_id, pool_id, price, is_native, height, ts, tx_index, msg_index,
+ *         path_pool_ids?, path_token_ids?, depth_zig?, lcd? }
+ * lcd: price read from current LCD reserves; dropped entirely below live
+ */
+export async function writePrices(rows, db = DB) {
+  const last = new Map();
+  for (const r of rows) {
+    const k = `${r.token_id}|${r.pool_id}`;
+    const prev = last.get(k);
+    if (!prev || laterThan(r, prev) >= 0) last.set(k, r);
+  }
+
+  const { rows: cp } = await db.query(`SELECT last_height FROM index_state WHERE id = 'block'`);
+  const live = cp[0]?.last_height != null ? Number(cp[0].last_height) : null;
+
+  for (const r of last.values()) {
+    const stale = live != null && r.height < live;
+    if (stale && r.lcd) continue; // read from the chain head, not this block
+    await db.query(
+      `INSERT INTO price_ticks(pool_id, token_id, price_in_zig, ts)
+       VALUES ($1,$2,$3,$4)
+       ON CONFLICT DO NOTHING`,
+      [r.pool_id, r.token_id, r.price, r.ts]
+    );
+    if (stale) continue;
+
+    const depthZig = Number.isFinite(r.depth_zig) ? r.depth_zig : null;
+    await db.query(`
+      INSERT INTO prices(token_id, pool_id, price_in_zig, is_pair_native,
+                         path_pool_ids, path_token_ids, depth_zig, last_height, updated_at)
+      VALUES ($1,$2,$3,$4,$5::bigint[],$6::bigint[],$7,$8, now())
+      ON CONFLICT (token_id, pool_id) DO UPDATE
+        SET price_in_zig   = EXCLUDED.price_in_zig,
+            is_pair_native = EXCLUDED.is_pair_native,
+            path_pool_ids  = EXCLUDED.path_pool_ids,
+            path_token_ids = EXCLUDED.path_token_ids,
+            depth_zig      = EXCLUDED.depth_zig,
+            last_height    = EXCLUDED.last_height,
+            updated_at     = now()
+      WHERE prices.last_height IS NULL
+         OR EXCLUDED.last_height >= prices.last_height
+    `, [r.token_id, r.pool_id, r.price, !!r.is_native,
+        r.path_pool_ids ?? null, r.path_token_ids ?? null, depthZig, r.height]);
+  }
+}
+
 /**
  * Fetch pool reserves via LCD smart query `{ pool: {} }` with:
  *  - TTL cache (~2s)
@@ -69,8 +127,10 @@ export async function fetchPoolReserves(pair_contract) {
  * - Rb: raw reserve of base token
  * - quote_exp = 6 (UZIG)
  * - base_exp: from tokens table (exponent/decimals)
+ * Stable / concentrated pools pass `curvePool` ({ pairType, curve }, see
+ * core/amm attachCurves) and get the curve's marginal price instead.
  */
-export function priceFromReserves_UZIGQuote({ base_denom, base_exp }, reserves) {
+export function priceFromReserves_UZIGQuote({ base_denom, base_exp }, reserves, curvePool = null) {
   const rb = reserves.find(r => r.denom === base_denom);
   const rq = reserves.find(r => r.denom === 'uzig');
   if (!rb || !rq) return null;
@@ -90,5 +150,6 @@ export function priceFromReserves_UZIGQuote({ base_denom, base_exp }, reserves)
   if (!(hb > 0) || !(hq > 0)) return null;
   console.log("the return price from core price", hb/hq);
   
+  if (curvePool) return spotPrice(curvePool, { baseDenom: base_denom, quoteDenom: 'uzig', rb: hb, rq: hq });
   return hq / hb;
 }
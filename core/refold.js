@@ -0,0 +1,81 @@
+// core/refold.js
+//
+// Jobs that fold trades into per-wallet state (or, like the rug detector,
+// scan them per trade) walk heights in block order
+// (height, tx_index, msg_index) up to a watermark kept in index_state, never
+// past the committed 'block' checkpoint. Two things can change heights a job
+// has already folded:
+//  - backfill / repair commit trades at old heights (core/commit.js)
+//  - a reorg deletes trades above the fork (core/reorg.js)
+// Either way the wallets involved land in wallet_refolds and the job rebuilds
+// them from scratch on its next pass; a reorg also pulls the watermark back.
+//
+// A job holds its index_state row FOR UPDATE while it folds; late commits
+// take it FOR SHARE before reading the watermark, so every trade is either
+// seen by the fold or queued for a rebuild.
+import { DB } from '../lib/db.js';
+
+export const FOLD_JOBS = ['fold:lp_positions', 'fold:wallet_pnl', 'fold:rug_detector', 'fold:launch_buyers'];
+
+/**
+ * Lock the job's watermark for the caller's tx.
+ * → { height, fresh } — fresh when the row didn't exist yet (start over)
+ */
+export async function lockWatermark(id, db) {
+  const ins = await db.query(`
+    INSERT INTO index_state(id, last_height) VALUES ($1, 0)
+    ON CONFLICT (id) DO NOTHING
+    RETURNING id`, [id]);
+  const { rows } = await db.query(`SELECT last_height FROM index_state WHERE id = $1 FOR UPDATE`, [id]);
+  return { height: Number(rows[0]?.last_height || 0), fresh: ins.rows.length > 0 };
+}
+
+/** wallets queued for a rebuild of `id` (removed from the queue) */
+export async function takeRefolds(id, db) {
+  const { rows } = await db.query(`DELETE FROM wallet_refolds WHERE job = $1 RETURNING address`, [id]);
+  return rows.map(r => r.address);
+}
+
+/**
+ * Queue the signers of trades committed at or below a job's watermark.
+ * trades: rows just inserted by writeTrades (signer, height)
+ */
+export async function queueLateTrades(trades, db = DB) {
+  const signed = trades.filter(t => t.signer);
+  if (!signed.length) return;
+  const { rows } = await db.query(`
+    SELECT id, last_height FROM index_state
+     WHERE id = ANY($1::text[])
+     ORDER BY id
+     FOR SHARE`, [FOLD_JOBS]);
+  for (const { id, last_height } of rows) {
+    const wm = Number(last_height || 0);
+    const addrs = Array.from(new Set(signed.filter(t => Number(t.height) <= wm).map(t => t.signer)));
+    if (!addrs.length) continue;
+    await db.query(`
+      INSERT INTO wallet_refolds(job, address)
+      SELECT $1, unnest($2::text[])
+      ON CONFLICT DO NOTHING`, [id, addrs]);
+  }
+}
+
+/**
+ * Reorg: queue the signers of the trades about to be deleted (height >= rewind,
+ * created_at >= bucket) for every job that folded them, and pull its
+ * watermark back to rewind-1. Runs inside rollbackAbove's tx, before the delete.
+ */
+export async function rewindFolds(rewind, bucket, db) {
+  const { rows } = await db.query(`
+    SELECT id FROM index_state
+     WHERE id = ANY($1::text[]) AND last_height >= $2
+     ORDER BY id
+     FOR UPDATE`, [FOLD_JOBS, rewind]);
+  for (const { id } of rows) {
+    await db.query(`
+      INSERT INTO wallet_refolds(job, address)
+      SELECT DISTINCT $1, signer FROM trades
+       WHERE height >= $2 AND created_at >= $3 AND signer IS NOT NULL
+      ON CONFLICT DO NOTHING`, [id, rewind, bucket]);
+    await db.query(`UPDATE index_state SET last_height = $2, updated_at = now() WHERE id = $1`, [id, rewind - 1]);
+  }
+}
@@ -0,0 +1,168 @@
+// core/reorg.js
+import { tx } from '../lib/db.js';
+import { getBlock, unwrapBlock } from '../lib/rpc.js';
+import { info, warn } from '../lib/log.js';
+import { readBlockHash, writeCheckpoint } from './checkpoint.js';
+import { rewindFolds } from './refold.js';
+
+const REORG_MAX_DEPTH = parseInt(process.env.REORG_MAX_DEPTH || '100', 10);
+
+/**
+ * Walk back from height h-1 until our stored header hash matches the canonical
+ * chain again. Returns the fork point F (last height we can keep).
+ * Heights we never stored a header for are trusted (nothing to compare).
+ */
+export async function findForkPoint(h) {
+  const floor = Math.max(1, h - REORG_MAX_DEPTH);
+  for (let k = h - 1; k >= floor; k--) {
+    const stored = await readBlockHash(k);
+    if (!stored) return k;
+    const canon = unwrapBlock(await getBlock(k));
+    if (!canon?.hash) throw new Error(`reorg: no canonical header for ${k}`);
+    if (canon.hash === stored) return k;
+    warn('[reorg] header mismatch', k, { stored, canonical: canon.hash });
+  }
+  throw new Error(`reorg: no common ancestor within ${REORG_MAX_DEPTH} blocks of ${h}`);
+}
+
+/**
+ * Roll back all derived rows above the fork point F in one transaction:
+ *  - rewind to the first height of the minute the fork happened in, so the
+ *    partially-poisoned ohlcv_1m bucket is rebuilt from scratch on re-index
+ *  - trades >= rewind height are deleted, with the failed swaps, sandwiches
+ *    and rug incidents found in them
+ *  - ohlcv_1m buckets >= that minute are deleted for the touched pools
+ *  - pool_state is restored from the last surviving swap (or dropped)
+ *  - folding jobs (core/refold.js) queue the affected wallets for a rebuild
+ *    and move their watermark back
+ *  - prices for UZIG pools are recomputed from the restored reserves; other
+ *    prices and cw20 holder balances written above the fork drop their
+ *    height guard
+ *  - block_headers, the 'block' checkpoint and backfill cursors move back
+ *    to rewind-1
+ * Returns the height the indexer should resume from.
+ */
+export async function rollbackAbove(F) {
+  return tx(async (client) => {
+    const { rows: tr } = await client.query(`
+      SELECT LEAST(
+        (SELECT MIN(block_time) FROM block_headers WHERE height > $1),
+        (SELECT MIN(created_at) FROM trades        WHERE height > $1)
+      ) AS t0
+    `, [F]);
+    const t0 = tr[0]?.t0 || null;
+    if (!t0) {
+      await client.query(`DELETE FROM block_headers WHERE height > $1`, [F]);
+      await writeCheckpoint(F, { db: client });
+      return F + 1;
+    }
+
+    const { rows: rr } = await client.query(`
+      SELECT
+        date_trunc('minute', $2::timestamptz) AS bucket,
+        LEAST(
+          $1::bigint + 1,
+          (SELECT MIN(height) FROM block_headers WHERE block_time >= date_trunc('minute', $2::timestamptz)),
+          (SELECT MIN(height) FROM trades        WHERE created_at >= date_trunc('minute', $2::timestamptz))
+        ) AS rewind
+    `, [F, t0]);
+    const bucket = rr[0].bucket;
+    const rewind = Number(rr[0].rewind);
+
+    const { rows: pr } = await client.query(`
+      SELECT DISTINCT pool_id FROM trades WHERE height >= $1 AND created_at >= $2
+    `, [rewind, bucket]);
+    const poolIds = pr.map(r => r.pool_id);
+
+    // folding jobs (lp_positions, wallet_pnl, rug_detector, launch_buyers) rebuild
+    // the wallets losing trades
+    await rewindFolds(rewind, bucket, client);
+
+    const del = await client.query(
+      `DELETE FROM trades WHERE height >= $1 AND created_at >= $2`,
+      [rewind, bucket]
+    );
+    await client.query(`DELETE FROM failed_swaps WHERE height >= $1`, [rewind]);
+    await client.query(`DELETE FROM mev_sandwiches WHERE height >= $1`, [rewind]);
+    await client.query(`DELETE FROM rug_incidents WHERE height >= $1`, [rewind]);
+
+    if (poolIds.length) {
+      await client.query(
+        `DELETE FROM ohlcv_1m WHERE pool_id = ANY($1) AND bucket_start >= $2`,
+        [poolIds, bucket]
+      );
+
+      // reserves: last surviving swap per pool (same orientation rules as upsertPoolState)
+      await client.query(`DELETE FROM pool_state WHERE pool_id = ANY($1)`, [poolIds]);
+      await client.query(`
+        WITH last AS (
+          SELECT DISTINCT ON (t.pool_id)
+                 t.pool_id, t.height,
+                 t.reserve_asset1_denom AS d1, t.reserve_asset1_amount_base AS a1,
+                 t.reserve_asset2_denom AS d2, t.reserve_asset2_amount_base AS a2
+          FROM trades t
+          WHERE t.pool_id = ANY($1) AND t.action = 'swap'
+            AND t.reserve_asset1_amount_base IS NOT NULL
+            AND t.reserve_asset2_amount_base IS NOT NULL
+          ORDER BY t.pool_id, t.created_at DESC, t.height DESC, t.msg_index DESC
+        )
+        INSERT INTO pool_state(pool_id, reserve_base_base, reserve_quote_base, last_height, updated_at)
+        SELECT l.pool_id,
+               CASE WHEN l.d1 = b.denom THEN l.a1 ELSE l.a2 END,
+               CASE WHEN l.d1 = b.denom THEN l.a2 ELSE l.a1 END,
+               l.height,
+               now()
+        FROM last l
+        JOIN pools  p ON p.pool_id  = l.pool_id
+        JOIN tokens b ON b.token_id = p.base_token_id
+        JOIN tokens q ON q.token_id = p.quote_token_id
+        WHERE (l.d1 = b.denom AND l.d2 = q.denom) OR (l.d2 = b.denom AND l.d1 = q.denom)
+      `, [poolIds]);
+
+      // prices: price(base in ZIG) = (Rq / 10^6) / (Rb / 10^base_exp)
+      await client.query(`
+        UPDATE prices pr
+           SET price_in_zig = (ps.reserve_quote_base / 1e6)
+                            / (ps.reserve_base_base / power(10::numeric, COALESCE(b.exponent::int,6))),
+               last_height  = ps.last_height,
+               updated_at   = now()
+          FROM pool_state ps
+          JOIN pools  p ON p.pool_id  = ps.pool_id
+          JOIN tokens b ON b.token_id = p.base_token_id
+         WHERE pr.pool_id = ps.pool_id
+           AND pr.token_id = p.base_token_id
+           AND p.is_uzig_quote = TRUE
+           AND ps.pool_id = ANY($1)
+           AND ps.reserve_base_base > 0 AND ps.reserve_quote_base > 0
+      `, [poolIds]);
+
+      // ticks carry the block time
+      await client.query(
+        `DELETE FROM price_ticks WHERE pool_id = ANY($1) AND ts >= $2`,
+        [poolIds, bucket]
+      );
+    }
+
+    // prices the rewound blocks wrote and nothing restored: let re-indexing
+    // write them again (prices.last_height guard)
+    await client.query(`UPDATE prices SET last_height = NULL WHERE last_height >= $1`, [rewind]);
+
+    // cw20 balances read for the rewound blocks: same, re-indexing rewrites
+    // the touched accounts and the holders sweep corrects the rest
+    await client.query(`UPDATE holders SET last_seen_height = NULL WHERE last_seen_height >= $1`, [rewind]);
+
+    // backfill ranges that ran past the fork redo those heights on resume
+    await client.query(`
+      UPDATE index_state SET last_height = $1, updated_at = now()
+       WHERE id LIKE 'backfill:%' AND last_height > $1
+    `, [rewind - 1]);
+
+    await client.query(`DELETE FROM block_headers WHERE height >= $1`, [rewind]);
+    await writeCheckpoint(rewind - 1, { db: client });
+
+    info('[reorg] rolled back', {
+      fork: F, rewind, bucket, trades: del.rowCount, pools: poolIds.length
+    });
+    return rewind;
+  });
+}
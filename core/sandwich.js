@@ -0,0 +1,163 @@
+// core/sandwich.js
+//
+// Same-block sandwiches: a signer swaps into a pool (front), someone else
+// swaps the same way after it (victim), then the first signer swaps back
+// (back). Order inside a block is (tx_index, msg_index); the detection
+// runs on processHeight's rows before the block is committed.
+//
+// The victim's loss is estimated on a constant-product curve: undo the
+// front swap on the reserves the victim met and compare outputs. Fees
+// cancel in the ratio, so
+//   extracted = victim value × (out(without front) / out(actual) − 1)
+// Curve (stable / concentrated) pools get the same xyk estimate.
+import { DB } from '../lib/db.js';
+
+const num = (x) => (x == null ? 0 : Number(x));
+const cpOut = (rIn, rOut, dx) => (rIn > 0 && rOut > 0 && dx > 0 ? (rOut * dx) / (rIn + dx) : null);
+
+/** reserves of (inDenom, outDenom) a swap met, from its post-swap reserves */
+function reservesBefore(t) {
+  const r = new Map([
+    [t.reserve_asset1_denom, num(t.reserve_asset1_amount_base)],
+    [t.reserve_asset2_denom, num(t.reserve_asset2_amount_base)],
+  ]);
+  if (!r.has(t.offer_asset_denom) || !r.has(t.ask_asset_denom)) return null;
+  const rIn = r.get(t.offer_asset_denom) - num(t.offer_amount_base);
+  const rOut = r.get(t.ask_asset_denom) + num(t.return_amount_base);
+  return rIn > 0 && rOut > 0 ? { rIn, rOut } : null;
+}
+
+/** victim output without the front swap ÷ actual output, or null */
+export function frontRunRatio(front, victim) {
+  const pre = reservesBefore(victim);
+  if (!pre || front.offer_asset_denom !== victim.offer_asset_denom) return null;
+  const dx = num(victim.offer_amount_base);
+  const actual = cpOut(pre.rIn, pre.rOut, dx);
+  const clean = cpOut(pre.rIn - num(front.offer_amount_base), pre.rOut + num(front.return_amount_base), dx);
+  return actual && clean ? clean / actual : null;
+}
+
+/**
+ * Sandwiches among one block's swap rows.
+ * trades: rows with pool_id, signer, direction, tx_index, msg_index, amounts
+ * → [{ front, victim, back, ratio }]
+ */
+export function findSandwiches(trades) {
+  const byPool = new Map();
+  for (const t of trades) {
+    if (t.action !== 'swap' || !t.signer || t.tx_index == null) continue;
+    const arr = byPool.get(t.pool_id) || [];
+    arr.push(t);
+    byPool.set(t.pool_id, arr);
+  }
+
+  const out = [];
+  for (const swaps of byPool.values()) {
+    if (swaps.length < 3) continue;
+    swaps.sort((a, b) => a.tx_index - b.tx_index || a.msg_index - b.msg_index);
+    const used = new Set();
+    for (let i = 0; i < swaps.length; i++) {
+      const front = swaps[i];
+      if (used.has(i)) continue;
+      const j = swaps.findIndex((t, k) => k > i && !used.has(k) &&
+        t.signer === front.signer && t.direction !== front.direction);
+      if (j < 0) continue;
+      const victims = swaps.slice(i + 1, j)
+        .filter(v => v.signer !== front.signer && v.direction === front.direction);
+      if (!victims.length) continue;
+      used.add(i); used.add(j);
+      for (const victim of victims) {
+        out.push({ front, victim, back: swaps[j], ratio: frontRunRatio(front, victim) });
+      }
+    }
+  }
+  return out;
+}
+
+/** quote-leg amount of a swap in quote base units */
+const quoteLeg = (t) => num(t.direction === 'buy' ? t.offer_amount_base : t.return_amount_base);
+
+const before = (a, b) =>
+  (a.height - b.height) || ((a.tx_index ?? 0) - (b.tx_index ?? 0)) || ((a.msg_index ?? 0) - (b.msg_index ?? 0));
+
+/**
+ * ZIG per 1 quote token when `victim` swapped: the last direct uzig-pool price
+ * this block produced up to the victim (processHeight's out.prices, read from
+ * the trades' own reserves), else the last tick at or before the block time.
+ */
+async function quotePxZig(pool, victim, blockPrices, cache) {
+  if (pool.quote_denom === 'uzig') return 1;
+  let px = null;
+  for (const p of blockPrices) {
+    if (String(p.token_id) !== String(pool.quote_id) || !p.is_native || p.lcd) continue;
+    if (before(p, victim) > 0) continue;
+    if (!px || before(p, px) >= 0) px = p;
+  }
+  if (px) return Number(px.price);
+
+  const k = `${pool.quote_id}|${victim.height}`;
+  if (cache.has(k)) return cache.get(k);
+  const { rows } = await DB.query(`
+    SELECT price_in_zig FROM price_ticks
+     WHERE token_id = $1 AND ts <= $2
+     ORDER BY ts DESC
+     LIMIT 1`, [pool.quote_id, victim.created_at]);
+  const tick = rows[0] ? Number(rows[0].price_in_zig) : null;
+  cache.set(k, tick);
+  return tick;
+}
+
+/**
+ * findSandwiches() → rows for mev_sandwiches, valued in ZIG at the block's
+ * prices (a backfilled block is not valued at today's quote price).
+ * poolOf: pair_contract → poolWithTokens row
+ * blockPrices: the block's out.prices rows
+ */
+export async function sandwichRows(found, poolOf, blockPrices = []) {
+  const rows = [];
+  const pxCache = new Map();
+  for (const { front, victim, back, ratio } of found) {
+    const pool = poolOf(victim.pair_contract);
+    if (!pool) continue;
+    const px = await quotePxZig(pool, victim, blockPrices, pxCache);
+    const toZig = (base) => (px == null ? null : (base / Math.pow(10, Number(pool.quote_exp ?? 6))) * px);
+
+    const victimZig = toZig(quoteLeg(victim));
+    // front buy: spent quote, back sell: got quote (and the reverse)
+    const attackerQuote = front.direction === 'buy'
+      ? quoteLeg(back) - quoteLeg(front)
+      : quoteLeg(front) - quoteLeg(back);
+
+    rows.push({
+      pool_id: victim.pool_id,
+      height: victim.height,
+      attacker: front.signer,
+      victim: victim.signer,
+      direction: victim.direction,
+      front_tx_hash: front.tx_hash, front_msg_index: front.msg_index,
+      victim_tx_hash: victim.tx_hash, victim_msg_index: victim.msg_index,
+      back_tx_hash: back.tx_hash, back_msg_index: back.msg_index,
+      victim_value_zig: victimZig,
+      extracted_zig: victimZig != null && ratio != null ? Math.max(0, victimZig * (ratio - 1)) : null,
+      attacker_profit_zig: toZig(attackerQuote),
+      created_at: victim.created_at,
+    });
+  }
+  return rows;
+}
+
+export async function writeSandwiches(rows, db = DB) {
+  for (const r of rows) {
+    await db.query(`
+      INSERT INTO mev_sandwiches(pool_id, height, attacker, victim, direction,
+                                 front_tx_hash, front_msg_index, victim_tx_hash, victim_msg_index,
+                                 back_tx_hash, back_msg_index,
+                                 victim_value_zig, extracted_zig, attacker_profit_zig, created_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+      ON CONFLICT (victim_tx_hash, pool_id, victim_msg_index) DO NOTHING
+    `, [r.pool_id, r.height, r.attacker, r.victim, r.direction,
+        r.front_tx_hash, r.front_msg_index, r.victim_tx_hash, r.victim_msg_index,
+        r.back_tx_hash, r.back_msg_index,
+        r.victim_value_zig, r.extracted_zig, r.attacker_profit_zig, r.created_at]);
+  }
+}
@@ -3,6 +3,7 @@ import { DB } from '../lib/db.js';
 import { lcdDenomsMetadata, lcdFactoryDenom, lcdIbcDenomTrace } from '../lib/lcd.js';
 import { warn, debug } from '../lib/log.js';
 import { fetch } from 'undici';
+import { isCw20Address, cw20TokenInfo, cw20MarketingInfo, cw20Minter, forgetCw20TokenId } from './cw20.js';
 
 // Toggle registry integration (ON by default)
 const USE_CHAIN_REGISTRY = (process.env.USE_CHAIN_REGISTRY || '1') === '1';
@@ -20,6 +21,30 @@ let ZIG_ASSET_LIST = null;
  * ────────────────────────────────────────────────────────────────────────────── */
 
 export async function upsertTokenMinimal(denom) {
+  // CW20: decimals are known up-front from token_info, so prices/amounts
+  // are right from the first swap instead of waiting for the meta pass
+  if (isCw20Address(denom)) {
+    const ti = await cw20TokenInfo(denom);
+    if (ti) {
+      const { rows } = await DB.query(
+        `INSERT INTO tokens(denom, type, exponent) VALUES ($1, 'cw20', $2)
+         ON CONFLICT (denom) DO UPDATE SET type='cw20'
+         RETURNING token_id`,
+        [denom, ti.decimals]
+      );
+      forgetCw20TokenId(denom);
+      return rows[0].token_id;
+    }
+    // token_info unavailable: no exponent until the meta refresher resolves it
+    const { rows } = await DB.query(
+      `INSERT INTO tokens(denom, type, exponent) VALUES ($1, 'cw20', NULL)
+       ON CONFLICT (denom) DO NOTHING
+       RETURNING token_id`,
+      [denom]
+    );
+    if (rows[0]) return rows[0].token_id;
+  }
+
   const { rows } = await DB.query(
     `INSERT INTO tokens(denom, exponent) VALUES ($1, 0)
      ON CONFLICT (denom) DO NOTHING
@@ -178,12 +203,61 @@ function findRegistryAsset(denomOrBase) {
   return a || null;
 }
 
+/* ──────────────────────────────────────────────────────────────────────────────
+ * CW20: token_info + marketing_info via contract smart queries
+ * ────────────────────────────────────────────────────────────────────────────── */
+
+async function setCw20MetaFromLCD(addr) {
+  const ti = await cw20TokenInfo(addr);
+  if (!ti) return false;
+  const mi = await cw20MarketingInfo(addr);
+
+  // logo is { url } or the string 'embedded' (bytes only via download_logo; skipped)
+  const logoUrl = normUrl(mi?.logo?.url);
+  let uriData = null;
+  if (logoUrl && looksLikeJsonUrl(logoUrl)) uriData = await resolveUriPayload(logoUrl);
+  const image_uri = uriData ? uriData.image_uri : logoUrl;
+
+  await DB.query(`
+    UPDATE tokens
+    SET type              = 'cw20',
+        name              = COALESCE($2, name),
+        symbol            = COALESCE($3, symbol),
+        display           = COALESCE($4, display),
+        exponent          = $5,
+        image_uri         = COALESCE($6, image_uri),
+        description       = COALESCE($7, description),
+        website           = COALESCE($8, website),
+        total_supply_base = COALESCE($9::NUMERIC, total_supply_base)
+    WHERE denom=$1
+  `, [
+    addr,
+    normString(ti.name),
+    normString(ti.symbol)?.toUpperCase() || null,
+    normString(ti.symbol)?.toLowerCase() || null,
+    ti.decimals,
+    image_uri || null,
+    normString(mi?.description) || uriData?.description || null,
+    uriData?.website || null,
+    /^\d+$/.test(String(ti.total_supply ?? '')) ? String(ti.total_supply) : null
+  ]);
+
+  // cw20-base exposes the mint cap via { minter {} }
+  const cap = (await cw20Minter(addr))?.cap ?? null;
+  if (/^\d+$/.test(String(cap ?? ''))) {
+    await DB.query(`UPDATE tokens SET max_supply_base = $2::NUMERIC WHERE denom=$1`, [addr, String(cap)]);
+  }
+  forgetCw20TokenId(addr);
+  return true;
+}
+
 /* ──────────────────────────────────────────────────────────────────────────────
  * MAIN: setTokenMetaFromLCD → Registry + LCD + URI JSON + factory supplies
  * ────────────────────────────────────────────────────────────────────────────── */
 
 /**
  * setTokenMetaFromLCD:
+ *  - CW20 contracts → token_info / marketing_info (no bank metadata exists)
  *  - IBC trace resolution
  *  - Merge sources:
  *     * ZigChain registry (via GitHub raw assetlist) for name/symbol/display/denom_units/exponent/image/socials/description
@@ -196,6 +270,13 @@ export async function setTokenMetaFromLCD(denom) {
     // Ensure description column exists (idempotent)
     await DB.query(`ALTER TABLE IF EXISTS tokens ADD COLUMN IF NOT EXISTS description TEXT`).catch(() => {});
 
+    // ── CW20 contracts have no bank metadata: token_info or nothing, so a
+    //    failed query leaves exponent NULL and the refresher retries ───────
+    if (isCw20Address(denom)) {
+      if (!await setCw20MetaFromLCD(denom)) debug('[meta/cw20] token_info unavailable', denom);
+      return;
+    }
+
     // ── IBC handling ────────────────────────────────────────────────────────
     let lookupDenom = denom;
     let isIbc = false;
@@ -7,40 +7,58 @@ const INSERT_SQL = `
    (pool_id, pair_contract, action, direction,
     offer_asset_denom, offer_amount_base,
     ask_asset_denom, ask_amount_base,
-    return_amount_base, is_router,
+    return_amount_base, is_router, router_contract,
     reserve_asset1_denom, reserve_asset1_amount_base,
     reserve_asset2_denom, reserve_asset2_amount_base,
-    height, tx_hash, signer, msg_index, created_at)
+    height, tx_hash, signer, msg_index, tx_index, created_at)
   VALUES %VALUES%
   ON CONFLICT (created_at, tx_hash, pool_id, msg_index) DO NOTHING
+  RETURNING tx_hash, pool_id, msg_index
 `;
 
+/** identity of a trade row within its block (the conflict key minus created_at) */
+export const tradeKey = (t) => `${t.tx_hash}|${t.pool_id}|${t.msg_index}`;
+
 function sqlValues(rows) {
   const vals = [];
   const args = [];
   let i = 1;
   for (const t of rows) {
-    vals.push(`($${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++})`);
+    vals.push(`($${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++},$${i++})`);
     args.push(
       t.pool_id, t.pair_contract, t.action, t.direction,
       t.offer_asset_denom, t.offer_amount_base,
       t.ask_asset_denom, t.ask_amount_base,
-      t.return_amount_base, t.is_router,
+      t.return_amount_base, t.is_router, t.router_contract ?? null,
       t.reserve_asset1_denom, t.reserve_asset1_amount_base,
       t.reserve_asset2_denom, t.reserve_asset2_amount_base,
-      t.height, t.tx_hash, t.signer, t.msg_index, t.created_at
+      t.height, t.tx_hash, t.signer, t.msg_index, t.tx_index ?? null, t.created_at
     );
   }
   return { text: INSERT_SQL.replace('%VALUES%', vals.join(',')), args };
 }
 
+const TRADES_BATCH_MAX = Number(process.env.TRADES_BATCH_MAX || 800);
+
+/**
+ * multi-row insert in chunks of TRADES_BATCH_MAX; db may be a tx client.
+ * Returns the tradeKey()s of rows actually inserted (already-stored rows are
+ * skipped by the conflict key).
+ */
+export async function writeTrades(rows, db = DB) {
+  const inserted = new Set();
+  for (let i = 0; i < rows.length; i += TRADES_BATCH_MAX) {
+    const { text, args } = sqlValues(rows.slice(i, i + TRADES_BATCH_MAX));
+    const res = await db.query(text, args);
+    for (const r of res.rows || []) inserted.add(tradeKey(r));
+  }
+  return inserted;
+}
+
 const tradesQueue = new BatchQueue({
-  maxItems: Number(process.env.TRADES_BATCH_MAX || 800),
+  maxItems: TRADES_BATCH_MAX,
   maxWaitMs: Number(process.env.TRADES_BATCH_WAIT_MS || 120),
-  flushFn: async (items) => {
-    const { text, args } = sqlValues(items);
-    await DB.query(text, args);
-  }
+  flushFn: (items) => writeTrades(items)
 });
 
 export async function insertTrade(t) {
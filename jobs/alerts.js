@@ -99,6 +99,34 @@ async function evalAlert(a) {
     return null;
   }
 
+  if (a.alert_type === 'rug_pull') {
+    // incidents from jobs/rug-detector.js; scope by token or pool, else any
+    const sinceMin = Number(p.since_min || 10);
+    const args = [sinceMin];
+    let where = `detected_at >= now() - ($1 || ' minutes')::interval`;
+    if (p.pool_id)  { args.push(p.pool_id);  where += ` AND pool_id=$${args.length}`; }
+    if (p.token_id) { args.push(p.token_id); where += ` AND token_id=$${args.length}`; }
+    if (p.creator_only) where += ` AND is_creator`;
+    const { rows } = await DB.query(`
+      SELECT count(*)::int AS c, max(removed_pct) AS max_removed_pct,
+             array_agg(DISTINCT pool_id) AS pool_ids
+      FROM rug_incidents WHERE ${where}
+    `, args);
+    if ((rows[0]?.c || 0) > 0) {
+      return {
+        triggered: true,
+        kind: 'rug_pull',
+        payload: {
+          count: rows[0].c,
+          max_removed_pct: rows[0].max_removed_pct != null ? Number(rows[0].max_removed_pct) : null,
+          pool_ids: rows[0].pool_ids,
+          params: p
+        }
+      };
+    }
+    return null;
+  }
+
   return null;
 }
 
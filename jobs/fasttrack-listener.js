@@ -13,6 +13,7 @@ import {
 
 // ➕ price & ohlcv helpers
 import { fetchPoolReserves, priceFromReserves_UZIGQuote, upsertPrice } from '../core/prices.js';
+import { attachCurves } from '../core/amm/index.js';
 import { upsertOHLCV1m } from '../core/ohlcv.js';
 
 /**
@@ -28,7 +29,7 @@ async function loadPoolContext(payload) {
 
   const { rows } = await DB.query(`
     SELECT
-      p.pool_id, p.pair_contract, p.is_uzig_quote, p.created_at,
+      p.pool_id, p.pair_contract, p.pair_type, p.is_uzig_quote, p.created_at,
       p.base_token_id, b.denom AS base_denom,
       p.quote_token_id, q.denom AS quote_denom
     FROM pools p
@@ -131,9 +132,11 @@ export function startFasttrackListener() {
             debug('[fasttrack/init skip] meta not ready', { pool_id: ctx.pool_id, denom: ctx.base_denom });
           } else {
             const reserves = await fetchPoolReserves(ctx.pair_contract);
+            const [curvePool] = await attachCurves([{ pairType: ctx.pair_type, pairContract: ctx.pair_contract }]);
             const price = priceFromReserves_UZIGQuote(
               { base_denom: ctx.base_denom, base_exp: Number(baseExp) },
-              reserves
+              reserves,
+              curvePool
             );
             if (price != null && Number.isFinite(price) && price > 0) {
               // seed price (like we discussed)
@@ -0,0 +1,61 @@
+// jobs/gap-repair.js
+import { DB } from '../lib/db.js';
+import { info, warn, err } from '../lib/log.js';
+import { processHeight } from '../core/block-processor.js';
+import { readCheckpoint } from '../core/checkpoint.js';
+import { commitBlock } from '../core/commit.js';
+import { dueHeights, recordFailure, markResolved, detectMissingHeaders } from '../core/failed-heights.js';
+
+const REPAIR_SEC      = parseInt(process.env.REPAIR_SEC || '20', 10);
+const REPAIR_BATCH    = parseInt(process.env.REPAIR_BATCH || '20', 10);
+const GAP_SCAN_WINDOW = parseInt(process.env.GAP_SCAN_WINDOW || '20000', 10); // heights below the live checkpoint
+
+/**
+ * Look for heights the live indexer passed without leaving a header behind.
+ * Scans (checkpoint - GAP_SCAN_WINDOW, checkpoint) but never below the first
+ * header we ever stored (older heights pre-date header tracking).
+ */
+export async function detectGapsOnce() {
+  const tip = await readCheckpoint('block');
+  if (!tip) return 0;
+  const { rows } = await DB.query(`SELECT MIN(height) AS lo FROM block_headers`);
+  if (rows[0]?.lo == null) return 0;
+  const from = Math.max(Number(rows[0].lo), Number(tip) - GAP_SCAN_WINDOW);
+  const to = Number(tip) - 1; // the checkpoint height itself is re-processed on restart
+  const n = await detectMissingHeaders(from, to);
+  if (n > 0) warn('[repair] gap scan found', n, 'missing heights', { from, to });
+  return n;
+}
+
+/** retry every due height once, oldest first */
+export async function repairOnce() {
+  const due = await dueHeights(REPAIR_BATCH);
+  let fixed = 0;
+  for (const { height: h, attempts } of due) {
+    try {
+      const block = await processHeight(h);
+      // rows + header + resolution land together; no checkpoint moves
+      await commitBlock(block, { checkpointId: null, after: (c) => markResolved(h, { db: c }) });
+      fixed++;
+      info('[repair] height', h, 'resolved', { attempts });
+    } catch (e) {
+      await recordFailure(h, e);
+      warn('[repair] height', h, 'failed again', { attempts: attempts + 1, error: e.message });
+    }
+  }
+  return { due: due.length, fixed };
+}
+
+export function startGapRepair() {
+  (async function loop () {
+    while (true) {
+      try {
+        await detectGapsOnce();
+        await repairOnce();
+      } catch (e) {
+        err('[repair loop]', e.message);
+      }
+      await new Promise(r => setTimeout(r, REPAIR_SEC * 1000));
+    }
+  })().catch(()=>{});
+}
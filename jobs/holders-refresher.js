@@ -2,6 +2,9 @@
 import { DB } from '../lib/db.js';
 import { lcdDenomOwners } from '../lib/lcd.js';
 import { info, warn } from '../lib/log.js';
+import { isCw20Address, cw20AllAccounts, cw20Balance } from '../core/cw20.js';
+import { ensurePoolLpDenom } from '../core/pools.js';
+import { lpDistribution } from '../core/lp-holders.js';
 
 const HOLDERS_REFRESH_SEC = parseInt(process.env.HOLDERS_REFRESH_SEC || '180', 10);
 // how many tokens to sweep per cycle (choose based on LCD headroom)
@@ -10,6 +13,9 @@ const HOLDERS_BATCH_SIZE = parseInt(process.env.HOLDERS_BATCH_SIZE || '4', 10);
 const MAX_HOLDER_PAGES_PER_CYCLE = parseInt(process.env.MAX_HOLDER_PAGES_PER_CYCLE || '30', 10);
 // limit how many LCD page fetches run concurrently across the batch
 const LCD_PAGE_CONCURRENCY = parseInt(process.env.LCD_PAGE_CONCURRENCY || '4', 10);
+// LP tokens: pools swept per cycle, and pools without lp_token_denom resolved per cycle
+const LP_HOLDERS_BATCH_SIZE = parseInt(process.env.LP_HOLDERS_BATCH_SIZE || '2', 10);
+const LP_DENOM_BACKFILL = parseInt(process.env.LP_DENOM_BACKFILL || '10', 10);
 
 function digitsOrNull(x) {
   const s = String(x ?? '');
@@ -51,8 +57,92 @@ async function fetchOwnersPageThrottled(denom, nextKey) {
   }
 }
 
+async function writeHoldersCount(db, token_id) {
+  const { rows: hc } = await db.query(
+    `SELECT COUNT(*)::BIGINT AS c
+     FROM holders
+     WHERE token_id = $1 AND balance_base::NUMERIC > 0`,
+    [token_id]
+  );
+  await db.query(`
+    INSERT INTO token_holders_stats(token_id, holders_count, updated_at)
+    VALUES ($1, $2, now())
+    ON CONFLICT (token_id) DO UPDATE
+      SET holders_count = EXCLUDED.holders_count,
+          updated_at    = now()
+  `, [token_id, hc[0].c]);
+  return hc[0].c;
+}
+
+/**
+ * CW20 sweep: bank denom_owners doesn't know contract balances, so walk
+ * { all_accounts } and read each { balance }. The indexer keeps touched
+ * accounts current between sweeps (core/cw20.js); this pass seeds accounts
+ * that predate indexing (e.g. instantiate initial_balances emit no events).
+ * Unseen rows are only zeroed when the walk reached the end.
+ */
+async function refreshCw20HoldersOnce(token_id, contract, maxPages) {
+  const seen = new Set();
+  let startAfter = null;
+  let complete = false;
+
+  for (let i = 0; i < maxPages; i++) {
+    let accounts;
+    try {
+      await pageSem.acquire();
+      try { accounts = await cw20AllAccounts(contract, startAfter); }
+      finally { pageSem.release(); }
+    } catch (e) {
+      warn('[holders/cw20 accounts]', contract, e.message);
+      break;
+    }
+    if (accounts.length === 0) { complete = true; break; }
+
+    for (const addr of accounts) {
+      let bal;
+      try { bal = await cw20Balance(contract, addr); }
+      catch (e) { warn('[holders/cw20 balance]', contract, addr, e.message); continue; }
+      if (bal == null) continue;
+      seen.add(addr);
+      await DB.query(`
+        INSERT INTO holders(token_id, address, balance_base, updated_at)
+        VALUES ($1,$2,$3, now())
+        ON CONFLICT (token_id, address) DO UPDATE SET
+          balance_base = EXCLUDED.balance_base,
+          updated_at   = now()
+      `, [token_id, addr, bal]);
+      await DB.query(`
+        INSERT INTO wallets(address, last_seen)
+        VALUES ($1, now())
+        ON CONFLICT (address) DO NOTHING
+      `, [addr]);
+    }
+    startAfter = accounts.at(-1);
+  }
+
+  const client = await DB.connect();
+  try {
+    await client.query('BEGIN');
+    if (complete) {
+      await client.query(`
+        UPDATE holders
+        SET balance_base = '0', updated_at = now()
+        WHERE token_id = $1 AND NOT (address = ANY($2::text[]))
+      `, [token_id, Array.from(seen)]);
+    }
+    const c = await writeHoldersCount(client, token_id);
+    await client.query('COMMIT');
+    info('[holders/cw20] updated', contract, 'count=', c, complete ? '' : '(partial sweep)');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    warn('[holders/cw20]', contract, e.message);
+  } finally {
+    client.release();
+  }
+}
+
 /**
- * Fully sweep holders for a single token (skips IBC denoms).
+ * Fully sweep holders for a single token (skips IBC denoms, CW20 → contract queries).
  * - Walk LCD pagination, upsert page items
  * - Build a full set of addresses we saw
  * - After the sweep, zero-out any addresses for this token not in the "seen" set
@@ -66,6 +156,7 @@ export async function refreshHoldersOnce(token_id, denom, maxPages = MAX_HOLDER_
     await bumpStatsTimestampOnly(token_id);
     return;
   }
+  if (isCw20Address(denom)) return refreshCw20HoldersOnce(token_id, denom, maxPages);
 
   const seen = new Set();
   let nextKey = null;
@@ -149,23 +240,10 @@ export async function refreshHoldersOnce(token_id, denom, maxPages = MAX_HOLDER_
       `, [token_id]);
     }
 
-    const { rows: hc } = await client.query(
-      `SELECT COUNT(*)::BIGINT AS c
-       FROM holders
-       WHERE token_id = $1 AND balance_base::NUMERIC > 0`,
-      [token_id]
-    );
-
-    await client.query(`
-      INSERT INTO token_holders_stats(token_id, holders_count, updated_at)
-      VALUES ($1, $2, now())
-      ON CONFLICT (token_id) DO UPDATE
-        SET holders_count = EXCLUDED.holders_count,
-            updated_at    = now()
-    `, [token_id, hc[0].c]);
+    const c = await writeHoldersCount(client, token_id);
 
     await client.query('COMMIT');
-    info('[holders/once] updated', denom, 'count=', hc[0].c);
+    info('[holders/once] updated', denom, 'count=', c);
   } catch (e) {
     await client.query('ROLLBACK');
     warn('[holders/once]', denom, e.message);
@@ -174,10 +252,143 @@ export async function refreshHoldersOnce(token_id, denom, maxPages = MAX_HOLDER_
   }
 }
 
+/* ───────────────────────────── LP holders ───────────────────────────── */
+
+/** all owners of an LP token → { owners: Map(address → balance_base), complete } */
+async function lpOwners(lpDenom, maxPages) {
+  const owners = new Map();
+
+  if (isCw20Address(lpDenom)) {
+    let startAfter = null;
+    for (let i = 0; i < maxPages; i++) {
+      let accounts;
+      await pageSem.acquire();
+      try { accounts = await cw20AllAccounts(lpDenom, startAfter); }
+      finally { pageSem.release(); }
+      if (accounts.length === 0) return { owners, complete: true };
+      for (const addr of accounts) {
+        try {
+          const bal = await cw20Balance(lpDenom, addr);
+          if (bal != null) owners.set(addr, bal);
+        } catch (e) {
+          warn('[lp-holders/cw20 balance]', lpDenom, addr, e.message);
+        }
+      }
+      startAfter = accounts.at(-1);
+    }
+    return { owners, complete: false };
+  }
+
+  let nextKey = null;
+  for (let i = 0; i < maxPages; i++) {
+    const page = await fetchOwnersPageThrottled(lpDenom, nextKey);
+    for (const it of page?.denom_owners || []) {
+      const amt = digitsOrNull(it.balance?.amount);
+      if (amt) owners.set(it.address, amt);
+    }
+    nextKey = page?.pagination?.next_key || null;
+    if (!nextKey) return { owners, complete: true };
+  }
+  return { owners, complete: false };
+}
+
+/**
+ * Sweep one pool's LP token into lp_holders and pool_lp_stats.
+ * pool: { pool_id, pair_contract, lp_token_denom, total_share_base }
+ */
+export async function refreshLpHoldersOnce(pool, maxPages = MAX_HOLDER_PAGES_PER_CYCLE) {
+  const { pool_id, pair_contract, lp_token_denom: lpDenom } = pool;
+  if (!pool_id || !lpDenom) return;
+
+  let sweep;
+  try {
+    sweep = await lpOwners(lpDenom, maxPages);
+  } catch (e) {
+    // keep the rotation moving; retry this pool once it's stalest again
+    warn('[lp-holders/owners]', lpDenom, e.message);
+    await DB.query(`
+      INSERT INTO pool_lp_stats(pool_id, updated_at) VALUES ($1, now())
+      ON CONFLICT (pool_id) DO UPDATE SET updated_at = now()
+    `, [pool_id]);
+    return;
+  }
+
+  const { owners, complete } = sweep;
+  const d = lpDistribution(owners, { pairContract: pair_contract, totalShareBase: pool.total_share_base, complete });
+
+  const client = await DB.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [addr, bal] of owners) {
+      await client.query(`
+        INSERT INTO lp_holders(pool_id, address, balance_base, updated_at)
+        VALUES ($1,$2,$3, now())
+        ON CONFLICT (pool_id, address) DO UPDATE SET
+          balance_base = EXCLUDED.balance_base,
+          updated_at   = now()
+      `, [pool_id, addr, bal]);
+    }
+    if (complete) {
+      await client.query(`
+        UPDATE lp_holders
+        SET balance_base = '0', updated_at = now()
+        WHERE pool_id = $1 AND NOT (address = ANY($2::text[]))
+      `, [pool_id, Array.from(owners.keys())]);
+    }
+    await client.query(`
+      INSERT INTO pool_lp_stats(pool_id, holders_count, total_share_base, top10_pct,
+                                burned_base, locked_base, burned_pct, locked_pct, complete, updated_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9, now())
+      ON CONFLICT (pool_id) DO UPDATE SET
+        holders_count    = EXCLUDED.holders_count,
+        total_share_base = EXCLUDED.total_share_base,
+        top10_pct        = EXCLUDED.top10_pct,
+        burned_base      = EXCLUDED.burned_base,
+        locked_base      = EXCLUDED.locked_base,
+        burned_pct       = EXCLUDED.burned_pct,
+        locked_pct       = EXCLUDED.locked_pct,
+        complete         = EXCLUDED.complete,
+        updated_at       = now()
+    `, [pool_id, d.holders_count, d.total_share_base, d.top10_pct,
+        d.burned_base, d.locked_base, d.burned_pct, d.locked_pct, complete]);
+    await client.query('COMMIT');
+    info('[lp-holders] updated', pair_contract, 'count=', d.holders_count,
+      'burned%=', d.burned_pct, 'locked%=', d.locked_pct, complete ? '' : '(partial sweep)');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    warn('[lp-holders]', pair_contract, e.message);
+  } finally {
+    client.release();
+  }
+}
+
+/** resolve a few missing pools.lp_token_denom, then sweep the K stalest LP tokens */
+async function refreshLpCycle() {
+  const { rows: missing } = await DB.query(`
+    SELECT pair_contract FROM pools
+    WHERE lp_token_denom IS NULL
+    ORDER BY random()
+    LIMIT $1
+  `, [LP_DENOM_BACKFILL]);
+  for (const { pair_contract } of missing) await ensurePoolLpDenom(pair_contract);
+
+  const { rows } = await DB.query(`
+    SELECT p.pool_id, p.pair_contract, p.lp_token_denom, ps.total_share_base
+    FROM pools p
+    LEFT JOIN pool_lp_stats s ON s.pool_id = p.pool_id
+    LEFT JOIN pool_state ps   ON ps.pool_id = p.pool_id
+    WHERE p.lp_token_denom IS NOT NULL AND p.lp_token_denom NOT LIKE 'ibc/%'
+    ORDER BY s.updated_at ASC NULLS FIRST
+    LIMIT $1
+  `, [LP_HOLDERS_BATCH_SIZE]);
+  if (rows.length > 0) await Promise.allSettled(rows.map(p => refreshLpHoldersOnce(p)));
+}
+
 /**
  * Periodic refresher:
  * - pick the K stalest non-IBC, non-uzig tokens this cycle
  * - sweep them in parallel with LCD page concurrency limits
+ * - then the same for the K stalest LP tokens
  */
 export function startHoldersRefresher() {
   (async function loop() {
@@ -207,6 +418,11 @@ export function startHoldersRefresher() {
       } catch (e) {
         warn('[holders]', e.message);
       }
+      try {
+        await refreshLpCycle();
+      } catch (e) {
+        warn('[lp-holders]', e.message);
+      }
       await new Promise(r => setTimeout(r, HOLDERS_REFRESH_SEC * 1000));
     }
   })().catch(() => {});
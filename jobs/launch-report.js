@@ -0,0 +1,185 @@
+// jobs/launch-report.js
+//
+// Buyers of every pool, folded from swaps as they arrive: where in block
+// order (height, tx_index, msg_index) each wallet first bought, what it
+// spent and bought, and what it sold since. GET /tokens/:id/launch reads the
+// first N by that position. Heights are folded under a watermark like the
+// other folding jobs (core/refold.js), so late trades and reorgs rebuild the
+// wallets involved.
+import { DB, tx } from '../lib/db.js';
+import { info, warn, debug } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { lockWatermark, takeRefolds } from '../core/refold.js';
+
+const LAUNCH_REPORT_SEC   = parseInt(process.env.LAUNCH_REPORT_SEC || '15', 10);
+const LAUNCH_FOLD_HEIGHTS = parseInt(process.env.LAUNCH_FOLD_HEIGHTS || '2000', 10);
+
+// index_state row; last_height is the last folded block height (core/refold.js)
+const CURSOR_ID = 'fold:launch_buyers';
+
+const big = (x) => (x == null || !/^\d+$/.test(String(x)) ? 0n : BigInt(String(x)));
+const minuteKey = (ts) => Math.floor(new Date(ts).getTime() / 60_000);
+// a ZIG total stays NULL once one of its legs could not be priced
+const addZig = (a, b) => (a == null || b == null ? null : a + b);
+
+/** ZIG per 1 quote token at `at`: the last tick at or before it */
+async function quotePxZigAt(r, cache) {
+  if (r.quote_denom === 'uzig') return 1;
+  const k = `${r.quote_id}|${minuteKey(r.created_at)}`;
+  if (cache.has(k)) return cache.get(k);
+  const { rows } = await DB.query(`
+    SELECT price_in_zig FROM price_ticks
+     WHERE token_id = $1 AND ts <= $2
+     ORDER BY ts DESC
+     LIMIT 1`, [r.quote_id, r.created_at]);
+  const px = rows[0] ? Number(rows[0].price_in_zig) : null;
+  cache.set(k, px);
+  return px;
+}
+
+const SWAPS_SQL = (where) => `
+  SELECT t.trade_id, t.pool_id, t.signer, t.direction,
+         t.offer_amount_base, t.return_amount_base,
+         t.height, t.tx_index, t.msg_index, t.tx_hash, t.created_at,
+         q.token_id AS quote_id, q.denom AS quote_denom, COALESCE(q.exponent,6) AS quote_exp
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+   WHERE t.action = 'swap' AND t.signer IS NOT NULL
+     AND ${where}
+   ORDER BY t.height, t.tx_index NULLS FIRST, t.msg_index NULLS FIRST, t.trade_id`;
+
+async function loadBuyers(keys, db) {
+  const out = new Map();
+  if (!keys.length) return out;
+  const { rows } = await db.query(`
+    SELECT * FROM launch_buyers
+     WHERE (address, pool_id) IN (SELECT * FROM unnest($1::text[], $2::bigint[]))
+  `, [keys.map(k => k.address), keys.map(k => k.pool_id)]);
+  for (const r of rows) {
+    out.set(`${r.address}|${r.pool_id}`, {
+      ...r,
+      bought_base: big(r.bought_base), sold_base: big(r.sold_base),
+      bought_zig: r.bought_zig != null ? Number(r.bought_zig) : null,
+      sold_zig: r.sold_zig != null ? Number(r.sold_zig) : null,
+    });
+  }
+  return out;
+}
+
+async function writeBuyers(buyers, db) {
+  for (const b of buyers) {
+    await db.query(`
+      INSERT INTO launch_buyers(pool_id, address, first_height, first_tx_index, first_msg_index,
+                                first_trade_id, first_tx_hash, first_buy_at, first_buy_zig,
+                                bought_base, bought_zig, buys, sold_base, sold_zig, sells, first_sold_at, updated_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16, now())
+      ON CONFLICT (pool_id, address) DO UPDATE SET
+        bought_base   = EXCLUDED.bought_base,
+        bought_zig    = EXCLUDED.bought_zig,
+        buys          = EXCLUDED.buys,
+        sold_base     = EXCLUDED.sold_base,
+        sold_zig      = EXCLUDED.sold_zig,
+        sells         = EXCLUDED.sells,
+        first_sold_at = EXCLUDED.first_sold_at,
+        updated_at    = now()
+    `, [b.pool_id, b.address, b.first_height, b.first_tx_index, b.first_msg_index,
+        b.first_trade_id, b.first_tx_hash, b.first_buy_at, b.first_buy_zig,
+        b.bought_base.toString(), b.bought_zig, b.buys, b.sold_base.toString(), b.sold_zig, b.sells,
+        b.first_sold_at]);
+  }
+}
+
+/**
+ * Fold the next LAUNCH_FOLD_HEIGHTS committed heights into launch_buyers,
+ * after rebuilding any wallets queued in wallet_refolds from their full
+ * history. A wallet's row starts at its first buy on the pool; earlier
+ * sells don't count.
+ * → { folded: swaps applied, caughtUp: watermark reached the 'block' checkpoint }
+ */
+export async function foldLaunchBuyersOnce() {
+  return tx(async (client) => {
+    const { height: wm, fresh } = await lockWatermark(CURSOR_ID, client);
+    if (fresh) await client.query(`DELETE FROM launch_buyers`);
+    const live = Number(await readCheckpoint() || 0);
+    const upto = Math.min(live, wm + LAUNCH_FOLD_HEIGHTS);
+
+    const rebuild = await takeRefolds(CURSOR_ID, client);
+    const { rows: redo } = rebuild.length
+      ? await client.query(SWAPS_SQL(`t.signer = ANY($1::text[]) AND t.height <= $2`), [rebuild, wm])
+      : { rows: [] };
+    const { rows: next } = upto > wm
+      ? await client.query(SWAPS_SQL(`t.height > $1 AND t.height <= $2`), [wm, upto])
+      : { rows: [] };
+    const rows = redo.concat(next);
+
+    // rebuilt wallets start over; everyone else continues from the table
+    if (rebuild.length) await client.query(`DELETE FROM launch_buyers WHERE address = ANY($1::text[])`, [rebuild]);
+    const again = new Set(rebuild);
+    const keys = [];
+    const seen = new Set();
+    for (const r of next) {
+      if (again.has(r.signer)) continue;
+      const k = `${r.signer}|${r.pool_id}`;
+      if (!seen.has(k)) { seen.add(k); keys.push({ address: r.signer, pool_id: String(r.pool_id) }); }
+    }
+    const buyers = await loadBuyers(keys, client);
+    const touched = new Set();
+    const pxCache = new Map();
+
+    for (const r of rows) {
+      const k = `${r.signer}|${r.pool_id}`;
+      let b = buyers.get(k);
+      if (!b && r.direction !== 'buy') continue;
+
+      const quoteBase = r.direction === 'buy' ? r.offer_amount_base : r.return_amount_base;
+      const px = await quotePxZigAt(r, pxCache);
+      const zig = px == null ? null : (Number(quoteBase || 0) / Math.pow(10, Number(r.quote_exp))) * px;
+      if (px == null) debug('[launch] unpriced swap', { trade_id: r.trade_id });
+
+      if (r.direction === 'buy') {
+        if (!b) {
+          b = {
+            pool_id: r.pool_id, address: r.signer,
+            first_height: r.height, first_tx_index: r.tx_index, first_msg_index: r.msg_index,
+            first_trade_id: r.trade_id, first_tx_hash: r.tx_hash, first_buy_at: r.created_at, first_buy_zig: zig,
+            bought_base: 0n, bought_zig: 0, buys: 0,
+            sold_base: 0n, sold_zig: 0, sells: 0, first_sold_at: null,
+          };
+          buyers.set(k, b);
+        }
+        b.bought_base += big(r.return_amount_base);
+        b.bought_zig = addZig(b.bought_zig, zig);
+        b.buys++;
+      } else {
+        b.sold_base += big(r.offer_amount_base);
+        b.sold_zig = addZig(b.sold_zig, zig);
+        b.sells++;
+        b.first_sold_at = b.first_sold_at || r.created_at;
+      }
+      touched.add(b);
+    }
+
+    await writeBuyers(touched, client);
+    if (upto > wm) await writeCheckpoint(upto, { id: CURSOR_ID, db: client });
+    if (rebuild.length) debug('[launch] rebuilt wallets', rebuild.length);
+    return { folded: rows.length, caughtUp: upto >= live };
+  });
+}
+
+export function startLaunchReport() {
+  (async function loop () {
+    while (true) {
+      try {
+        let r;
+        do {
+          r = await foldLaunchBuyersOnce();
+          if (r.folded) info('[launch] folded swaps', r.folded);
+        } while (!r.caughtUp);
+      } catch (e) {
+        warn('[launch-report loop]', e.message);
+      }
+      await new Promise(r => setTimeout(r, LAUNCH_REPORT_SEC * 1000));
+    }
+  })().catch(() => {});
+}
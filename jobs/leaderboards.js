@@ -52,20 +52,48 @@ export function startLeaderboards() {
               SELECT
                 signer,
                 COUNT(*) AS trades_count,
-                SUM(offer_zig + return_zig) AS volume_zig,
-                SUM((return_zig - offer_zig)) AS gross_pnl_zig
+                SUM(offer_zig + return_zig) AS volume_zig
               FROM priced
               GROUP BY signer
+            ),
+            -- PnL from the FIFO books (jobs/wallet-pnl.js): realized in the window,
+            -- unrealized = open lots marked to the current price
+            realized AS (
+              SELECT address, SUM(realized_zig) AS zig, SUM(realized_usd) AS usd
+              FROM wallet_pnl_realized
+              WHERE created_at >= now() - INTERVAL '${mins} minutes'
+                AND address IN (SELECT signer FROM agg)
+              GROUP BY address
+            ),
+            unrealized AS (
+              SELECT w.address,
+                     SUM(w.open_base / power(10, COALESCE(tk.exponent,6)) * px.price_in_zig - w.cost_basis_zig) AS zig
+              FROM wallet_pnl w
+              JOIN tokens tk ON tk.token_id = w.token_id
+              JOIN LATERAL (
+                SELECT price_in_zig FROM prices
+                WHERE token_id = w.token_id
+                ORDER BY (path_pool_ids IS NULL) DESC, depth_zig DESC NULLS LAST, updated_at DESC
+                LIMIT 1
+              ) px ON TRUE
+              WHERE w.open_base > 0 AND w.address IN (SELECT signer FROM agg)
+              GROUP BY w.address
             )
-            INSERT INTO leaderboard_traders(bucket, address, trades_count, volume_zig, gross_pnl_zig, updated_at)
-            SELECT '${label}', signer, trades_count, volume_zig, gross_pnl_zig, now()
-            FROM agg
+            INSERT INTO leaderboard_traders(bucket, address, trades_count, volume_zig, gross_pnl_zig,
+                                            realized_pnl_usd, unrealized_pnl_zig, updated_at)
+            SELECT '${label}', a.signer, a.trades_count, a.volume_zig, COALESCE(r.zig, 0),
+                   COALESCE(r.usd, 0), u.zig, now()
+            FROM agg a
+            LEFT JOIN realized r   ON r.address = a.signer
+            LEFT JOIN unrealized u ON u.address = a.signer
             ON CONFLICT (bucket, address)
             DO UPDATE SET
-              trades_count  = EXCLUDED.trades_count,
-              volume_zig    = EXCLUDED.volume_zig,
-              gross_pnl_zig = EXCLUDED.gross_pnl_zig,
-              updated_at    = now();
+              trades_count       = EXCLUDED.trades_count,
+              volume_zig         = EXCLUDED.volume_zig,
+              gross_pnl_zig      = EXCLUDED.gross_pnl_zig,
+              realized_pnl_usd   = EXCLUDED.realized_pnl_usd,
+              unrealized_pnl_zig = EXCLUDED.unrealized_pnl_zig,
+              updated_at         = now();
           `);
 
           await DB.query(`
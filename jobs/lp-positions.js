@@ -0,0 +1,154 @@
+// jobs/lp-positions.js
+import { DB, tx } from '../lib/db.js';
+import { lcdSmart } from '../lib/lcd.js';
+import { info, warn, debug } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { lockWatermark, takeRefolds } from '../core/refold.js';
+import {
+  emptyPosition, applyLiquidity, liquidityLegs, loadPositions, writePositions,
+} from '../core/lp-positions.js';
+
+const LP_POSITIONS_SEC = parseInt(process.env.LP_POSITIONS_SEC || '30', 10);
+const LP_FOLD_HEIGHTS  = parseInt(process.env.LP_FOLD_HEIGHTS || '2000', 10);
+const LP_SHARE_POOLS   = parseInt(process.env.LP_SHARE_POOLS_PER_CYCLE || '50', 10);
+
+// index_state row; last_height is the last folded block height (core/refold.js)
+const CURSOR_ID = 'fold:lp_positions';
+
+const minuteKey = (ts) => Math.floor(new Date(ts).getTime() / 60_000);
+
+/**
+ * ZIG per 1 token at `at`: the last tick at or before it, so a provide or
+ * withdraw is valued at its own time, not today's quote price
+ */
+async function priceInZigAt(tokenId, denom, at, cache) {
+  if (denom === 'uzig') return 1;
+  const k = `${tokenId}|${minuteKey(at)}`;
+  if (cache.has(k)) return cache.get(k);
+  const { rows } = await DB.query(`
+    SELECT price_in_zig FROM price_ticks
+     WHERE token_id = $1 AND ts <= $2
+     ORDER BY ts DESC
+     LIMIT 1`, [tokenId, at]);
+  const px = rows[0] ? Number(rows[0].price_in_zig) : null;
+  cache.set(k, px);
+  return px;
+}
+
+const LIQUIDITY_SQL = (where) => `
+  SELECT t.trade_id, t.pool_id, t.action, t.signer,
+         t.return_amount_base AS share_base,
+         t.reserve_asset1_denom, t.reserve_asset1_amount_base,
+         t.reserve_asset2_denom, t.reserve_asset2_amount_base,
+         t.height, t.created_at,
+         b.denom AS base_denom, q.denom AS quote_denom,
+         q.token_id AS quote_id, COALESCE(q.exponent,6) AS quote_exp
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+   WHERE t.action IN ('provide','withdraw')
+     AND ${where}
+   ORDER BY t.height, t.tx_index NULLS FIRST, t.msg_index NULLS FIRST, t.trade_id`;
+
+/**
+ * Fold the next LP_FOLD_HEIGHTS committed heights into lp_positions, after
+ * rebuilding any wallets queued in wallet_refolds from their full history.
+ * → { folded: rows applied, caughtUp: watermark reached the 'block' checkpoint }
+ */
+export async function foldLpPositionsOnce() {
+  return tx(async (client) => {
+    const { height: wm, fresh } = await lockWatermark(CURSOR_ID, client);
+    if (fresh) await client.query(`DELETE FROM lp_positions`);
+    const live = Number(await readCheckpoint() || 0);
+    const upto = Math.min(live, wm + LP_FOLD_HEIGHTS);
+
+    const rebuild = await takeRefolds(CURSOR_ID, client);
+    const { rows: redo } = rebuild.length
+      ? await client.query(LIQUIDITY_SQL(`t.signer = ANY($1::text[]) AND t.height <= $2`), [rebuild, wm])
+      : { rows: [] };
+    const { rows: next } = upto > wm
+      ? await client.query(LIQUIDITY_SQL(`t.height > $1 AND t.height <= $2`), [wm, upto])
+      : { rows: [] };
+    const rows = redo.concat(next);
+
+    // rebuilt wallets start empty; everyone else continues from the table
+    if (rebuild.length) await client.query(`DELETE FROM lp_positions WHERE address = ANY($1::text[])`, [rebuild]);
+    const again = new Set(rebuild);
+    const keys = [];
+    const seen = new Set();
+    for (const r of next) {
+      if (!r.signer || again.has(r.signer)) continue;
+      const k = `${r.signer}|${r.pool_id}`;
+      if (!seen.has(k)) { seen.add(k); keys.push({ address: r.signer, pool_id: String(r.pool_id) }); }
+    }
+    const positions = await loadPositions(keys, client);
+    const pxCache = new Map();
+
+    for (const r of rows) {
+      if (!r.signer || r.share_base == null) continue;
+      const legs = liquidityLegs(r);
+      if (!legs) { debug('[lp] cannot orient liquidity legs', { trade_id: r.trade_id }); continue; }
+
+      // both legs are worth the same at the pool price, so 2 × quote leg
+      const qPx = await priceInZigAt(r.quote_id, r.quote_denom, r.created_at, pxCache);
+      const valueZig = qPx != null ? 2 * (Number(legs.quote_base) / Math.pow(10, Number(r.quote_exp))) * qPx : 0;
+
+      const k = `${r.signer}|${r.pool_id}`;
+      const pos = positions.get(k) || emptyPosition(r.signer, String(r.pool_id));
+      positions.set(k, applyLiquidity(pos, { ...r, ...legs }, valueZig));
+    }
+
+    await writePositions(Array.from(positions.values()), client);
+    if (upto > wm) await writeCheckpoint(upto, { id: CURSOR_ID, db: client });
+    if (rebuild.length) debug('[lp] rebuilt wallets', rebuild.length);
+    return { folded: rows.length, caughtUp: upto >= live };
+  });
+}
+
+/** LP supply per pool (`{ pool {} }.total_share`) for pools someone holds */
+export async function refreshTotalSharesOnce() {
+  const { rows } = await DB.query(`
+    SELECT p.pool_id, p.pair_contract
+      FROM pools p
+      LEFT JOIN pool_state ps ON ps.pool_id = p.pool_id
+     WHERE EXISTS (SELECT 1 FROM lp_positions lp WHERE lp.pool_id = p.pool_id AND lp.shares_base > 0)
+     ORDER BY ps.share_updated_at NULLS FIRST
+     LIMIT $1
+  `, [LP_SHARE_POOLS]);
+
+  for (const r of rows) {
+    try {
+      const j = await lcdSmart(r.pair_contract, { pool: {} });
+      const total = String(j?.data?.total_share ?? j?.total_share ?? '');
+      if (!/^\d+$/.test(total)) continue;
+      await DB.query(`
+        INSERT INTO pool_state(pool_id, total_share_base, share_updated_at, updated_at)
+        VALUES ($1, $2, now(), now())
+        ON CONFLICT (pool_id) DO UPDATE
+          SET total_share_base = EXCLUDED.total_share_base,
+              share_updated_at = now()
+      `, [r.pool_id, total]);
+    } catch (e) {
+      warn('[lp/total_share]', r.pair_contract, e.message);
+    }
+  }
+}
+
+export function startLpPositions() {
+  (async function loop () {
+    while (true) {
+      try {
+        let r;
+        do {
+          r = await foldLpPositionsOnce();
+          if (r.folded) info('[lp] folded liquidity trades', r.folded);
+        } while (!r.caughtUp);
+        await refreshTotalSharesOnce();
+      } catch (e) {
+        warn('[lp-positions loop]', e.message);
+      }
+      await new Promise(r => setTimeout(r, LP_POSITIONS_SEC * 1000));
+    }
+  })().catch(() => {});
+}
@@ -12,6 +12,7 @@ const sleep = (ms) => new Promise(r => setTimeout(r, ms));
  * - ohlcv_1m.close: price in DISPLAY units.
  * - *_base columns in trades/pool_state are RAW; convert RAW→DISPLAY by /10^exp.
  * - UZIG RAW exponent is always 6.
+ * - Tokens with no UZIG pool fall back to multi-hop prices (path_pool_ids set).
  */
 
 async function rollPoolVolumes(label, mins, onlyPoolId = null) {
@@ -116,7 +117,10 @@ async function rollPoolTVL(label, onlyPoolId = null) {
              JOIN pools py ON py.pool_id=pr3.pool_id
              WHERE pr3.token_id=p.quote_token_id AND py.is_uzig_quote=TRUE
              ORDER BY pr3.updated_at DESC LIMIT 1),
-            NULL
+            (SELECT pr4.price_in_zig FROM prices pr4
+             WHERE pr4.token_id=p.quote_token_id AND pr4.path_pool_ids IS NOT NULL
+               AND NOT (p.pool_id = ANY(pr4.path_pool_ids))
+             ORDER BY pr4.depth_zig DESC NULLS LAST LIMIT 1)
           )
         END AS quote_px_disp_zig
       FROM pools p
@@ -166,11 +170,18 @@ async function rollTokenMatrix(label, onlyTokenId = null) {
     WITH px_from_prices AS (
       SELECT
         t.token_id,
-        (SELECT pr.price_in_zig
-         FROM prices pr
-         JOIN pools p2 ON p2.pool_id=pr.pool_id
-         WHERE pr.token_id=t.token_id AND p2.is_uzig_quote=TRUE
-         ORDER BY pr.updated_at DESC LIMIT 1) AS price_disp_zig_prices
+        COALESCE(
+          (SELECT pr.price_in_zig
+           FROM prices pr
+           JOIN pools p2 ON p2.pool_id=pr.pool_id
+           WHERE pr.token_id=t.token_id AND p2.is_uzig_quote=TRUE
+           ORDER BY pr.updated_at DESC LIMIT 1),
+          /* no UZIG pool: deepest multi-hop route (jobs/price-graph.js) */
+          (SELECT pr.price_in_zig
+           FROM prices pr
+           WHERE pr.token_id=t.token_id AND pr.path_pool_ids IS NOT NULL
+           ORDER BY pr.depth_zig DESC NULLS LAST, pr.updated_at DESC LIMIT 1)
+        ) AS price_disp_zig_prices
       FROM tokens t
       ${onlyTokenId ? 'WHERE t.token_id = $2' : ''}
     ),
@@ -179,11 +190,18 @@ async function rollTokenMatrix(label, onlyTokenId = null) {
     px_from_ohlcv AS (
       SELECT
         t.token_id,
-        (SELECT AVG(o.close)
-         FROM ohlcv_1m o
-         JOIN pools p3 ON p3.pool_id=o.pool_id
-         WHERE p3.base_token_id=t.token_id AND p3.is_uzig_quote=TRUE
-           AND o.bucket_start >= now() - INTERVAL '60 minutes') AS price_disp_zig_ohlcv
+        COALESCE(
+          (SELECT AVG(o.close)
+           FROM ohlcv_1m o
+           JOIN pools p3 ON p3.pool_id=o.pool_id
+           WHERE p3.base_token_id=t.token_id AND p3.is_uzig_quote=TRUE
+             AND o.bucket_start >= now() - INTERVAL '60 minutes'),
+          (SELECT AVG(o.close)
+           FROM ohlcv_1m o
+           JOIN pools p3 ON p3.pool_id=o.pool_id
+           WHERE p3.base_token_id=t.token_id AND p3.is_uzig_quote=FALSE
+             AND o.bucket_start >= now() - INTERVAL '60 minutes')
+        ) AS price_disp_zig_ohlcv
       FROM tokens t
       ${onlyTokenId ? 'WHERE t.token_id = $2' : ''}
     ),
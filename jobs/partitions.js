@@ -5,17 +5,20 @@ import { warn, debug } from '../lib/log.js';
 const PARTITIONS_SEC = parseInt(process.env.PARTITIONS_SEC || '1800', 10); // 30m
 const PARTITION_MONTHS_AHEAD = parseInt(process.env.PARTITION_MONTHS_AHEAD || '3', 10);
 
+// tables partitioned by month on their time column
+export const PARTITIONED_TABLES = ['trades', 'price_ticks', 'ohlcv_1m', 'leaderboard_traders'];
+
 function monthRange(ym) {
   const [y, m] = ym.split('-').map(Number);
   const from = new Date(Date.UTC(y, m - 1, 1, 0, 0, 0));
   const to = new Date(Date.UTC(y, m, 1, 0, 0, 0));
   return { from, to };
 }
-function fmtYYYYMM(d) {
+export function fmtYYYYMM(d) {
   return `${d.getUTCFullYear()}-${String(d.getUTCMonth()+1).padStart(2,'0')}`;
 }
 
-async function ensureMonthlyPartition(parent, ym) {
+export async function ensureMonthlyPartition(parent, ym) {
   const { from, to } = monthRange(ym);
   const child = `${parent}_${ym.replace('-','_')}`;
   const sql = `
@@ -42,12 +45,7 @@ export function startPartitionsMaintainer() {
         for (let k = 0; k <= PARTITION_MONTHS_AHEAD; k++) {
           const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth()+k, 1));
           const ym = fmtYYYYMM(d);
-          await Promise.all([
-            ensureMonthlyPartition('trades', ym),
-            ensureMonthlyPartition('price_ticks', ym),
-            ensureMonthlyPartition('ohlcv_1m', ym),
-            ensureMonthlyPartition('leaderboard_traders', ym),
-          ]);
+          await Promise.all(PARTITIONED_TABLES.map(t => ensureMonthlyPartition(t, ym)));
         }
         debug('[partitions] ensured');
       } catch (e) { warn('[partitions]', e.message); }
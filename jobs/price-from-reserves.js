@@ -1,6 +1,7 @@
 // jobs/price-from-reserves.js
 import { DB } from '../lib/db.js';
 import { fetchPoolReserves, priceFromReserves_UZIGQuote, upsertPrice } from '../core/prices.js';
+import { attachCurves } from '../core/amm/index.js';
 import { warn, debug } from '../lib/log.js';
 
 const PRICE_SIM_SEC = parseInt(process.env.PRICE_SIM_SEC || '8', 10);
@@ -27,6 +28,7 @@ export function startPriceFromReserves() {
           SELECT
             p.pool_id,
             p.pair_contract,
+            p.pair_type,
             b.token_id  AS base_token_id,
             b.denom     AS base_denom,
             b.exponent  AS base_exp
@@ -45,9 +47,11 @@ export function startPriceFromReserves() {
             }
 
             const reserves = await fetchPoolReserves(r.pair_contract);
+            const [curvePool] = await attachCurves([{ pairType: r.pair_type, pairContract: r.pair_contract }]);
             const price = priceFromReserves_UZIGQuote(
               { base_denom: r.base_denom, base_exp: Number(r.base_exp) },
-              reserves
+              reserves,
+              curvePool
             );
             if (price != null && Number.isFinite(price) && price > 0) {
               await upsertPrice(r.base_token_id, r.pool_id, price, true);
@@ -0,0 +1,44 @@
+// jobs/price-graph.js
+import { info, warn, debug } from '../lib/log.js';
+import {
+  loadPoolEdges, uzigTokenId, routeZigPrices, poolRoutedPrices, upsertRoutedPrice
+} from '../core/price-graph.js';
+
+const PRICE_GRAPH_SEC = parseInt(process.env.PRICE_GRAPH_SEC || '15', 10);
+
+/**
+ * Re-price every non-uzig-quoted pool from the current reserves graph.
+ * UZIG-quoted pools keep their direct prices (price-from-reserves / indexer);
+ * this only fills in tokens that otherwise have no price_in_zig.
+ */
+export async function priceGraphOnce() {
+  const uzig = await uzigTokenId();
+  if (uzig == null) return 0;
+  const edges = await loadPoolEdges();
+  const routes = routeZigPrices(edges, uzig);
+  const rows = poolRoutedPrices(edges, routes, uzig);
+
+  for (const r of rows) {
+    try {
+      await upsertRoutedPrice(r);
+    } catch (e) {
+      warn('[price-graph] upsert', { token_id: r.token_id, pool_id: r.pool_id }, e.message);
+    }
+  }
+  debug('[price-graph] routed', rows.length, 'pool prices over', edges.length, 'pools,', routes.size - 1, 'tokens reachable');
+  return rows.length;
+}
+
+export function startPriceGraph() {
+  info(`[price-graph] starting loop (every ${PRICE_GRAPH_SEC}s)`);
+  (async function loop () {
+    while (true) {
+      try {
+        await priceGraphOnce();
+      } catch (e) {
+        warn('[price-graph loop]', e.message);
+      }
+      await new Promise(r => setTimeout(r, PRICE_GRAPH_SEC * 1000));
+    }
+  })().catch(()=>{});
+}
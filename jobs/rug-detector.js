@@ -0,0 +1,146 @@
+// jobs/rug-detector.js
+//
+// Watches withdraw_liquidity trades for rug pulls:
+//   large_withdraw   one signer removed ≥ RUG_WITHDRAW_PCT of the pool's
+//                    liquidity within RUG_WINDOW_MIN
+//   creator_withdraw the pool creator (pools.signer) withdrew at all
+// Incidents land in rug_incidents (one per withdraw trade) and mark the
+// base token's token_security.rug_suspect. Heights are scanned under a
+// watermark like the folding jobs (core/refold.js): withdraws committed late
+// are rescanned per signer, and a reorg drops the incidents above the fork.
+import { DB, tx } from '../lib/db.js';
+import { info, warn } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { lockWatermark, takeRefolds } from '../core/refold.js';
+
+const RUG_DETECTOR_SEC = parseInt(process.env.RUG_DETECTOR_SEC || '30', 10);
+const RUG_WINDOW_MIN   = parseInt(process.env.RUG_WINDOW_MIN || '60', 10);
+const RUG_WITHDRAW_PCT = Number(process.env.RUG_WITHDRAW_PCT || '50');
+const RUG_SCAN_HEIGHTS = parseInt(process.env.RUG_SCAN_HEIGHTS || '2000', 10);
+
+// index_state row; last_height is the last scanned block height (core/refold.js)
+const CURSOR_ID = 'fold:rug_detector';
+
+// quote leg of a liquidity trade (reserve_asset* hold the deposited/refunded assets)
+const QUOTE_LEG = `CASE WHEN t.reserve_asset1_denom = q.denom THEN t.reserve_asset1_amount_base
+                        WHEN t.reserve_asset2_denom = q.denom THEN t.reserve_asset2_amount_base END`;
+
+/**
+ * Share (0–100) of the pool's liquidity `signer` removed in the window ending
+ * at `at`. Liquidity before the window = now + everything withdrawn since the
+ * window opened − everything provided since. LP shares when the pair's
+ * total_share is known, else the quote side of the reserves.
+ */
+async function windowRemovedPct(poolId, signer, at, db = DB) {
+  const { rows } = await db.query(`
+    SELECT
+      COALESCE(SUM(t.return_amount_base) FILTER (WHERE t.action='withdraw' AND t.signer=$2 AND t.created_at <= $3), 0) AS signer_shares,
+      COALESCE(SUM(t.return_amount_base) FILTER (WHERE t.action='withdraw'), 0) AS out_shares,
+      COALESCE(SUM(t.return_amount_base) FILTER (WHERE t.action='provide'),  0) AS in_shares,
+      COALESCE(SUM(${QUOTE_LEG}) FILTER (WHERE t.action='withdraw' AND t.signer=$2 AND t.created_at <= $3), 0) AS signer_quote,
+      COALESCE(SUM(${QUOTE_LEG}) FILTER (WHERE t.action='withdraw'), 0) AS out_quote,
+      COALESCE(SUM(${QUOTE_LEG}) FILTER (WHERE t.action='provide'),  0) AS in_quote,
+      MAX(ps.total_share_base) AS total_share,
+      MAX(ps.reserve_quote_base) AS reserve_quote
+    FROM pools p
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    LEFT JOIN pool_state ps ON ps.pool_id = p.pool_id
+    LEFT JOIN trades t ON t.pool_id = p.pool_id
+      AND t.action IN ('provide','withdraw')
+      AND t.created_at >= $3::timestamptz - ($4 || ' minutes')::interval
+    WHERE p.pool_id = $1
+  `, [poolId, signer, at, RUG_WINDOW_MIN]);
+  const r = rows[0];
+  if (!r) return null;
+
+  const pct = (part, now, out, inn) => {
+    const before = Number(now) + Number(out) - Number(inn);
+    return before > 0 ? Math.min(100, (Number(part) / before) * 100) : null;
+  };
+  if (r.total_share != null) return pct(r.signer_shares, r.total_share, r.out_shares, r.in_shares);
+  if (r.reserve_quote != null) return pct(r.signer_quote, r.reserve_quote, r.out_quote, r.in_quote);
+  return null;
+}
+
+const WITHDRAWS_SQL = (where) => `
+  SELECT t.trade_id, t.pool_id, t.signer, t.tx_hash, t.height, t.created_at,
+         t.return_amount_base AS share_base, ${QUOTE_LEG} AS quote_base,
+         p.signer AS creator, p.base_token_id
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+   WHERE t.action = 'withdraw'
+     AND ${where}
+   ORDER BY t.height, t.tx_index NULLS FIRST, t.msg_index NULLS FIRST, t.trade_id`;
+
+/**
+ * Inspect withdraws in the next RUG_SCAN_HEIGHTS committed heights, plus the
+ * earlier withdraws of signers queued in wallet_refolds (already-recorded
+ * trades are skipped by rug_incidents.trade_id).
+ * → { scanned: withdraws inspected, caughtUp: watermark reached the 'block' checkpoint }
+ */
+export async function detectRugsOnce() {
+  const found = await tx(async (client) => {
+    const { height: wm } = await lockWatermark(CURSOR_ID, client);
+    const live = Number(await readCheckpoint() || 0);
+    const upto = Math.min(live, wm + RUG_SCAN_HEIGHTS);
+
+    const rescan = await takeRefolds(CURSOR_ID, client);
+    const { rows: redo } = rescan.length
+      ? await client.query(WITHDRAWS_SQL(`t.signer = ANY($1::text[]) AND t.height <= $2`), [rescan, wm])
+      : { rows: [] };
+    const { rows: next } = upto > wm
+      ? await client.query(WITHDRAWS_SQL(`t.height > $1 AND t.height <= $2`), [wm, upto])
+      : { rows: [] };
+    const rows = redo.concat(next);
+
+    const incidents = [];
+    for (const r of rows) {
+      if (!r.signer) continue;
+      const removedPct = await windowRemovedPct(r.pool_id, r.signer, r.created_at, client);
+      const reasons = [];
+      if (removedPct != null && removedPct >= RUG_WITHDRAW_PCT) reasons.push('large_withdraw');
+      if (r.creator && r.signer === r.creator) reasons.push('creator_withdraw');
+      if (!reasons.length) continue;
+
+      const { rowCount } = await client.query(`
+        INSERT INTO rug_incidents(trade_id, pool_id, token_id, signer, is_creator, reasons,
+                                  removed_pct, window_min, share_base, quote_base, tx_hash, height, created_at)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+        ON CONFLICT (trade_id) DO NOTHING
+      `, [r.trade_id, r.pool_id, r.base_token_id, r.signer, reasons.includes('creator_withdraw'), reasons,
+          removedPct, RUG_WINDOW_MIN, r.share_base, r.quote_base, r.tx_hash, r.height, r.created_at]);
+      if (rowCount) incidents.push({ ...r, reasons, removedPct });
+    }
+
+    if (upto > wm) await writeCheckpoint(upto, { id: CURSOR_ID, db: client });
+    return { incidents, scanned: rows.length, caughtUp: upto >= live };
+  });
+
+  for (const r of found.incidents) {
+    // the security scanner re-derives this; set it now so readers don't wait a cycle
+    await DB.query(`
+      UPDATE token_security
+         SET rug_suspect = TRUE,
+             risk_flags = COALESCE(risk_flags, '{}'::jsonb) || '{"rug_suspect": true}'::jsonb
+       WHERE token_id = $1
+    `, [r.base_token_id]).catch(e => warn('[rug/security]', e.message));
+
+    info('[rug] incident', { pool_id: r.pool_id, signer: r.signer, reasons: r.reasons, removedPct: r.removedPct });
+  }
+  return { scanned: found.scanned, caughtUp: found.caughtUp };
+}
+
+export function startRugDetector() {
+  (async function loop () {
+    while (true) {
+      try {
+        let r;
+        do { r = await detectRugsOnce(); } while (!r.caughtUp);
+      } catch (e) {
+        warn('[rug-detector loop]', e.message);
+      }
+      await new Promise(r => setTimeout(r, RUG_DETECTOR_SEC * 1000));
+    }
+  })().catch(() => {});
+}
@@ -2,8 +2,14 @@
 import { DB } from '../lib/db.js';
 import { info, warn } from '../lib/log.js';
 import { fetch } from 'undici';
+import { lpDistribution } from '../core/lp-holders.js';
 
 const SECURITY_SCAN_SEC = parseInt(process.env.SECURITY_SCAN_SEC || '180', 10);
+// a rug_incidents row this recent keeps token_security.rug_suspect set
+const RUG_SUSPECT_DAYS = parseInt(process.env.RUG_SUSPECT_DAYS || '30', 10);
+// sell-ability looks at this many days of swaps; below MIN_BUYERS it's too early to judge
+const HONEYPOT_WINDOW_DAYS = parseInt(process.env.HONEYPOT_WINDOW_DAYS || '30', 10);
+const HONEYPOT_MIN_BUYERS = parseInt(process.env.HONEYPOT_MIN_BUYERS || '10', 10);
 const ZIGSCAN_BASE = process.env.ZIGSCAN_BASE || 'https://zigchain-mainnet-api.wickhub.cc/';
 
 async function ensureSchema() {
@@ -25,6 +31,18 @@ async function ensureSchema() {
       checked_at             TIMESTAMPTZ NOT NULL DEFAULT now()
     );
     CREATE INDEX IF NOT EXISTS idx_token_security_checked ON token_security(checked_at DESC);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS lp_burned_pct   NUMERIC(9,4);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS lp_locked_pct   NUMERIC(9,4);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS lp_unlocked_pct NUMERIC(9,4);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS lp_pools        JSONB;
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS rug_suspect     BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS sellability_score  NUMERIC(5,2);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS distinct_buyers    INT;
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS distinct_sellers   INT;
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS seller_buyer_ratio NUMERIC(12,6);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS failed_swap_pct    NUMERIC(7,4);
+    ALTER TABLE token_security ADD COLUMN IF NOT EXISTS sells_creator_only BOOLEAN;
+    CREATE INDEX IF NOT EXISTS idx_token_security_sellability ON token_security(sellability_score);
   `);
 }
 
@@ -75,12 +93,123 @@ async function firstSeenAtFromHolders(tokenId) {
   return rows[0]?.first_seen || null;
 }
 
-function deriveRiskFlags({ isMintable, canChangeCap, creatorPct, top10Pct }) {
+/**
+ * Burned / locked share of LP supply for each of the token's pools (from the
+ * lp_holders sweep), then TVL-weighted across pools. Pools never swept are
+ * left out; all-null when none were.
+ */
+async function lpSafety(tokenId) {
+  const { rows: pools } = await DB.query(`
+    SELECT p.pool_id, p.pair_contract,
+           COALESCE(pm.tvl_zig, 0) AS tvl_zig,
+           COALESCE(ps.total_share_base, ls.total_share_base) AS total_share_base,
+           ls.complete, ls.updated_at
+    FROM pools p
+    JOIN pool_lp_stats ls ON ls.pool_id = p.pool_id AND ls.holders_count IS NOT NULL
+    LEFT JOIN pool_state ps ON ps.pool_id = p.pool_id
+    LEFT JOIN pool_matrix pm ON pm.pool_id = p.pool_id AND pm.bucket = '24h'
+    WHERE p.base_token_id = $1
+  `, [tokenId]);
+
+  const out = [];
+  for (const p of pools) {
+    const { rows } = await DB.query(`
+      SELECT address, balance_base FROM lp_holders WHERE pool_id=$1 AND balance_base > 0
+    `, [p.pool_id]);
+    const d = lpDistribution(new Map(rows.map(r => [r.address, String(r.balance_base)])), {
+      pairContract: p.pair_contract, totalShareBase: p.total_share_base, complete: p.complete === true
+    });
+    if (d.burned_pct == null) continue;
+    out.push({
+      pairContract: p.pair_contract,
+      tvlZig: Number(p.tvl_zig),
+      holders: d.holders_count,
+      burnedPct: d.burned_pct,
+      lockedPct: d.locked_pct,
+      unlockedPct: Math.max(0, 100 - d.burned_pct - d.locked_pct),
+      sweptAt: p.updated_at
+    });
+  }
+  if (!out.length) return { burnedPct: null, lockedPct: null, unlockedPct: null, pools: [] };
+
+  // weight by TVL; equal weights when no pool has TVL yet
+  const totalTvl = out.reduce((a, p) => a + p.tvlZig, 0);
+  const w = (p) => (totalTvl > 0 ? p.tvlZig / totalTvl : 1 / out.length);
+  const avg = (k) => out.reduce((a, p) => a + p[k] * w(p), 0);
+  return { burnedPct: avg('burnedPct'), lockedPct: avg('lockedPct'), unlockedPct: avg('unlockedPct'), pools: out };
+}
+
+async function recentRugIncidents(tokenId) {
+  const { rows } = await DB.query(`
+    SELECT count(*)::int AS c FROM rug_incidents
+    WHERE token_id=$1 AND created_at >= now() - ($2 || ' days')::interval
+  `, [tokenId, RUG_SUSPECT_DAYS]);
+  return rows[0]?.c || 0;
+}
+
+/**
+ * Sell-ability of a token from its pools' swaps in the last HONEYPOT_WINDOW_DAYS:
+ *   seller/buyer ratio  distinct signers on each side
+ *   failed share        reverted swaps (failed_swaps) over all attempts
+ *   creator-only sells  nobody but the token or pool creators has sold
+ * score 0–100 = min(1, ratio / 0.3) × (1 − failed sell share), capped at 5
+ * when sells are creator-only; null until anyone has bought.
+ */
+async function sellability(tokenId, creatorAddr) {
+  const { rows: [t] } = await DB.query(`
+    WITH tp AS (SELECT pool_id, signer FROM pools WHERE base_token_id = $1),
+    tr AS (
+      SELECT t.signer, t.direction FROM trades t
+      WHERE t.pool_id IN (SELECT pool_id FROM tp)
+        AND t.action = 'swap' AND t.signer IS NOT NULL
+        AND t.created_at >= now() - ($2 || ' days')::interval
+    )
+    SELECT
+      COUNT(DISTINCT signer) FILTER (WHERE direction = 'buy')::int  AS buyers,
+      COUNT(DISTINCT signer) FILTER (WHERE direction = 'sell')::int AS sellers,
+      COUNT(DISTINCT signer) FILTER (
+        WHERE direction = 'sell'
+          AND signer IS DISTINCT FROM $3
+          AND NOT EXISTS (SELECT 1 FROM tp WHERE tp.signer = tr.signer)
+      )::int AS outside_sellers,
+      COUNT(*)::int AS swaps,
+      COUNT(*) FILTER (WHERE direction = 'sell')::int AS sells
+    FROM tr
+  `, [tokenId, HONEYPOT_WINDOW_DAYS, creatorAddr]);
+  const { rows: [f] } = await DB.query(`
+    SELECT COUNT(*)::int AS failed,
+           COUNT(*) FILTER (WHERE direction = 'sell')::int AS failed_sells
+    FROM failed_swaps
+    WHERE pool_id IN (SELECT pool_id FROM pools WHERE base_token_id = $1)
+      AND created_at >= now() - ($2 || ' days')::interval
+  `, [tokenId, HONEYPOT_WINDOW_DAYS]);
+
+  const buyers = t.buyers, sellers = t.sellers;
+  const attempts = t.swaps + f.failed;
+  const failedPct = attempts > 0 ? (f.failed / attempts) * 100 : 0;
+  const sellAttempts = t.sells + f.failed_sells;
+  const failedSellShare = sellAttempts > 0 ? f.failed_sells / sellAttempts : 0;
+  const ratio = buyers > 0 ? sellers / buyers : null;
+  const creatorOnly = buyers >= HONEYPOT_MIN_BUYERS && t.outside_sellers === 0;
+
+  let score = null;
+  if (ratio != null) {
+    score = 100 * Math.min(1, ratio / 0.3) * (1 - failedSellShare);
+    if (creatorOnly) score = Math.min(score, 5);
+  }
+  return { score, buyers, sellers, ratio, failedPct, creatorOnly };
+}
+
+function deriveRiskFlags({ isMintable, canChangeCap, creatorPct, top10Pct, lpUnlockedPct, rugSuspect, sell }) {
   return {
     creator_gt_50: creatorPct >= 50,
     top10_gt_50: top10Pct >= 50,
     can_mint_more: !!isMintable,
-    can_change_mint_cap: !!canChangeCap
+    can_change_mint_cap: !!canChangeCap,
+    lp_unlocked_gt_50: lpUnlockedPct != null && lpUnlockedPct > 50,
+    rug_suspect: !!rugSuspect,
+    sells_creator_only: !!sell?.creatorOnly,
+    honeypot_suspect: !!sell && sell.buyers >= HONEYPOT_MIN_BUYERS && (sell.creatorOnly || sell.score < 20)
   };
 }
 
@@ -108,7 +237,12 @@ export async function scanTokenOnce(tokenId, denom) {
 
     const { top10Pct, holdersCount } = await top10ShareOfMax(tokenId, denom, maxSupplyBase);
     const firstSeenAt = await firstSeenAtFromHolders(tokenId);
-    const riskFlags = deriveRiskFlags({ isMintable, canChangeCap, creatorPct, top10Pct });
+    const lp = await lpSafety(tokenId);
+    const rugSuspect = (await recentRugIncidents(tokenId)) > 0;
+    const sell = await sellability(tokenId, creatorAddr);
+    const riskFlags = deriveRiskFlags({
+      isMintable, canChangeCap, creatorPct, top10Pct, lpUnlockedPct: lp.unlockedPct, rugSuspect, sell
+    });
 
     await DB.query(`
       INSERT INTO token_security (
@@ -116,9 +250,13 @@ export async function scanTokenOnce(tokenId, denom) {
         max_supply_base, total_supply_base,
         creator_address, creator_balance_base,
         creator_pct_of_max, top10_pct_of_max,
-        holders_count, first_seen_at, risk_flags, checked_at
+        holders_count, first_seen_at, risk_flags,
+        lp_burned_pct, lp_locked_pct, lp_unlocked_pct, lp_pools, rug_suspect,
+        sellability_score, distinct_buyers, distinct_sellers, seller_buyer_ratio,
+        failed_swap_pct, sells_creator_only, checked_at
       ) VALUES (
-        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13, now()
+        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,
+        $19,$20,$21,$22,$23,$24, now()
       )
       ON CONFLICT (token_id) DO UPDATE SET
         is_mintable            = EXCLUDED.is_mintable,
@@ -132,11 +270,24 @@ export async function scanTokenOnce(tokenId, denom) {
         holders_count          = EXCLUDED.holders_count,
         first_seen_at          = COALESCE(token_security.first_seen_at, EXCLUDED.first_seen_at),
         risk_flags             = EXCLUDED.risk_flags,
+        lp_burned_pct          = EXCLUDED.lp_burned_pct,
+        lp_locked_pct          = EXCLUDED.lp_locked_pct,
+        lp_unlocked_pct        = EXCLUDED.lp_unlocked_pct,
+        lp_pools               = EXCLUDED.lp_pools,
+        rug_suspect            = EXCLUDED.rug_suspect,
+        sellability_score      = EXCLUDED.sellability_score,
+        distinct_buyers        = EXCLUDED.distinct_buyers,
+        distinct_sellers       = EXCLUDED.distinct_sellers,
+        seller_buyer_ratio     = EXCLUDED.seller_buyer_ratio,
+        failed_swap_pct        = EXCLUDED.failed_swap_pct,
+        sells_creator_only     = EXCLUDED.sells_creator_only,
         checked_at             = now()
     `, [
       tokenId, denom, isMintable, canChangeCap,
       maxSupplyBase, totalSupplyBase, creatorAddr, creatorBalBase,
-      creatorPct, top10Pct, holdersCount, firstSeenAt, riskFlags
+      creatorPct, top10Pct, holdersCount, firstSeenAt, riskFlags,
+      lp.burnedPct, lp.lockedPct, lp.unlockedPct, JSON.stringify(lp.pools), rugSuspect,
+      sell.score, sell.buyers, sell.sellers, sell.ratio, sell.failedPct, sell.creatorOnly
     ]);
 
     info('[security/once]', denom, {
@@ -144,7 +295,10 @@ export async function scanTokenOnce(tokenId, denom) {
       changeCap: canChangeCap,
       creatorPct: Number(creatorPct.toFixed(4)),
       top10Pct: Number(top10Pct.toFixed(4)),
-      holders: holdersCount
+      holders: holdersCount,
+      lpUnlockedPct: lp.unlockedPct != null ? Number(lp.unlockedPct.toFixed(2)) : null,
+      rugSuspect,
+      sellability: sell.score != null ? Number(sell.score.toFixed(2)) : null
     });
   } catch (e) {
     warn('[security/once]', denom, e.message);
@@ -0,0 +1,139 @@
+// jobs/wallet-labels.js
+//
+// Behavioral wallet labels over the last WALLET_LABELS_DAYS of swaps:
+//   sniper  bought within SNIPER_BLOCKS of a pair's creation, in ≥ SNIPER_MIN_POOLS pools
+//   bot     ≥ BOT_MIN_ROUND_TRIPS buy↔sell flips on one pool inside BOT_ROUND_TRIP_SEC
+//   mev     sandwiched other swaps (mev_sandwiches) in ≥ MEV_MIN_BLOCKS blocks
+//   whale   median swap ≥ WHALE_MEDIAN_ZIG over ≥ WHALE_MIN_TRADES swaps
+// Each run rewrites the 'auto' labels; rows with another source are left alone.
+import { DB, tx } from '../lib/db.js';
+import { info, warn } from '../lib/log.js';
+
+const WALLET_LABELS_SEC   = parseInt(process.env.WALLET_LABELS_SEC || '600', 10);
+const WALLET_LABELS_DAYS  = parseInt(process.env.WALLET_LABELS_DAYS || '30', 10);
+const SNIPER_BLOCKS       = parseInt(process.env.SNIPER_BLOCKS || '5', 10);
+const SNIPER_MIN_POOLS    = parseInt(process.env.SNIPER_MIN_POOLS || '2', 10);
+const BOT_ROUND_TRIP_SEC  = parseInt(process.env.BOT_ROUND_TRIP_SEC || '60', 10);
+const BOT_MIN_ROUND_TRIPS = parseInt(process.env.BOT_MIN_ROUND_TRIPS || '5', 10);
+const MEV_MIN_BLOCKS      = parseInt(process.env.MEV_MIN_BLOCKS || '2', 10);
+const WHALE_MEDIAN_ZIG    = Number(process.env.WHALE_MEDIAN_ZIG || '10000');
+const WHALE_MIN_TRADES    = parseInt(process.env.WHALE_MIN_TRADES || '3', 10);
+
+export const WALLET_LABELS = ['sniper', 'bot', 'mev', 'whale'];
+
+// swap value in ZIG from the quote leg (same rule as leaderboards)
+const VALUE_ZIG = `
+  (CASE WHEN t.direction='buy' THEN t.offer_amount_base ELSE t.return_amount_base END)
+    / power(10, COALESCE(q.exponent,6))
+    * CASE WHEN p.is_uzig_quote THEN 1 ELSE COALESCE(qp.price_in_zig, 0) END`;
+
+const DETECTORS = {
+  sniper: `
+    SELECT t.signer AS address,
+           COUNT(DISTINCT t.pool_id)::int AS score,
+           jsonb_build_object('pools', COUNT(DISTINCT t.pool_id),
+                              'min_blocks_after_create', MIN(t.height - p.created_height)) AS evidence
+    FROM trades t
+    JOIN pools p ON p.pool_id = t.pool_id
+    WHERE t.action='swap' AND t.direction='buy' AND t.signer IS NOT NULL
+      AND t.created_at >= now() - ($1 || ' days')::interval
+      AND p.created_height IS NOT NULL
+      AND t.height - p.created_height BETWEEN 0 AND ${SNIPER_BLOCKS}
+      AND t.signer IS DISTINCT FROM p.signer
+    GROUP BY t.signer
+    HAVING COUNT(DISTINCT t.pool_id) >= ${SNIPER_MIN_POOLS}`,
+
+  bot: `
+    WITH seq AS (
+      SELECT t.signer, t.pool_id, t.direction, t.created_at,
+             lag(t.direction)  OVER w AS prev_dir,
+             lag(t.created_at) OVER w AS prev_at
+      FROM trades t
+      WHERE t.action='swap' AND t.signer IS NOT NULL
+        AND t.created_at >= now() - ($1 || ' days')::interval
+      WINDOW w AS (PARTITION BY t.signer, t.pool_id ORDER BY t.created_at, t.trade_id)
+    )
+    SELECT signer AS address,
+           COUNT(*)::int AS score,
+           jsonb_build_object('round_trips', COUNT(*), 'pools', COUNT(DISTINCT pool_id),
+                              'median_gap_sec', percentile_cont(0.5) WITHIN GROUP (
+                                ORDER BY EXTRACT(EPOCH FROM created_at - prev_at))) AS evidence
+    FROM seq
+    WHERE prev_dir IS NOT NULL AND prev_dir <> direction
+      AND created_at - prev_at <= make_interval(secs => ${BOT_ROUND_TRIP_SEC})
+    GROUP BY signer
+    HAVING COUNT(*) >= ${BOT_MIN_ROUND_TRIPS}`,
+
+  // front/back around a victim in block order (tx_index, msg_index), found
+  // as each block is indexed (core/sandwich.js)
+  mev: `
+    SELECT s.attacker AS address,
+           COUNT(DISTINCT s.height)::int AS score,
+           jsonb_build_object('blocks', COUNT(DISTINCT s.height), 'victims', COUNT(*),
+                              'pools', COUNT(DISTINCT s.pool_id),
+                              'extracted_zig', COALESCE(SUM(s.extracted_zig), 0)) AS evidence
+    FROM mev_sandwiches s
+    WHERE s.created_at >= now() - ($1 || ' days')::interval
+    GROUP BY s.attacker
+    HAVING COUNT(DISTINCT s.height) >= ${MEV_MIN_BLOCKS}`,
+
+  whale: `
+    SELECT t.signer AS address,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY ${VALUE_ZIG}) AS score,
+           jsonb_build_object('trades', COUNT(*),
+                              'median_zig', percentile_cont(0.5) WITHIN GROUP (ORDER BY ${VALUE_ZIG})) AS evidence
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+    LEFT JOIN LATERAL (
+      SELECT price_in_zig FROM prices WHERE token_id = p.quote_token_id ORDER BY updated_at DESC LIMIT 1
+    ) qp ON NOT p.is_uzig_quote
+    WHERE t.action='swap' AND t.signer IS NOT NULL
+      AND t.created_at >= now() - ($1 || ' days')::interval
+    GROUP BY t.signer
+    HAVING COUNT(*) >= ${WHALE_MIN_TRADES}
+       AND percentile_cont(0.5) WITHIN GROUP (ORDER BY ${VALUE_ZIG}) >= ${WHALE_MEDIAN_ZIG}`,
+};
+
+/** recompute one label; returns the number of wallets carrying it */
+async function refreshLabel(label, sql) {
+  const { rows } = await DB.query(sql, [WALLET_LABELS_DAYS]);
+  await tx(async (client) => {
+    await client.query(`DELETE FROM wallet_labels WHERE label=$1 AND source='auto' AND NOT (address = ANY($2::text[]))`,
+      [label, rows.map(r => r.address)]);
+    for (const r of rows) {
+      await client.query(`
+        INSERT INTO wallet_labels(address, label, score, evidence, source, first_seen_at, updated_at)
+        VALUES ($1,$2,$3,$4,'auto', now(), now())
+        ON CONFLICT (address, label) DO UPDATE SET
+          score      = EXCLUDED.score,
+          evidence   = EXCLUDED.evidence,
+          updated_at = now()
+        WHERE wallet_labels.source = 'auto'
+      `, [r.address, label, r.score, r.evidence]);
+    }
+  });
+  return rows.length;
+}
+
+export async function refreshWalletLabelsOnce() {
+  const counts = {};
+  for (const label of WALLET_LABELS) {
+    try {
+      counts[label] = await refreshLabel(label, DETECTORS[label]);
+    } catch (e) {
+      warn('[wallet-labels]', label, e.message);
+    }
+  }
+  info('[wallet-labels] updated', counts);
+  return counts;
+}
+
+export function startWalletLabels() {
+  (async function loop () {
+    while (true) {
+      await refreshWalletLabelsOnce().catch(e => warn('[wallet-labels loop]', e.message));
+      await new Promise(r => setTimeout(r, WALLET_LABELS_SEC * 1000));
+    }
+  })().catch(() => {});
+}
@@ -0,0 +1,158 @@
+// jobs/wallet-pnl.js
+import { DB, tx } from '../lib/db.js';
+import { info, warn, debug } from '../lib/log.js';
+import { readCheckpoint, writeCheckpoint } from '../core/checkpoint.js';
+import { lockWatermark, takeRefolds } from '../core/refold.js';
+import { emptyBook, swapLegs, applyLeg, loadBooks, writeBooks } from '../core/pnl.js';
+
+const WALLET_PNL_SEC   = parseInt(process.env.WALLET_PNL_SEC || '30', 10);
+const PNL_FOLD_HEIGHTS = parseInt(process.env.PNL_FOLD_HEIGHTS || '2000', 10);
+
+// index_state row; last_height is the last folded block height (core/refold.js)
+const CURSOR_ID = 'fold:wallet_pnl';
+
+const minuteKey = (ts) => Math.floor(new Date(ts).getTime() / 60_000);
+
+/** ZIG per 1 token at `at`: last tick at or before it, else the current best price */
+async function priceInZigAt(tokenId, denom, at, cache) {
+  if (denom === 'uzig') return 1;
+  const k = `${tokenId}|${minuteKey(at)}`;
+  if (cache.has(k)) return cache.get(k);
+  const { rows } = await DB.query(`
+    SELECT price_in_zig FROM (
+      (SELECT price_in_zig, 0 AS pref FROM price_ticks
+        WHERE token_id = $1 AND ts <= $2 AND ts >= $2::timestamptz - interval '7 days'
+        ORDER BY ts DESC LIMIT 1)
+      UNION ALL
+      (SELECT price_in_zig, 1 AS pref FROM prices
+        WHERE token_id = $1
+        ORDER BY (path_pool_ids IS NULL) DESC, depth_zig DESC NULLS LAST, updated_at DESC
+        LIMIT 1)
+    ) x ORDER BY pref LIMIT 1`, [tokenId, at]);
+  const px = rows[0] ? Number(rows[0].price_in_zig) : null;
+  cache.set(k, px);
+  return px;
+}
+
+/** ZIG/USD at `at` (nearest earlier rate, else the oldest we have) */
+async function zigUsdAt(at, cache) {
+  const k = minuteKey(at);
+  if (cache.has(k)) return cache.get(k);
+  const { rows } = await DB.query(`
+    SELECT zig_usd FROM (
+      (SELECT zig_usd, 0 AS pref FROM exchange_rates WHERE ts <= $1 ORDER BY ts DESC LIMIT 1)
+      UNION ALL
+      (SELECT zig_usd, 1 AS pref FROM exchange_rates ORDER BY ts ASC LIMIT 1)
+    ) x ORDER BY pref LIMIT 1`, [at]);
+  const v = rows[0] ? Number(rows[0].zig_usd) : null;
+  cache.set(k, v);
+  return v;
+}
+
+const SWAPS_SQL = (where) => `
+  SELECT t.trade_id, t.signer, t.direction, t.offer_amount_base, t.return_amount_base, t.created_at,
+         b.token_id AS base_id,  b.denom AS base_denom,
+         q.token_id AS quote_id, q.denom AS quote_denom, COALESCE(q.exponent,6) AS quote_exp
+    FROM trades t
+    JOIN pools p  ON p.pool_id = t.pool_id
+    JOIN tokens b ON b.token_id = p.base_token_id
+    JOIN tokens q ON q.token_id = p.quote_token_id
+   WHERE t.action = 'swap'
+     AND ${where}
+   ORDER BY t.height, t.tx_index NULLS FIRST, t.msg_index NULLS FIRST, t.trade_id`;
+
+/**
+ * Fold the next PNL_FOLD_HEIGHTS committed heights into wallet_pnl, after
+ * rebuilding any wallets queued in wallet_refolds (books and realized rows)
+ * from their full history. FIFO needs block order, so nothing is folded
+ * past the 'block' checkpoint.
+ * → { folded: swaps applied, caughtUp: watermark reached the checkpoint }
+ */
+export async function foldWalletPnlOnce() {
+  return tx(async (client) => {
+    const { height: wm, fresh } = await lockWatermark(CURSOR_ID, client);
+    if (fresh) {
+      await client.query(`DELETE FROM wallet_pnl`);
+      await client.query(`DELETE FROM wallet_pnl_realized`);
+    }
+    const live = Number(await readCheckpoint() || 0);
+    const upto = Math.min(live, wm + PNL_FOLD_HEIGHTS);
+
+    const rebuild = await takeRefolds(CURSOR_ID, client);
+    const { rows: redo } = rebuild.length
+      ? await client.query(SWAPS_SQL(`t.signer = ANY($1::text[]) AND t.height <= $2`), [rebuild, wm])
+      : { rows: [] };
+    const { rows: next } = upto > wm
+      ? await client.query(SWAPS_SQL(`t.height > $1 AND t.height <= $2`), [wm, upto])
+      : { rows: [] };
+    const rows = redo.concat(next);
+
+    // rebuilt wallets start with empty books; everyone else continues
+    if (rebuild.length) {
+      await client.query(`DELETE FROM wallet_pnl WHERE address = ANY($1::text[])`, [rebuild]);
+      await client.query(`DELETE FROM wallet_pnl_realized WHERE address = ANY($1::text[])`, [rebuild]);
+    }
+    const again = new Set(rebuild);
+    const keys = [];
+    const seen = new Set();
+    for (const r of next) {
+      if (!r.signer || again.has(r.signer)) continue;
+      for (const token_id of [String(r.base_id), String(r.quote_id)]) {
+        const k = `${r.signer}|${token_id}`;
+        if (!seen.has(k)) { seen.add(k); keys.push({ address: r.signer, token_id }); }
+      }
+    }
+    const books = await loadBooks(keys, client);
+    const touched = new Map();
+    const realized = [];
+    const pxCache = new Map(), fxCache = new Map();
+
+    for (const r of rows) {
+      if (!r.signer) continue;
+      const qPx = await priceInZigAt(r.quote_id, r.quote_denom, r.created_at, pxCache);
+      const legs = swapLegs(r, qPx);
+      if (!legs.length) { debug('[pnl] unpriced swap', { trade_id: r.trade_id }); continue; }
+      const zigUsd = await zigUsdAt(r.created_at, fxCache);
+
+      for (const leg of legs) {
+        const k = `${r.signer}|${leg.token_id}`;
+        const book = books.get(k) || emptyBook(r.signer, leg.token_id);
+        books.set(k, book);
+        touched.set(k, book);
+        const rz = applyLeg(book, leg, zigUsd, r.created_at);
+        if (leg.side === 'sell') {
+          realized.push([r.trade_id, r.signer, leg.token_id, rz.zig, rz.usd, r.created_at]);
+        }
+      }
+    }
+
+    await writeBooks(Array.from(touched.values()), client);
+    for (const v of realized) {
+      await client.query(`
+        INSERT INTO wallet_pnl_realized(trade_id, address, token_id, realized_zig, realized_usd, created_at)
+        VALUES ($1,$2,$3,$4,$5,$6)
+        ON CONFLICT (trade_id, token_id) DO NOTHING
+      `, v);
+    }
+    if (upto > wm) await writeCheckpoint(upto, { id: CURSOR_ID, db: client });
+    if (rebuild.length) debug('[pnl] rebuilt wallets', rebuild.length);
+    return { folded: rows.length, caughtUp: upto >= live };
+  });
+}
+
+export function startWalletPnl() {
+  (async function loop () {
+    while (true) {
+      try {
+        let r;
+        do {
+          r = await foldWalletPnlOnce();
+          if (r.folded) info('[pnl] folded swaps', r.folded);
+        } while (!r.caughtUp);
+      } catch (e) {
+        warn('[wallet-pnl loop]', e.message);
+      }
+      await new Promise(r => setTimeout(r, WALLET_PNL_SEC * 1000));
+    }
+  })().catch(() => {});
+}
@@ -296,7 +296,7 @@ CREATE TABLE IF NOT EXISTS public.watchlist (
 CREATE TABLE IF NOT EXISTS public.alerts (
   alert_id        BIGSERIAL PRIMARY KEY,
   wallet_id       BIGINT NOT NULL REFERENCES public.wallets(wallet_id) ON DELETE CASCADE,
-  alert_type      TEXT NOT NULL CHECK (alert_type IN ('price_cross','wallet_trade','large_trade','tvl_change')),
+  alert_type      TEXT NOT NULL CHECK (alert_type IN ('price_cross','wallet_trade','large_trade','tvl_change','rug_pull')),
   params          JSONB NOT NULL,
   is_active       BOOLEAN NOT NULL DEFAULT TRUE,
   throttle_sec    INT NOT NULL DEFAULT 300,
@@ -474,3 +474,348 @@ ON public.token_twitter(handle);
 
 CREATE INDEX IF NOT EXISTS idx_token_twitter_last_refreshed 
 ON public.token_twitter(last_refreshed DESC);
+
+-- ====================================================================
+-- BLOCK HEADERS (reorg / fork detection)
+--   one row per indexed height; parent_hash must match the previous
+--   row's block_hash, otherwise the indexer rolls back to the fork point
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.block_headers (
+  height       BIGINT PRIMARY KEY,
+  block_hash   TEXT NOT NULL,
+  parent_hash  TEXT,
+  block_time   TIMESTAMPTZ NOT NULL,
+  indexed_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_block_headers_time ON public.block_headers(block_time);
+
+-- ====================================================================
+-- FAILED HEIGHTS (zero-loss ledger)
+--   a height that failed processHeight is recorded here before the
+--   checkpoint moves past it; bin/start-repair.js retries with backoff
+--   until resolved_at is set
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.failed_heights (
+  height          BIGINT PRIMARY KEY,
+  source          TEXT NOT NULL DEFAULT 'block',   -- index_state id that skipped it
+  error           TEXT,
+  attempts        INT  NOT NULL DEFAULT 1,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_failed_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  next_retry_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  resolved_at     TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_failed_heights_due
+  ON public.failed_heights(next_retry_at) WHERE resolved_at IS NULL;
+
+-- reserves are only moved forward: a repaired/backfilled old height must
+-- not overwrite the state written by a newer one
+ALTER TABLE public.pool_state ADD COLUMN IF NOT EXISTS last_height BIGINT;
+
+-- ====================================================================
+-- DEX ATTRIBUTION
+--   pools.dex / factory_contract are set at create_pair by the decoder
+--   that matched; trades.router_contract is the router that executed
+--   the swap (NULL = direct pair call)
+-- ====================================================================
+ALTER TABLE public.pools  ADD COLUMN IF NOT EXISTS dex TEXT;
+ALTER TABLE public.trades ADD COLUMN IF NOT EXISTS router_contract TEXT;
+CREATE INDEX IF NOT EXISTS idx_pools_dex              ON public.pools(dex);
+CREATE INDEX IF NOT EXISTS idx_pools_factory_contract ON public.pools(factory_contract);
+
+-- ====================================================================
+-- CW20 TOKENS
+--   tokens whose denom is a contract address are CW20: metadata comes from
+--   token_info / marketing_info, holders from transfer/send/mint/burn
+--   events (holders.last_seen_height guards out-of-order writes).
+--   Rows created before CW20 support were inserted as 'factory' with
+--   exponent 0; retype them and clear the exponent so the meta refresher
+--   (exponent IS NULL) re-reads name and decimals from token_info. Names
+--   are kept until token_info answers.
+-- ====================================================================
+ALTER TABLE public.tokens ALTER COLUMN exponent DROP NOT NULL;
+UPDATE public.tokens
+   SET type = 'cw20', exponent = NULL
+ WHERE type IS DISTINCT FROM 'cw20'
+   AND denom ~ '^zig1[02-9ac-hj-np-z]{58}$';
+
+-- ====================================================================
+-- MULTI-HOP PRICES
+--   tokens without a uzig-quoted pool are priced through the pricing
+--   graph (jobs/price-graph.js): is_pair_native = FALSE rows carry the
+--   route used (pool ids / token ids, token → … → uzig) and the ZIG
+--   depth of its thinnest leg, which picks the canonical price
+-- ====================================================================
+ALTER TABLE public.prices ADD COLUMN IF NOT EXISTS path_pool_ids  BIGINT[];
+ALTER TABLE public.prices ADD COLUMN IF NOT EXISTS path_token_ids BIGINT[];
+ALTER TABLE public.prices ADD COLUMN IF NOT EXISTS depth_zig      NUMERIC(38,8);
+
+-- ====================================================================
+-- LP POSITIONS
+--   folded from provide/withdraw trades in block order by
+--   jobs/lp-positions.js (watermark: index_state 'fold:lp_positions', last
+--   folded height). deposited_* and cost_basis_zig describe the shares
+--   still held; withdrawals release them pro-rata.
+--   pool_state.total_share_base is the pair's LP supply.
+--   wallet_refolds queues wallets a folding job must rebuild because
+--   trades landed below its watermark or were rolled back (core/refold.js).
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.lp_positions (
+  address              TEXT   NOT NULL,
+  pool_id              BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  shares_base          NUMERIC(78,0) NOT NULL DEFAULT 0,
+  deposited_base_base  NUMERIC(78,0) NOT NULL DEFAULT 0,
+  deposited_quote_base NUMERIC(78,0) NOT NULL DEFAULT 0,
+  cost_basis_zig       NUMERIC(38,8) NOT NULL DEFAULT 0,
+  realized_pnl_zig     NUMERIC(38,8) NOT NULL DEFAULT 0,
+  provides             INT NOT NULL DEFAULT 0,
+  withdraws            INT NOT NULL DEFAULT 0,
+  opened_at            TIMESTAMPTZ,
+  last_height          BIGINT,
+  updated_at           TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (address, pool_id)
+);
+CREATE INDEX IF NOT EXISTS idx_lp_positions_pool ON public.lp_positions(pool_id) WHERE shares_base > 0;
+
+CREATE TABLE IF NOT EXISTS public.wallet_refolds (
+  job        TEXT NOT NULL,
+  address    TEXT NOT NULL,
+  queued_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (job, address)
+);
+
+ALTER TABLE public.pool_state ADD COLUMN IF NOT EXISTS total_share_base NUMERIC(78,0);
+ALTER TABLE public.pool_state ADD COLUMN IF NOT EXISTS share_updated_at TIMESTAMPTZ;
+
+-- ====================================================================
+-- LP HOLDERS
+--   pools.lp_token_denom comes from the create_pair events or the pair's
+--   `{ pair {} }.liquidity_token`. jobs/holders-refresher.js sweeps each
+--   LP token's owners into lp_holders and summarizes pool_lp_stats:
+--   burned = burn addresses (LP_BURN_ADDRESSES) + the pair contract itself
+--   (minimum liquidity), locked = known locker contracts (LP_LOCKER_ADDRESSES).
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.lp_holders (
+  pool_id       BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  address       TEXT   NOT NULL,
+  balance_base  NUMERIC(78,0) NOT NULL,
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (pool_id, address)
+);
+CREATE INDEX IF NOT EXISTS idx_lp_holders_address ON public.lp_holders(address);
+
+CREATE TABLE IF NOT EXISTS public.pool_lp_stats (
+  pool_id           BIGINT PRIMARY KEY REFERENCES public.pools(pool_id),
+  holders_count     BIGINT,
+  total_share_base  NUMERIC(78,0),
+  top10_pct         NUMERIC(9,4),
+  burned_base       NUMERIC(78,0) NOT NULL DEFAULT 0,
+  locked_base       NUMERIC(78,0) NOT NULL DEFAULT 0,
+  burned_pct        NUMERIC(9,4),
+  locked_pct        NUMERIC(9,4),
+  complete          BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ====================================================================
+-- RUG INCIDENTS
+--   jobs/rug-detector.js (watermark: index_state 'fold:rug_detector', last
+--   scanned height, see core/refold.js). One row per suspicious withdraw: the signer took
+--   ≥ RUG_WITHDRAW_PCT of the pool within RUG_WINDOW_MIN, and/or is the
+--   pool creator. token_security.rug_suspect follows recent incidents.
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.rug_incidents (
+  id           BIGSERIAL PRIMARY KEY,
+  trade_id     BIGINT NOT NULL UNIQUE,
+  pool_id      BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  token_id     BIGINT NOT NULL REFERENCES public.tokens(token_id),
+  signer       TEXT   NOT NULL,
+  is_creator   BOOLEAN NOT NULL DEFAULT FALSE,
+  reasons      TEXT[] NOT NULL,
+  removed_pct  NUMERIC(9,4),
+  window_min   INT NOT NULL,
+  share_base   NUMERIC(78,0),
+  quote_base   NUMERIC(78,0),
+  tx_hash      TEXT,
+  height       BIGINT,
+  created_at   TIMESTAMPTZ NOT NULL,
+  detected_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_rug_incidents_token_time ON public.rug_incidents(token_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rug_incidents_pool_time  ON public.rug_incidents(pool_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rug_incidents_detected   ON public.rug_incidents(detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rug_incidents_height     ON public.rug_incidents(height);
+
+-- existing installs: widen the alerts CHECK for the rug_pull alert type
+ALTER TABLE public.alerts DROP CONSTRAINT IF EXISTS alerts_alert_type_check;
+ALTER TABLE public.alerts ADD CONSTRAINT alerts_alert_type_check
+  CHECK (alert_type IN ('price_cross','wallet_trade','large_trade','tvl_change','rug_pull'));
+
+-- ====================================================================
+-- FAILED SWAPS
+--   reverted txs whose raw bytes carry a `swap` on a known pair (see
+--   core/failed-swaps.js); written with the block in core/commit.js and
+--   rewound with trades on reorg. Feeds the sell-ability score.
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.failed_swaps (
+  id             BIGSERIAL PRIMARY KEY,
+  pool_id        BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  pair_contract  TEXT NOT NULL,
+  signer         TEXT,
+  offer_denom    TEXT,
+  direction      trade_direction,
+  code           INT,
+  codespace      TEXT,
+  log            TEXT,
+  height         BIGINT NOT NULL,
+  tx_hash        TEXT NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL,
+  UNIQUE (tx_hash, pool_id)
+);
+CREATE INDEX IF NOT EXISTS idx_failed_swaps_pool_time ON public.failed_swaps(pool_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_failed_swaps_height    ON public.failed_swaps(height);
+
+-- ====================================================================
+-- WALLET PNL
+--   FIFO books per (wallet, token) folded from swaps in block order by
+--   jobs/wallet-pnl.js (watermark: index_state 'fold:wallet_pnl', last
+--   folded height; late or rolled-back trades rebuild the wallet through
+--   wallet_refolds). lots is the open FIFO queue [{q, z, u, t}]: base
+--   units, ZIG cost, USD cost, time.
+--   wallet_pnl_realized keeps one row per sell leg so leaderboards can sum
+--   realized PnL over a window (leaderboard_traders.gross_pnl_zig).
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.wallet_pnl (
+  address           TEXT   NOT NULL,
+  token_id          BIGINT NOT NULL REFERENCES public.tokens(token_id),
+  lots              JSONB  NOT NULL DEFAULT '[]'::jsonb,
+  open_base         NUMERIC(78,0) NOT NULL DEFAULT 0,
+  cost_basis_zig    NUMERIC(38,8) NOT NULL DEFAULT 0,
+  cost_basis_usd    NUMERIC(38,8) NOT NULL DEFAULT 0,
+  realized_pnl_zig  NUMERIC(38,8) NOT NULL DEFAULT 0,
+  realized_pnl_usd  NUMERIC(38,8) NOT NULL DEFAULT 0,
+  unmatched_base    NUMERIC(78,0) NOT NULL DEFAULT 0,
+  buys              INT NOT NULL DEFAULT 0,
+  sells             INT NOT NULL DEFAULT 0,
+  volume_zig        NUMERIC(38,8) NOT NULL DEFAULT 0,
+  first_trade_at    TIMESTAMPTZ,
+  last_trade_at     TIMESTAMPTZ,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (address, token_id)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_pnl_open ON public.wallet_pnl(address) WHERE open_base > 0;
+
+CREATE TABLE IF NOT EXISTS public.wallet_pnl_realized (
+  trade_id      BIGINT NOT NULL,
+  address       TEXT   NOT NULL,
+  token_id      BIGINT NOT NULL REFERENCES public.tokens(token_id),
+  realized_zig  NUMERIC(38,8) NOT NULL,
+  realized_usd  NUMERIC(38,8) NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (trade_id, token_id)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_pnl_realized_time ON public.wallet_pnl_realized(created_at DESC, address);
+CREATE INDEX IF NOT EXISTS idx_wallet_pnl_realized_addr ON public.wallet_pnl_realized(address);
+CREATE INDEX IF NOT EXISTS idx_price_ticks_token_ts ON public.price_ticks(token_id, ts DESC);
+
+ALTER TABLE public.leaderboard_traders ADD COLUMN IF NOT EXISTS realized_pnl_usd   NUMERIC(38,8);
+ALTER TABLE public.leaderboard_traders ADD COLUMN IF NOT EXISTS unrealized_pnl_zig NUMERIC(38,8);
+
+-- ====================================================================
+-- WALLET LABELS
+--   behavioral labels per signer (sniper / bot / mev / whale) rewritten by
+--   jobs/wallet-labels.js over a trailing window. score is the label's own
+--   measure (pools sniped, round trips, blocks, median ZIG); evidence keeps
+--   the supporting counts. Rows with source <> 'auto' are curated by hand
+--   and never touched by the job.
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.wallet_labels (
+  address        TEXT NOT NULL,
+  label          TEXT NOT NULL CHECK (label IN ('sniper','bot','mev','whale')),
+  score          NUMERIC(38,8),
+  evidence       JSONB,
+  source         TEXT NOT NULL DEFAULT 'auto',
+  first_seen_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (address, label)
+);
+CREATE INDEX IF NOT EXISTS idx_wallet_labels_label ON public.wallet_labels(label);
+
+-- ====================================================================
+-- MEV SANDWICHES
+--   same-block front/victim/back swap triples on one pool (see
+--   core/sandwich.js); written with the block in core/commit.js and
+--   rewound with trades on reorg. extracted_zig is the victim's estimated
+--   shortfall on a constant-product curve, attacker_profit_zig the
+--   attacker's quote-leg difference between back and front.
+-- ====================================================================
+CREATE TABLE IF NOT EXISTS public.mev_sandwiches (
+  id                   BIGSERIAL PRIMARY KEY,
+  pool_id              BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  height               BIGINT NOT NULL,
+  attacker             TEXT NOT NULL,
+  victim               TEXT NOT NULL,
+  direction            trade_direction NOT NULL,
+  front_tx_hash        TEXT NOT NULL,
+  front_msg_index      INT,
+  victim_tx_hash       TEXT NOT NULL,
+  victim_msg_index     INT NOT NULL,
+  back_tx_hash         TEXT NOT NULL,
+  back_msg_index       INT,
+  victim_value_zig     NUMERIC(38,8),
+  extracted_zig        NUMERIC(38,8),
+  attacker_profit_zig  NUMERIC(38,8),
+  created_at           TIMESTAMPTZ NOT NULL,
+  UNIQUE (victim_tx_hash, pool_id, victim_msg_index)
+);
+CREATE INDEX IF NOT EXISTS idx_mev_sandwiches_time     ON public.mev_sandwiches(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mev_sandwiches_pool     ON public.mev_sandwiches(pool_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mev_sandwiches_attacker ON public.mev_sandwiches(attacker, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mev_sandwiches_victim   ON public.mev_sandwiches(victim, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mev_sandwiches_height   ON public.mev_sandwiches(height);
+
+-- ====================================================================
+-- LAUNCH BUYERS
+--   one row per wallet and pool from its first buy on, folded from swaps
+--   by jobs/launch-report.js (watermark: index_state 'fold:launch_buyers',
+--   last folded height, see core/refold.js). GET /tokens/:id/launch reads
+--   a pool's first N buyers in block order (first_height, first_tx_index,
+--   first_msg_index); msg_index alone restarts in every tx, so trades keep
+--   tx_index, the tx's position in its block (NULL on rows indexed before
+--   it was stored). ZIG values use the quote price at each trade's time
+--   and stay NULL when a leg couldn't be priced.
+-- ====================================================================
+ALTER TABLE public.trades ADD COLUMN IF NOT EXISTS tx_index INT;
+
+CREATE TABLE IF NOT EXISTS public.launch_buyers (
+  pool_id          BIGINT NOT NULL REFERENCES public.pools(pool_id),
+  address          TEXT   NOT NULL,
+  first_height     BIGINT NOT NULL,
+  first_tx_index   INT,
+  first_msg_index  INT,
+  first_trade_id   BIGINT NOT NULL,
+  first_tx_hash    TEXT,
+  first_buy_at     TIMESTAMPTZ NOT NULL,
+  first_buy_zig    NUMERIC(38,8),
+  bought_base      NUMERIC(78,0) NOT NULL DEFAULT 0,
+  bought_zig       NUMERIC(38,8),
+  buys             INT NOT NULL DEFAULT 0,
+  sold_base        NUMERIC(78,0) NOT NULL DEFAULT 0,
+  sold_zig         NUMERIC(38,8),
+  sells            INT NOT NULL DEFAULT 0,
+  first_sold_at    TIMESTAMPTZ,
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (pool_id, address)
+);
+CREATE INDEX IF NOT EXISTS idx_launch_buyers_order
+  ON public.launch_buyers(pool_id, first_height, first_tx_index NULLS FIRST, first_msg_index NULLS FIRST, address);
+CREATE INDEX IF NOT EXISTS idx_launch_buyers_address ON public.launch_buyers(address);
+
+-- ====================================================================
+-- PRICE HEIGHT GUARD
+--   prices derived from a block are written with it in core/commit.js;
+--   last_height keeps an older block (backfill, repair) from overwriting
+--   a newer price, like pool_state.last_height. Rows written by the
+--   price jobs leave it alone.
+-- ====================================================================
+ALTER TABLE public.prices ADD COLUMN IF NOT EXISTS last_height BIGINT;